@@ -8,8 +8,13 @@ class AdminPanel {
         this.user = null;
         this.communications = [];
         this.users = [];
+        this.holidays = [];
+        this.editingHolidayId = null;
         this.currentDeleteId = null;
         this.currentDeleteUserId = null;
+        this.currentVersionsId = null;
+        this.fileTypes = [{ type: 'pdf', label: 'PDF', mimetype: 'application/pdf', extensions: ['.pdf'] }];
+        this.maxFileSizeMB = 10;
         
         this.passwordValidation = {
             strength: false,
@@ -29,8 +34,12 @@ class AdminPanel {
         await this.loadUserInfo();
         this.bindEvents();
         this.initializePasswordValidation();
+        await this.loadFileTypes();
         await this.loadCommunications();
         await this.loadUsers();
+        if (this.user && this.user.role === 'admin') {
+            await this.loadHolidays();
+        }
         this.setupTabs();
     }
 
@@ -71,6 +80,8 @@ class AdminPanel {
     updateUI() {
         const greeting = document.getElementById('userGreeting');
         greeting.textContent = `Welcome to the admin panel, ${this.user.name}!`;
+
+        document.getElementById('holidaysTab').style.display = this.user.role === 'admin' ? '' : 'none';
     }
 
     bindEvents() {
@@ -95,6 +106,10 @@ class AdminPanel {
             this.filterCommunications(e.target.value);
         });
 
+        document.getElementById('reindexBtn').addEventListener('click', () => {
+            this.reindexCommunications();
+        });
+
         document.getElementById('userSearchInput').addEventListener('input', (e) => {
             this.filterUsers(e.target.value);
         });
@@ -102,6 +117,22 @@ class AdminPanel {
         document.getElementById('userForm').addEventListener('submit', (e) => {
             this.handleUserCreate(e);
         });
+
+        document.getElementById('holidayForm').addEventListener('submit', (e) => {
+            this.handleHolidaySave(e);
+        });
+
+        document.getElementById('holidayCancelBtn').addEventListener('click', () => {
+            this.resetHolidayForm();
+        });
+
+        document.getElementById('holidaySchoolFilter').addEventListener('change', () => {
+            this.renderHolidays();
+        });
+
+        document.getElementById('versionForm').addEventListener('submit', (e) => {
+            this.handleVersionUpload(e);
+        });
         
         document.getElementById('publishDate').valueAsDate = new Date();
     }
@@ -300,14 +331,14 @@ class AdminPanel {
 
         status.style.display = 'block';
 
-        if (file.type !== 'application/pdf') {
-            status.textContent = 'Please select a PDF file';
+        if (!this.isAllowedFile(file)) {
+            status.textContent = `Please select one of: ${this.fileTypes.map(type => type.label).join(', ')}`;
             status.className = 'file-status error';
             return;
         }
 
-        if (file.size > 10 * 1024 * 1024) { // 10MB
-            status.textContent = 'File size must be less than 10MB';
+        if (file.size > this.maxFileSizeMB * 1024 * 1024) {
+            status.textContent = `File size must be less than ${this.maxFileSizeMB}MB`;
             status.className = 'file-status error';
             return;
         }
@@ -316,6 +347,32 @@ class AdminPanel {
         status.className = 'file-status success';
     }
 
+    // The upload inputs follow the server's file type allow-list
+    async loadFileTypes() {
+        try {
+            const response = await fetch(`${this.API_BASE}/communications/file-types`, {
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            if (response.ok && data.success) {
+                this.fileTypes = data.types;
+                this.maxFileSizeMB = data.maxFileSizeMB;
+            }
+        } catch (error) {
+            console.error('Error loading file types:', error);
+        }
+
+        const accept = this.fileTypes.flatMap(type => [...type.extensions, type.mimetype]).join(',');
+        document.getElementById('pdfFile').accept = accept;
+        document.getElementById('versionFile').accept = accept;
+    }
+
+    isAllowedFile(file) {
+        const ext = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+        return this.fileTypes.some(type => type.extensions.includes(ext));
+    }
+
     async handleUpload(e) {
         e.preventDefault();
 
@@ -338,7 +395,10 @@ class AdminPanel {
             const data = await response.json();
 
             if (response.ok && data.success) {
-                this.showMessage('Communication uploaded successfully!', 'success');
+                const scheduled = data.communication && data.communication.status === 'scheduled';
+                this.showMessage(scheduled
+                    ? `Communication scheduled for ${new Date(data.communication.publishDate).toLocaleDateString()}`
+                    : 'Communication uploaded successfully!', 'success');
                 e.target.reset();
                 document.getElementById('fileStatus').style.display = 'none';
                 document.getElementById('publishDate').valueAsDate = new Date();
@@ -359,7 +419,8 @@ class AdminPanel {
 
     async loadCommunications() {
         try {
-            const response = await fetch(`${this.API_BASE}/communications`, {
+            // Scheduled and expired communications too, which only managers can list
+            const response = await fetch(`${this.API_BASE}/communications?status=all`, {
                 credentials: 'include'
             });
 
@@ -368,6 +429,7 @@ class AdminPanel {
                 if (data.success) {
                     this.communications = data.communications;
                     this.renderCommunications();
+                    this.renderScheduled();
                 }
             }
         } catch (error) {
@@ -376,7 +438,7 @@ class AdminPanel {
         }
     }
 
-    renderCommunications(filteredData = null) {
+    renderCommunications(filteredData = null, matches = {}) {
         const tbody = document.getElementById('communicationsTableBody');
         const communications = filteredData || this.communications;
 
@@ -394,22 +456,38 @@ class AdminPanel {
         tbody.innerHTML = communications.map(comm => `
             <tr>
                 <td>
-                    <strong>${comm.title}</strong><br>
+                    <strong>${comm.title}</strong>
+                    <span class="version-badge">v${comm.version || 1}</span><br>
                     <small style="color: #666;">${comm.description}</small>
+                    ${this.renderCommunicationMatches(matches[comm.id])}
+                    ${(comm.events || []).map(event => `
+                        <br><a class="comm-event-link" href="calendar.html?event=${encodeURIComponent(event.id)}&date=${encodeURIComponent(event.date)}">📅 ${this.escapeHtml(event.title)}</a>
+                    `).join('')}
                 </td>
                 <td>
                     <span class="category-badge category-${comm.category.toLowerCase()}">
                         ${comm.category}
                     </span>
+                    <select class="access-select" title="Who can open it" onchange="adminPanel.updateAccessLevel('${comm.id}', this.value)">
+                        ${['public', 'members', 'executives'].map(level => `
+                            <option value="${level}" ${(comm.accessLevel || 'public') === level ? 'selected' : ''}>${this.getAccessLevelLabel(level)}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td>
+                    ${new Date(comm.publishDate).toLocaleDateString()}
+                    ${this.renderPublicationStatus(comm)}
                 </td>
-                <td>${new Date(comm.publishDate).toLocaleDateString()}</td>
                 <td>${comm.uploadedBy?.name || 'Unknown'}</td>
                 <td>${this.formatFileSize(comm.fileSize)}</td>
                 <td>
                     <div class="action-buttons">
-                        <button class="btn-edit" onclick="window.open('${this.API_BASE.replace('/api', '')}/pdf/${comm.filename}', '_blank')">
+                        <button class="btn-edit" onclick="window.open('${this.API_BASE}/files/${encodeURIComponent(comm.filename)}', '_blank')">
                             View
                         </button>
+                        <button class="btn-edit" onclick="adminPanel.showVersionsModal('${comm.id}')">
+                            Versions
+                        </button>
                         <button class="btn-delete" onclick="adminPanel.showDeleteModal('${comm.id}', '${comm.title}')">
                             Delete
                         </button>
@@ -419,19 +497,224 @@ class AdminPanel {
         `).join('');
     }
 
+    renderPublicationStatus(comm) {
+        if (comm.status === 'scheduled') {
+            return '<br><span class="publication-status scheduled">Scheduled</span>';
+        }
+        if (comm.status === 'expired') {
+            return `<br><span class="publication-status expired">Unpublished ${new Date(comm.expiresAt).toLocaleDateString()}</span>`;
+        }
+        if (comm.expiresAt) {
+            return `<br><span class="publication-status">Until ${new Date(comm.expiresAt).toLocaleDateString()}</span>`;
+        }
+        return '';
+    }
+
+    // Communications waiting for their publish date, soonest first
+    renderScheduled() {
+        const tbody = document.getElementById('scheduledTableBody');
+        const scheduled = this.communications
+            .filter(comm => comm.status === 'scheduled')
+            .sort((a, b) => new Date(a.publishDate) - new Date(b.publishDate));
+
+        if (scheduled.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="loading">
+                        No communications are scheduled. Upload one with a future publish date to prepare it in advance.
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = scheduled.map(comm => `
+            <tr>
+                <td>
+                    <strong>${this.escapeHtml(comm.title)}</strong><br>
+                    <small style="color: #666;">${this.escapeHtml(comm.description)}</small>
+                </td>
+                <td>
+                    <input type="date" class="schedule-date" value="${comm.publishDate.slice(0, 10)}"
+                        onchange="adminPanel.updateSchedule('${comm.id}', { publishDate: this.value })">
+                </td>
+                <td>
+                    <input type="date" class="schedule-date" value="${comm.expiresAt ? comm.expiresAt.slice(0, 10) : ''}"
+                        onchange="adminPanel.updateSchedule('${comm.id}', { expiresAt: this.value })">
+                </td>
+                <td>${this.getAccessLevelLabel(comm.accessLevel)}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-edit" onclick="window.open('${this.API_BASE}/files/${encodeURIComponent(comm.filename)}', '_blank')">
+                            View
+                        </button>
+                        <button class="btn-edit" onclick="adminPanel.publishNow('${comm.id}')">
+                            Publish now
+                        </button>
+                        <button class="btn-delete" data-delete-id="${comm.id}">
+                            Delete
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        tbody.onclick = (e) => {
+            const button = e.target.closest('[data-delete-id]');
+            const comm = button && this.communications.find(c => c.id === button.dataset.deleteId);
+            if (comm) this.showDeleteModal(comm.id, comm.title);
+        };
+    }
+
+    async updateCommunication(id, updates, successMessage) {
+        try {
+            const response = await fetch(`${this.API_BASE}/communications/${id}`, {
+                method: 'PUT',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(updates)
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                this.showMessage(successMessage, 'success');
+            } else {
+                this.showMessage(data.errors?.[0]?.msg || data.message || 'Update failed', 'error');
+            }
+        } catch (error) {
+            console.error('Update communication error:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        } finally {
+            await this.loadCommunications();
+        }
+    }
+
+    async updateAccessLevel(id, accessLevel) {
+        await this.updateCommunication(id, { accessLevel },
+            `Now visible to: ${this.getAccessLevelLabel(accessLevel).toLowerCase()}`);
+    }
+
+    async updateSchedule(id, updates) {
+        if (updates.publishDate === '') {
+            this.showMessage('A scheduled communication needs a publish date', 'error');
+            this.renderScheduled();
+            return;
+        }
+        await this.updateCommunication(id, updates, 'Schedule updated');
+    }
+
+    async publishNow(id) {
+        await this.updateCommunication(id, { publishDate: new Date().toISOString() }, 'Communication published');
+    }
+
     filterCommunications(searchTerm) {
+        clearTimeout(this.contentSearchTimer);
+        this.contentSearchTerm = searchTerm.trim();
+
         if (!searchTerm.trim()) {
             this.renderCommunications();
             return;
         }
 
-        const filtered = this.communications.filter(comm =>
+        const filtered = this.matchCommunications(searchTerm);
+        this.renderCommunications(filtered);
+
+        if (this.contentSearchTerm.length >= 2) {
+            this.contentSearchTimer = setTimeout(() => this.searchCommunicationContents(this.contentSearchTerm), 300);
+        }
+    }
+
+    matchCommunications(searchTerm) {
+        return this.communications.filter(comm =>
             comm.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
             comm.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
             comm.category.toLowerCase().includes(searchTerm.toLowerCase())
         );
+    }
 
-        this.renderCommunications(filtered);
+    // Adds communications whose PDF text matches, with the matching pages
+    async searchCommunicationContents(term) {
+        try {
+            const response = await fetch(`${this.API_BASE}/communications/search?q=${encodeURIComponent(term)}`, {
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            // A newer search has started in the meantime
+            if (term !== this.contentSearchTerm) return;
+
+            if (!response.ok || !data.success) {
+                console.error('Content search failed:', data.message);
+                return;
+            }
+
+            const matches = Object.fromEntries(data.communications.map(result => [result.id, result]));
+            const filtered = this.matchCommunications(term);
+            const found = this.communications.filter(comm => matches[comm.id] && !filtered.includes(comm));
+
+            this.renderCommunications([...filtered, ...found], matches);
+        } catch (error) {
+            console.error('Content search error:', error);
+        }
+    }
+
+    // Indexes the text of documents uploaded before search covered PDF contents,
+    // a batch per request until none are left
+    async reindexCommunications() {
+        const button = document.getElementById('reindexBtn');
+        button.disabled = true;
+        let indexed = 0;
+        let failed = 0;
+
+        try {
+            let remaining = 1;
+            while (remaining > 0) {
+                const response = await fetch(`${this.API_BASE}/communications/reindex`, {
+                    method: 'POST',
+                    credentials: 'include'
+                });
+
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    this.showMessage(data.message || 'Indexing failed', 'error');
+                    return;
+                }
+
+                indexed += data.indexed;
+                failed += data.failed.length;
+                // Stop rather than loop if a batch made no progress
+                remaining = data.indexed + data.failed.length > 0 ? data.remaining : 0;
+                button.textContent = remaining > 0 ? `Indexing… ${remaining} left` : 'Index older documents';
+            }
+
+            this.showMessage(
+                failed > 0
+                    ? `Indexed ${indexed} documents; ${failed} could not be read`
+                    : `Indexed ${indexed} documents`,
+                failed > 0 ? 'error' : 'success'
+            );
+        } catch (error) {
+            console.error('Reindex error:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Index older documents';
+        }
+    }
+
+    renderCommunicationMatches(result) {
+        if (!result || result.matches.length === 0) return '';
+
+        return `
+            <div class="comm-matches">
+                ${result.matches.map(match => `
+                    <div class="comm-match"><strong>p. ${match.page}</strong> ${match.snippet}</div>
+                `).join('')}
+            </div>
+        `;
     }
 
     showDeleteModal(id, title) {
@@ -439,7 +722,7 @@ class AdminPanel {
         document.getElementById('deleteModal').classList.add('show');
 
         const modal = document.querySelector('#deleteModal .modal p');
-        modal.innerHTML = `Are you sure you want to delete "<strong>${title}</strong>"? This action cannot be undone.`;
+        modal.innerHTML = `Are you sure you want to delete "<strong>${this.escapeHtml(title)}</strong>"? This action cannot be undone.`;
 
         document.getElementById('confirmDeleteBtn').onclick = () => this.confirmDelete();
     }
@@ -476,6 +759,88 @@ class AdminPanel {
     }
 
 
+    async showVersionsModal(id) {
+        const comm = this.communications.find(c => c.id === id);
+        if (!comm) return;
+
+        this.currentVersionsId = id;
+        document.getElementById('versionsModalTitle').textContent = `Versions of "${comm.title}"`;
+        document.getElementById('versionForm').reset();
+        document.getElementById('versionsList').innerHTML = '<li class="loading">Loading versions...</li>';
+        document.getElementById('versionsModal').classList.add('show');
+
+        await this.loadVersions(id);
+    }
+
+    hideVersionsModal() {
+        document.getElementById('versionsModal').classList.remove('show');
+        this.currentVersionsId = null;
+    }
+
+    async loadVersions(id) {
+        const list = document.getElementById('versionsList');
+
+        try {
+            const response = await fetch(`${this.API_BASE}/communications/${id}/versions`, {
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                list.innerHTML = `<li class="loading">${data.message || 'Failed to load versions'}</li>`;
+                return;
+            }
+
+            list.innerHTML = data.versions.map((version, index) => `
+                <li>
+                    <div>
+                        <strong>Version ${version.version}</strong>${index === 0 ? ' <span class="version-badge">current</span>' : ''}
+                        <br><small>${new Date(version.createdAt).toLocaleString()} · ${this.escapeHtml(version.uploadedBy?.name || 'Unknown')} · ${this.formatFileSize(version.fileSize)}</small>
+                        ${version.note ? `<br><small class="version-note">${this.escapeHtml(version.note)}</small>` : ''}
+                    </div>
+                    <a class="btn-edit" href="${this.API_BASE}/files/${encodeURIComponent(version.filename)}" target="_blank" rel="noopener">View</a>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading versions:', error);
+            list.innerHTML = '<li class="loading">Network error while loading versions</li>';
+        }
+    }
+
+    async handleVersionUpload(e) {
+        e.preventDefault();
+        if (!this.currentVersionsId) return;
+
+        const id = this.currentVersionsId;
+        const uploadBtn = document.getElementById('uploadVersionBtn');
+        uploadBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/communications/${id}`, {
+                method: 'PUT',
+                credentials: 'include',
+                body: new FormData(e.target)
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                this.showMessage(data.message || 'New version uploaded', 'success');
+                e.target.reset();
+                await this.loadCommunications();
+                await this.loadVersions(id);
+            } else {
+                this.showMessage(data.message || 'Upload failed', 'error');
+            }
+        } catch (error) {
+            console.error('Version upload error:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        } finally {
+            uploadBtn.disabled = false;
+        }
+    }
+
+
     async loadUsers() {
         try {
             console.log('Loading users from:', `${this.API_BASE}/users`);
@@ -607,7 +972,7 @@ class AdminPanel {
         if (users.length === 0) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="6" class="loading">
+                    <td colspan="7" class="loading">
                         ${filteredData ? 'No users match your search' : 'No users found'}
                     </td>
                 </tr>
@@ -626,8 +991,14 @@ class AdminPanel {
                 </td>
                 <td>${user.school}</td>
                 <td>${user.position}</td>
+                <td>${(user.committees || []).join(', ') || '—'}</td>
                 <td>
                     <div class="action-buttons">
+                        ${this.user.role === 'admin' ? `
+                            <button class="btn-edit" onclick="adminPanel.showCommitteesModal('${user.id}')">
+                                Committees
+                            </button>
+                        ` : ''}
                         ${user.id !== this.user.id ? `
                             <button class="btn-delete" onclick="adminPanel.showDeleteUserModal('${user.id}', '${user.name}')">
                                 Delete
@@ -657,6 +1028,212 @@ class AdminPanel {
         this.renderUsers(filtered);
     }
 
+    showCommitteesModal(id) {
+        const user = this.users.find(u => u.id === id);
+        if (!user) return;
+
+        this.currentCommitteesUserId = id;
+        document.getElementById('committeesModalText').innerHTML =
+            `Committees of <strong>${user.name}</strong>. Events can be shared with the members of a committee.`;
+        document.querySelectorAll('#committeesModal input[name="committee"]').forEach(input => {
+            input.checked = (user.committees || []).includes(input.value);
+        });
+        document.getElementById('committeesModal').classList.add('show');
+
+        document.getElementById('saveCommitteesBtn').onclick = () => this.saveCommittees();
+    }
+
+    hideCommitteesModal() {
+        document.getElementById('committeesModal').classList.remove('show');
+        this.currentCommitteesUserId = null;
+    }
+
+    async saveCommittees() {
+        if (!this.currentCommitteesUserId) return;
+
+        const committees = Array.from(document.querySelectorAll('#committeesModal input[name="committee"]:checked'))
+            .map(input => input.value);
+
+        try {
+            const response = await fetch(`${this.API_BASE}/users/${this.currentCommitteesUserId}`, {
+                method: 'PUT',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ committees })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                this.showMessage('Committees updated', 'success');
+                await this.loadUsers();
+            } else {
+                this.showMessage(data.message || 'Update failed', 'error');
+            }
+
+        } catch (error) {
+            console.error('Update committees error:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        } finally {
+            this.hideCommitteesModal();
+        }
+    }
+
+    async loadHolidays() {
+        try {
+            const response = await fetch(`${this.API_BASE}/holidays`, {
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            if (response.ok && data.success) {
+                this.holidays = data.holidays;
+                this.renderHolidays();
+            } else {
+                this.showMessage(data.message || 'Failed to load school holidays', 'error');
+            }
+        } catch (error) {
+            console.error('Error loading school holidays:', error);
+            this.showMessage('Error loading school holidays', 'error');
+        }
+    }
+
+    renderHolidays() {
+        const tbody = document.getElementById('holidaysTableBody');
+        const school = document.getElementById('holidaySchoolFilter').value;
+        const holidays = school ? this.holidays.filter(holiday => holiday.school === school) : this.holidays;
+
+        if (holidays.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="loading">
+                        ${school ? 'No dates recorded for this school' : 'No school holidays or terms recorded'}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString();
+
+        tbody.innerHTML = holidays.map(holiday => `
+            <tr>
+                <td>${this.escapeHtml(holiday.school)}</td>
+                <td><strong>${this.escapeHtml(holiday.name)}</strong></td>
+                <td>
+                    <span class="category-badge ${holiday.kind === 'holiday' ? 'category-report' : 'category-policy'}">
+                        ${holiday.kind === 'holiday' ? 'Holiday' : 'Term'}
+                    </span>
+                </td>
+                <td>${formatDate(holiday.startDate)}${holiday.endDate !== holiday.startDate ? ` – ${formatDate(holiday.endDate)}` : ''}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-edit" onclick="adminPanel.editHoliday('${holiday.id}')">
+                            Edit
+                        </button>
+                        <button class="btn-delete" onclick="adminPanel.deleteHoliday('${holiday.id}')">
+                            Delete
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    editHoliday(id) {
+        const holiday = this.holidays.find(h => h.id === id);
+        if (!holiday) return;
+
+        this.editingHolidayId = id;
+        document.getElementById('holidaySchool').value = holiday.school;
+        document.getElementById('holidayKind').value = holiday.kind;
+        document.getElementById('holidayName').value = holiday.name;
+        document.getElementById('holidayStart').value = holiday.startDate;
+        document.getElementById('holidayEnd').value = holiday.endDate;
+
+        document.getElementById('holidayFormTitle').textContent = 'Edit Holiday or Term';
+        document.getElementById('holidaySubmitBtn').textContent = 'Save Changes';
+        document.getElementById('holidayCancelBtn').style.display = 'inline-block';
+        document.getElementById('holidayForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    resetHolidayForm() {
+        this.editingHolidayId = null;
+        document.getElementById('holidayForm').reset();
+        document.getElementById('holidayFormTitle').textContent = 'Add Holiday or Term';
+        document.getElementById('holidaySubmitBtn').textContent = 'Add';
+        document.getElementById('holidayCancelBtn').style.display = 'none';
+    }
+
+    async handleHolidaySave(e) {
+        e.preventDefault();
+
+        const holidayData = Object.fromEntries(new FormData(e.target).entries());
+        if (holidayData.endDate < holidayData.startDate) {
+            this.showMessage('The last day cannot be before the first day', 'error');
+            return;
+        }
+
+        const editing = Boolean(this.editingHolidayId);
+        const submitBtn = document.getElementById('holidaySubmitBtn');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/holidays${editing ? `/${this.editingHolidayId}` : ''}`, {
+                method: editing ? 'PUT' : 'POST',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(holidayData)
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                this.showMessage(editing ? 'School holiday updated' : 'School holiday added', 'success');
+                this.resetHolidayForm();
+                await this.loadHolidays();
+            } else {
+                this.showMessage(data.errors?.[0]?.msg || data.message || 'Save failed', 'error');
+            }
+
+        } catch (error) {
+            console.error('Save school holiday error:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async deleteHoliday(id) {
+        const holiday = this.holidays.find(h => h.id === id);
+        if (!holiday || !confirm(`Delete "${holiday.name}" for ${holiday.school}?`)) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/holidays/${id}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                this.showMessage('School holiday deleted', 'success');
+                if (this.editingHolidayId === id) this.resetHolidayForm();
+                await this.loadHolidays();
+            } else {
+                this.showMessage(data.message || 'Delete failed', 'error');
+            }
+
+        } catch (error) {
+            console.error('Delete school holiday error:', error);
+            this.showMessage('Network error. Please try again.', 'error');
+        }
+    }
+
     getRoleClass(role) {
         const roleClasses = {
             'admin': 'category-memo',
@@ -666,6 +1243,15 @@ class AdminPanel {
         return roleClasses[role] || 'category-other';
     }
 
+    getAccessLevelLabel(level) {
+        const labels = {
+            'public': 'Everyone',
+            'members': 'Signed-in members',
+            'executives': 'Admins and executives'
+        };
+        return labels[level] || labels.public;
+    }
+
     capitalizeRole(role) {
         if (role === 'admin') return 'Administrator';
         if (role === 'executive') return 'Executive';
@@ -721,6 +1307,12 @@ class AdminPanel {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
     showMessage(message, type) {
         const container = document.getElementById('messageContainer');
         const messageDiv = document.createElement('div');
@@ -762,6 +1354,14 @@ function hideDeleteUserModal() {
     document.getElementById('deleteUserModal').classList.remove('show');
 }
 
+function hideCommitteesModal() {
+    document.getElementById('committeesModal').classList.remove('show');
+}
+
+function hideVersionsModal() {
+    document.getElementById('versionsModal').classList.remove('show');
+}
+
 let adminPanel;
 document.addEventListener('DOMContentLoaded', () => {
     adminPanel = new AdminPanel();
@@ -3,8 +3,19 @@ class Calendar {
         this.currentDate = new Date();
         this.currentView = 'month';
         this.events = [];
+        this.holidays = [];
+        this.holidayRange = null;
         this.selectedEventId = null;
+        this.selectedEvent = null;
         this.isEditMode = false;
+        this.feedUrls = null;
+        this.importCandidates = [];
+        this.communications = null;
+        this.templates = null;
+        this.templateDuration = null;
+        this.selectedAttachmentIds = new Set();
+        this.initialAttachmentIds = new Set();
+        this.viewerTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'Europe/Brussels';
         if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
             this.API_BASE = 'http://localhost:3001/api';
         } else {
@@ -31,12 +42,15 @@ class Calendar {
         await this.checkAuthState();
         
         this.bindEvents();
+        this.setupTimeZones();
         this.updateUI();
         this.showLoading(true);
+        const linkedEvent = this.getLinkedEvent();
         await this.loadEvents();
         this.showLoading(false);
         this.render();
         this.updateCurrentMonth();
+        this.openLinkedEvent(linkedEvent);
         console.log('✅ Calendar initialization complete');
     }
 
@@ -67,8 +81,15 @@ class Calendar {
         }
     }
 
+    canManageEvents() {
+        return this.isAuthenticated && this.currentUser &&
+            (this.currentUser.role === 'admin' || this.currentUser.role === 'executive');
+    }
+
     updateUI() {
         const addEventBtn = document.getElementById('addEventBtn');
+        const importEventsBtn = document.getElementById('importEventsBtn');
+        const pollsBtn = document.getElementById('pollsBtn');
         const todayBtn = document.getElementById('todayBtn');
         const authNotice = document.getElementById('authNotice');
         const calendarActions = document.getElementById('calendarActions');
@@ -78,6 +99,8 @@ class Calendar {
             if (todayBtn) todayBtn.style.display = 'block';
             if (authNotice) authNotice.style.display = 'none';
             if (calendarActions) calendarActions.classList.remove('guest-mode');
+            if (importEventsBtn) importEventsBtn.style.display = this.canManageEvents() ? 'block' : 'none';
+            if (pollsBtn) pollsBtn.style.display = 'block';
 
             this.updateNavigation();
         } else {
@@ -163,9 +186,10 @@ class Calendar {
             
             if (!response.ok) {
                 let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+                let errorData = null;
                 
                 try {
-                    const errorData = await response.json();
+                    errorData = await response.json();
                     console.error('❌ Error response data:', errorData);
                     errorMessage = errorData.message || errorMessage;
                 } catch (parseError) {
@@ -182,7 +206,11 @@ class Calendar {
                     return null;
                 }
                 
-                throw new Error(errorMessage);
+                // Keep the response so callers can act on structured errors such as conflicts
+                const apiError = new Error(errorMessage);
+                apiError.status = response.status;
+                apiError.data = errorData;
+                throw apiError;
             }
 
             const data = await response.json();
@@ -215,7 +243,7 @@ class Calendar {
             const data = await this.apiCall(`/events?year=${currentYear}&month=${currentMonth}`);
             
             if (data && data.success) {
-                this.events = data.events || [];
+                this.events = (data.events || []).map(event => this.localizeEvent(event));
                 console.log(`✅ Loaded ${this.events.length} events from backend`);
             } else if (data && data.needsAuth) {
                 console.log('📅 Loading sample/public events for non-authenticated user');
@@ -238,6 +266,87 @@ class Calendar {
             console.log('🔄 Loading sample events as fallback');
             this.events = this.loadSampleEvents();
         }
+
+        await this.loadHolidays();
+    }
+
+    // School holidays and terms for the whole month grid, which also covers the week view
+    async loadHolidays() {
+        const firstDay = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), 1);
+        const gridStart = new Date(firstDay);
+        gridStart.setDate(gridStart.getDate() - firstDay.getDay());
+        const gridEnd = new Date(gridStart);
+        gridEnd.setDate(gridEnd.getDate() + 41);
+
+        const range = `startDate=${this.toDateKey(gridStart)}&endDate=${this.toDateKey(gridEnd)}`;
+        if (range === this.holidayRange) return;
+
+        try {
+            const data = await this.apiCall(`/holidays?${range}`);
+            if (data && data.success) {
+                this.holidays = data.holidays || [];
+                this.holidayRange = range;
+            }
+        } catch (error) {
+            // The overlay is a planning aid; the calendar works without it
+            console.error('❌ Error loading school holidays:', error);
+            this.holidays = [];
+        }
+    }
+
+    getHolidayNotes(dateKey) {
+        const onHoliday = this.holidays.filter(holiday =>
+            holiday.kind === 'holiday' && holiday.startDate <= dateKey && holiday.endDate >= dateKey);
+        const termChanges = this.holidays.filter(holiday =>
+            holiday.kind === 'term' && (holiday.startDate === dateKey || holiday.endDate === dateKey));
+
+        return {
+            onHoliday,
+            lines: [
+                ...onHoliday.map(holiday => `${holiday.school}: ${holiday.name}`),
+                ...termChanges.map(term =>
+                    `${term.school}: ${term.name} ${term.startDate === dateKey ? 'starts' : 'ends'}`)
+            ]
+        };
+    }
+
+    createHolidayMarker(dateKey) {
+        const { onHoliday, lines } = this.getHolidayNotes(dateKey);
+        if (lines.length === 0) return null;
+
+        const schools = [...new Set(onHoliday.map(holiday => holiday.school))];
+        const marker = document.createElement('div');
+        marker.className = `holiday-marker${schools.length ? '' : ' term-change'}`;
+        marker.textContent = schools.length
+            ? `🏖️ ${schools.length === 1 ? schools[0] : `${schools.length} schools`} on holiday`
+            : '🎒 Term dates';
+        marker.title = lines.join('\n');
+        return marker;
+    }
+
+    async confirmHolidayClashes(eventData) {
+        const audience = eventData.audience;
+        const params = new URLSearchParams({
+            startDate: eventData.date,
+            endDate: eventData.endDate || eventData.date
+        });
+        if (audience.type === 'restricted' && audience.schools.length) {
+            params.set('schools', audience.schools.join(','));
+        }
+
+        try {
+            const data = await this.apiCall(`/holidays/clashes?${params.toString()}`);
+            const clashes = (data && data.clashes) || [];
+            if (clashes.length === 0) return true;
+
+            const lines = clashes.map(holiday => holiday.startDate === holiday.endDate
+                ? `• ${holiday.school}: ${holiday.name} (${holiday.startDate})`
+                : `• ${holiday.school}: ${holiday.name} (${holiday.startDate} – ${holiday.endDate})`);
+            return confirm(`This date falls in the school holidays of:\n\n${lines.join('\n')}\n\nCreate the event anyway?`);
+        } catch (error) {
+            console.error('❌ Error checking school holidays:', error);
+            return true;
+        }
     }
 
     bindEvents() {
@@ -260,8 +369,65 @@ class Calendar {
         document.getElementById('eventForm').addEventListener('submit', (e) => this.saveEvent(e));
 
         document.getElementById('agendaFilter').addEventListener('change', () => this.renderAgenda());
+        document.getElementById('agendaSearch').addEventListener('input', () => {
+            clearTimeout(this.agendaSearchTimer);
+            this.agendaSearchTimer = setTimeout(() => this.renderAgenda(), 300);
+        });
+        ['agendaSchool', 'agendaStatus', 'agendaFrom', 'agendaTo', 'agendaMine'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderAgenda());
+        });
+        document.getElementById('exportAgendaPdfBtn').addEventListener('click', () => this.exportAgenda('pdf'));
+        document.getElementById('exportAgendaCsvBtn').addEventListener('click', () => this.exportAgenda('csv'));
+        document.getElementById('storeAgendaBtn').addEventListener('click', () => this.storeAgendaCommunication());
 
         document.getElementById('editEventBtn').addEventListener('click', () => this.editCurrentEvent());
+
+        document.getElementById('viewAttendeesBtn').addEventListener('click', () => this.loadAttendees());
+
+        document.getElementById('viewMinutesBtn').addEventListener('click', () => this.openMinutesModal());
+        document.getElementById('viewHistoryBtn').addEventListener('click', () => this.loadHistory());
+        document.getElementById('saveMinutesBtn').addEventListener('click', () => this.saveMinutes());
+        document.getElementById('downloadMinutesBtn').addEventListener('click', () => this.downloadMinutes());
+        document.getElementById('storeMinutesBtn').addEventListener('click', () => this.storeMinutesReport());
+
+        document.getElementById('eventRepeat').addEventListener('change', () => this.toggleRecurrenceFields());
+
+        document.getElementById('eventAllDay').addEventListener('change', () => this.toggleAllDayFields());
+        document.getElementById('eventTemplate').addEventListener('change', (e) => this.applyTemplate(e.target.value));
+        document.getElementById('saveTemplateBtn').addEventListener('click', () => this.saveTemplate());
+        document.getElementById('deleteTemplateBtn').addEventListener('click', () => this.deleteTemplate());
+        ['eventDate', 'eventTime'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateTemplateEnd());
+        });
+        // An end set by hand wins over the template's duration
+        ['eventEndDate', 'eventEndTime'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => { this.templateDuration = null; });
+        });
+
+        document.getElementById('eventAudience').addEventListener('change', () => this.toggleAudienceFields());
+        document.getElementById('eventMeetingProvider').addEventListener('change', () => this.toggleMeetingFields());
+
+        document.getElementById('subscribeBtn').addEventListener('click', () => this.openFeedModal());
+        document.getElementById('feedType').addEventListener('change', () => this.updateFeedLink());
+        document.getElementById('copyFeedBtn').addEventListener('click', () => this.copyFeedLink());
+        document.getElementById('resetFeedBtn').addEventListener('click', () => this.resetFeedLink());
+        document.getElementById('reminderSubscribe').addEventListener('change', () => this.saveReminderSetting());
+        document.getElementById('attachmentSearch').addEventListener('input', () => this.renderAttachmentPicker());
+
+        document.getElementById('importEventsBtn').addEventListener('click', () => this.openImportModal());
+
+        document.getElementById('pollsBtn').addEventListener('click', () => this.openPollsModal());
+        document.getElementById('pollsBackBtn').addEventListener('click', () => this.loadPolls());
+        document.getElementById('newPollBtn').addEventListener('click', () => this.openPollForm());
+        document.getElementById('createPollBtn').addEventListener('click', () => this.createPoll());
+        document.getElementById('saveVotesBtn').addEventListener('click', () => this.savePollVotes());
+        document.getElementById('deletePollBtn').addEventListener('click', () => this.deletePoll());
+        document.getElementById('previewImportBtn').addEventListener('click', () => this.previewImport());
+        document.getElementById('confirmImportBtn').addEventListener('click', () => this.confirmImport());
+
+        document.querySelectorAll('input[name="scope"]').forEach(radio => {
+            radio.addEventListener('change', (e) => this.applyEditScope(e.target.value));
+        });
     }
 
     isNavigationBlocked() {
@@ -396,11 +562,20 @@ class Calendar {
         dayNumber.textContent = date.getDate();
         day.appendChild(dayNumber);
 
+        const dateKey = this.toDateKey(date);
+        const holidayMarker = this.createHolidayMarker(dateKey);
+        if (holidayMarker) {
+            day.classList.add('has-holiday');
+            day.appendChild(holidayMarker);
+        }
         const dayEvents = this.getEventsForDate(date);
         dayEvents.forEach(event => {
             const eventElement = document.createElement('div');
-            eventElement.className = `event-item ${event.type}`;
+            eventElement.className = `event-item ${event.type}${this.statusClass(event)}`;
             eventElement.textContent = event.title;
+
+            if (dateKey !== event.date) eventElement.classList.add('continues-before');
+            if (dateKey !== this.getEventEndDate(event)) eventElement.classList.add('continues-after');
             
             if (event.createdBy && event.createdBy.name) {
                 eventElement.title = `${event.title}\nOrganizer: ${event.organizer || event.createdBy.name}`;
@@ -410,6 +585,7 @@ class Calendar {
                 e.stopPropagation();
                 this.showEventDetails(event);
             });
+            this.makeDraggable(eventElement, event, dateKey);
             day.appendChild(eventElement);
         });
 
@@ -417,6 +593,7 @@ class Calendar {
             day.addEventListener('click', () => {
                 this.openEventModal(date);
             });
+            this.makeDayDropTarget(day, dateKey);
         }
 
         return day;
@@ -449,6 +626,8 @@ class Calendar {
                 <div>${this.getDayName(i)}</div>
                 <div>${date.getDate()}</div>
             `;
+            const holidayMarker = this.createHolidayMarker(this.toDateKey(date));
+            if (holidayMarker) dayElement.appendChild(holidayMarker);
             weekDays.appendChild(dayElement);
         }
 
@@ -459,6 +638,41 @@ class Calendar {
         const weekGrid = document.getElementById('weekGrid');
         weekGrid.innerHTML = '';
 
+        const allDayLabel = document.createElement('div');
+        allDayLabel.className = 'week-all-day-label';
+        allDayLabel.textContent = 'All day';
+        weekGrid.appendChild(allDayLabel);
+
+        const allDayRow = document.createElement('div');
+        allDayRow.className = 'week-all-day';
+
+        for (let day = 0; day < 7; day++) {
+            const date = new Date(weekStart);
+            date.setDate(weekStart.getDate() + day);
+
+            const cell = document.createElement('div');
+            cell.className = 'week-all-day-cell';
+            const dateKey = this.toDateKey(date);
+
+            this.getEventsForDate(date)
+                .filter(event => event.allDay || !event.time)
+                .forEach(event => {
+                    const eventElement = document.createElement('div');
+                    eventElement.className = `event-item ${event.type}${this.statusClass(event)}`;
+                    eventElement.textContent = event.title;
+                    eventElement.addEventListener('click', () => this.showEventDetails(event));
+                    this.makeDraggable(eventElement, event, dateKey);
+                    cell.appendChild(eventElement);
+                });
+
+            if (this.isAuthenticated) {
+                this.makeDayDropTarget(cell, dateKey);
+            }
+
+            allDayRow.appendChild(cell);
+        }
+        weekGrid.appendChild(allDayRow);
+
         const timeSlots = document.createElement('div');
         timeSlots.className = 'week-time-slots';
         
@@ -481,33 +695,300 @@ class Calendar {
             dayEvents.className = 'week-day-events';
             dayEvents.style.height = '1440px';
             
+            const dateKey = this.toDateKey(date);
             const events = this.getEventsForDate(date);
             events.forEach(event => {
-                if (event.time) {
-                    const [hours, minutes] = event.time.split(':');
-                    const top = (parseInt(hours) * 60) + parseInt(minutes || 0);
+                if (event.time && !event.allDay) {
+                    const segment = this.getDaySegment(event, dateKey);
                     
                     const eventElement = document.createElement('div');
-                    eventElement.className = `week-event ${event.type}`;
-                    eventElement.style.top = `${top}px`;
-                    eventElement.style.height = '30px';
-                    eventElement.textContent = event.title;
+                    eventElement.className = `week-event ${event.type}${this.statusClass(event)}`;
+                    eventElement.style.top = `${segment.top}px`;
+                    eventElement.style.height = `${segment.height}px`;
+                    eventElement.innerHTML = `
+                        <span class="week-event-time">${this.formatTimeRange(event)}</span>
+                        ${this.escapeHtml(event.title)}
+                    `;
                     eventElement.addEventListener('click', () => this.showEventDetails(event));
+                    this.makeDraggable(eventElement, event, dateKey, segment.top);
                     
                     dayEvents.appendChild(eventElement);
                 }
             });
+
+            if (this.isAuthenticated) {
+                this.makeTimeDropTarget(dayEvents, dateKey);
+            }
             
             eventsGrid.appendChild(dayEvents);
         }
         weekGrid.appendChild(eventsGrid);
     }
 
+    canDragEvent(event) {
+        return this.isAuthenticated && Boolean(event.canEdit) && !String(event.id).startsWith('sample-');
+    }
+
+    /**
+     * Drag state remembers which day (and, in the week grid, which minute of the
+     * segment) the event was picked up from, so drops move it by the same offset.
+     */
+    makeDraggable(element, event, dateKey, segmentTop = null) {
+        if (!this.canDragEvent(event)) return;
+
+        element.draggable = true;
+        element.addEventListener('dragstart', (e) => {
+            this.dragState = {
+                event,
+                fromDate: dateKey,
+                segmentTop,
+                grabOffset: segmentTop === null ? 0 : e.clientY - element.getBoundingClientRect().top
+            };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', event.title);
+            element.classList.add('dragging');
+        });
+        element.addEventListener('dragend', () => {
+            element.classList.remove('dragging');
+            this.dragState = null;
+            document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+        });
+    }
+
+    bindDropTarget(element, onDrop) {
+        element.addEventListener('dragover', (e) => {
+            if (!this.dragState) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            element.classList.add('drop-target');
+        });
+        element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+        element.addEventListener('drop', (e) => {
+            if (!this.dragState) return;
+            e.preventDefault();
+            e.stopPropagation();
+            element.classList.remove('drop-target');
+            const state = this.dragState;
+            this.dragState = null;
+            onDrop(e, state);
+        });
+    }
+
+    // Month cells and all-day cells keep the time and move the event by whole days
+    makeDayDropTarget(element, dateKey) {
+        this.bindDropTarget(element, (e, state) => {
+            const days = this.daysBetween(state.fromDate, dateKey);
+            if (days !== 0) this.moveEvent(state.event, days * 24 * 60);
+        });
+    }
+
+    // Week columns are 1px per minute; drops snap to a quarter of an hour
+    makeTimeDropTarget(element, dateKey) {
+        const SNAP_MINUTES = 15;
+
+        this.bindDropTarget(element, (e, state) => {
+            const { event } = state;
+            if (event.allDay || !event.time) {
+                const days = this.daysBetween(state.fromDate, dateKey);
+                if (days !== 0) this.moveEvent(event, days * 24 * 60);
+                return;
+            }
+
+            const dropTop = e.clientY - element.getBoundingClientRect().top - state.grabOffset;
+            const snapped = Math.round(dropTop / SNAP_MINUTES) * SNAP_MINUTES;
+            const minutes = this.daysBetween(state.fromDate, dateKey) * 24 * 60 +
+                snapped - (state.segmentTop || 0);
+            if (minutes !== 0) this.moveEvent(event, minutes);
+        });
+    }
+
+    daysBetween(fromKey, toKey) {
+        return Math.round((this.parseLocalDate(toKey) - this.parseLocalDate(fromKey)) / 86400000);
+    }
+
+    // Wall-clock date and time moved by a number of minutes, without time zone shifts
+    shiftDateTime(date, time, minutes) {
+        const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+        const start = Date.UTC(year, month - 1, day) + (time ? this.toMinutes(time) : 0) * 60000;
+        const shifted = new Date(start + minutes * 60000).toISOString();
+        return { date: shifted.slice(0, 10), time: time ? shifted.slice(11, 16) : null };
+    }
+
+    shiftTiming(timing, minutes) {
+        const start = this.shiftDateTime(timing.date, timing.time, minutes);
+        const end = timing.endTime || timing.endDate
+            ? this.shiftDateTime(timing.endDate || timing.date, timing.endTime, minutes)
+            : null;
+
+        return {
+            date: start.date,
+            time: start.time,
+            endDate: end && end.date !== start.date ? end.date : null,
+            endTime: end ? end.time : null
+        };
+    }
+
+    /**
+     * Reschedule a dropped event. The calendar updates straight away and is put
+     * back if the server rejects the change; an undo toast offers to move it back.
+     */
+    async moveEvent(event, minutes) {
+        const original = event.organizerTiming || {
+            date: event.date,
+            time: event.time,
+            endDate: event.endDate,
+            endTime: event.endTime
+        };
+        const moved = this.shiftTiming(original, minutes);
+        const snapshot = { ...event };
+
+        const localTiming = this.shiftTiming(event, minutes);
+        Object.assign(event, localTiming);
+        if (event.organizerTiming) event.organizerTiming = moved;
+        this.render();
+
+        const payload = { ...moved };
+        if (event.recurrence && event.occurrenceDate) {
+            payload.scope = 'occurrence';
+            payload.occurrenceDate = event.occurrenceDate;
+        }
+
+        const restore = () => {
+            Object.keys(event).forEach(key => delete event[key]);
+            Object.assign(event, snapshot);
+            this.render();
+        };
+
+        try {
+            const data = await this.saveWithConflictCheck(`/events/${event.id}`, 'PUT', payload, 'Move Anyway');
+            if (data && data.cancelled) {
+                restore();
+                return;
+            }
+
+            if (!data || !data.success) {
+                throw new Error(data?.message || 'Failed to move event');
+            }
+
+            console.log(`✅ Event ${event.id} moved by ${minutes} minutes`);
+            // A moved occurrence becomes its own event, so undo targets the saved one
+            this.showUndoToast(`"${event.title}" moved`, () => this.undoMove(data.event.id, original));
+            await this.loadEvents();
+            this.render();
+        } catch (error) {
+            console.error('❌ Error moving event:', error);
+            restore();
+            this.showMessage(error.message || 'Failed to move event. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * POST or PUT an event. When the server reports overlapping events the
+     * organizer is asked whether to go ahead; { cancelled: true } means they did not.
+     */
+    async saveWithConflictCheck(endpoint, method, payload, confirmLabel) {
+        try {
+            return await this.apiCall(endpoint, { method, body: JSON.stringify(payload) });
+        } catch (error) {
+            if (error.status !== 409 || !error.data || !error.data.conflicts) throw error;
+
+            if (!(await this.confirmConflicts(error.data, confirmLabel))) {
+                return { success: false, cancelled: true };
+            }
+            return this.apiCall(endpoint, {
+                method,
+                body: JSON.stringify({ ...payload, ignoreConflicts: true })
+            });
+        }
+    }
+
+    confirmConflicts(warning, confirmLabel) {
+        const reasonLabels = { audience: 'same audience', organizer: 'same organizer' };
+
+        document.getElementById('conflictIntro').textContent = warning.message;
+        document.getElementById('conflictList').innerHTML = warning.conflicts.map(conflict => {
+            const timing = this.formatEventTiming({
+                date: conflict.date,
+                time: conflict.time ? conflict.time.slice(0, 5) : null,
+                endDate: conflict.endDate,
+                endTime: conflict.endTime ? conflict.endTime.slice(0, 5) : null,
+                allDay: conflict.allDay
+            });
+            const reasons = conflict.reasons.map(reason => reasonLabels[reason] || reason).join(', ');
+
+            return `
+                <li>
+                    <strong>${this.escapeHtml(conflict.title)}</strong>
+                    <span class="conflict-timing">${this.escapeHtml(timing)} (${this.escapeHtml(this.formatTimeZoneName(conflict.timeZone))})</span>
+                    <span class="conflict-reasons">${this.escapeHtml(reasons)}${conflict.organizer ? ` · ${this.escapeHtml(conflict.organizer)}` : ''}</span>
+                </li>
+            `;
+        }).join('');
+
+        const confirmBtn = document.getElementById('conflictConfirmBtn');
+        const cancelBtn = document.getElementById('conflictCancelBtn');
+        confirmBtn.textContent = confirmLabel;
+
+        const modal = document.getElementById('conflictModal');
+        modal.classList.add('show');
+
+        return new Promise(resolve => {
+            const finish = (proceed) => {
+                modal.classList.remove('show');
+                confirmBtn.onclick = null;
+                cancelBtn.onclick = null;
+                modal.onclick = null;
+                resolve(proceed);
+            };
+            confirmBtn.onclick = () => finish(true);
+            cancelBtn.onclick = () => finish(false);
+            // Clicking outside closes the modal, which counts as going back
+            modal.onclick = (e) => {
+                if (e.target === modal) finish(false);
+            };
+        });
+    }
+
+    async undoMove(eventId, timing) {
+        try {
+            const data = await this.apiCall(`/events/${eventId}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    date: timing.date,
+                    time: timing.time,
+                    endDate: timing.endDate || null,
+                    endTime: timing.endTime || null,
+                    ignoreConflicts: true
+                })
+            });
+
+            if (!data || !data.success) {
+                throw new Error(data?.message || 'Failed to undo the move');
+            }
+
+            this.showMessage('Move undone', 'success');
+            await this.loadEvents();
+            this.render();
+        } catch (error) {
+            console.error('❌ Error undoing move:', error);
+            this.showMessage(error.message || 'Failed to undo the move', 'error');
+        }
+    }
+
     renderAgenda() {
         document.getElementById('monthView').style.display = 'none';
         document.getElementById('weekView').style.display = 'none';
         document.getElementById('agendaView').style.display = 'block';
 
+        document.getElementById('agendaMineLabel').style.display = this.isAuthenticated ? '' : 'none';
+        document.getElementById('storeAgendaBtn').style.display = this.canManageEvents() ? 'inline-block' : 'none';
+
+        const searchParams = this.getAgendaSearchParams();
+        if (searchParams) {
+            this.searchAgenda(searchParams);
+            return;
+        }
+
         const agendaList = document.getElementById('agendaList');
         const filter = document.getElementById('agendaFilter').value;
 
@@ -519,11 +1000,13 @@ class Calendar {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
 
-        const upcomingEvents = filteredEvents.filter(event => new Date(event.date) >= today);
-        const previousEvents = filteredEvents.filter(event => new Date(event.date) < today);
+        // Multi-day events stay upcoming until their last day has passed
+        const upcomingEvents = filteredEvents.filter(event => this.parseLocalDate(this.getEventEndDate(event)) >= today);
+        const previousEvents = filteredEvents.filter(event => this.parseLocalDate(this.getEventEndDate(event)) < today);
 
-        upcomingEvents.sort((a, b) => new Date(a.date) - new Date(b.date));
-        previousEvents.sort((a, b) => new Date(b.date) - new Date(a.date));
+        const byStart = (a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || '');
+        upcomingEvents.sort(byStart);
+        previousEvents.sort((a, b) => byStart(b, a));
 
         agendaList.innerHTML = '';
 
@@ -555,43 +1038,357 @@ class Calendar {
         }
     }
 
+    // Query for the search API, or null when only the type filter is set and the loaded month will do
+    getAgendaSearchParams() {
+        const params = new URLSearchParams();
+        const fields = {
+            q: document.getElementById('agendaSearch').value.trim(),
+            school: document.getElementById('agendaSchool').value,
+            status: document.getElementById('agendaStatus').value,
+            startDate: document.getElementById('agendaFrom').value,
+            endDate: document.getElementById('agendaTo').value,
+            createdBy: this.isAuthenticated && document.getElementById('agendaMine').checked ? 'me' : ''
+        };
+
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        if (!params.toString()) return null;
+
+        const type = document.getElementById('agendaFilter').value;
+        if (type !== 'all') params.set('type', type);
+        return params;
+    }
+
+    async searchAgenda(params, cursor = null) {
+        const agendaList = document.getElementById('agendaList');
+        const searchId = (this.agendaSearchId || 0) + 1;
+        this.agendaSearchId = searchId;
+
+        if (cursor) {
+            params.set('cursor', cursor);
+        } else {
+            agendaList.innerHTML = '<p style="text-align: center; color: #7f8c8d; padding: 2rem;">Searching...</p>';
+        }
+
+        try {
+            const data = await this.apiCall(`/events/search?${params.toString()}`);
+            // A newer search has started while this one was in flight
+            if (searchId !== this.agendaSearchId) return;
+
+            if (!data || !data.success) {
+                throw new Error(data?.message || 'Search failed');
+            }
+
+            if (!cursor) agendaList.innerHTML = '';
+            const moreBtn = document.getElementById('agendaMoreBtn');
+            if (moreBtn) moreBtn.remove();
+
+            const results = (data.events || []).map(event => this.localizeEvent(event));
+            if (!cursor && results.length === 0) {
+                agendaList.innerHTML = '<p style="text-align: center; color: #7f8c8d; padding: 2rem;">No events match your search.</p>';
+                return;
+            }
+
+            results.forEach(event => agendaList.appendChild(this.createAgendaItem(event)));
+
+            if (data.nextCursor) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.id = 'agendaMoreBtn';
+                button.className = 'btn-cancel agenda-more';
+                button.textContent = 'Show more results';
+                button.addEventListener('click', () => this.searchAgenda(params, data.nextCursor));
+                agendaList.appendChild(button);
+            }
+        } catch (error) {
+            console.error('❌ Error searching events:', error);
+            if (searchId === this.agendaSearchId) {
+                this.showMessage(error.message || 'Search failed. Please try again.', 'error');
+            }
+        }
+    }
+
+    // The agenda's filters as export parameters; without From/To the loaded month is exported
+    getAgendaExportParams() {
+        const params = this.getAgendaSearchParams() || new URLSearchParams();
+        const type = document.getElementById('agendaFilter').value;
+        if (type !== 'all') params.set('type', type);
+
+        const startDate = params.get('startDate');
+        const endDate = params.get('endDate');
+        if (!startDate || !endDate) {
+            params.delete('startDate');
+            params.delete('endDate');
+            params.set('year', this.currentDate.getFullYear());
+            params.set('month', this.currentDate.getMonth() + 1);
+        }
+        return params;
+    }
+
+    async exportAgenda(format) {
+        const params = this.getAgendaExportParams();
+        params.set('format', format);
+
+        try {
+            const response = await fetch(`${this.API_BASE}/events/export?${params.toString()}`, {
+                credentials: 'include'
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => null);
+                throw new Error(data?.errors?.[0]?.msg || data?.message || 'Failed to export the agenda');
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `agenda.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('❌ Error exporting agenda:', error);
+            this.showMessage(error.message || 'Failed to export the agenda', 'error');
+        }
+    }
+
+    async storeAgendaCommunication() {
+        const title = prompt('Title for the agenda communication:', 'InterParents Agenda');
+        if (title === null) return;
+
+        const body = Object.fromEntries(this.getAgendaExportParams());
+        if (title.trim()) body.title = title.trim();
+
+        try {
+            const data = await this.apiCall('/events/export/communication', {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            if (data && data.success) {
+                this.communications = null;
+                this.showMessage('Agenda saved as a communication', 'success');
+            } else {
+                throw new Error(data?.errors?.[0]?.msg || data?.message || 'Failed to save the agenda');
+            }
+        } catch (error) {
+            console.error('❌ Error storing agenda:', error);
+            this.showMessage(error.message || 'Failed to save the agenda', 'error');
+        }
+    }
+
     createAgendaItem(event) {
             const agendaItem = document.createElement('div');
-            agendaItem.className = `agenda-item ${event.type}`;
-            
-            const eventDate = new Date(event.date);
-            const dateStr = eventDate.toLocaleDateString('en-US', {
-                weekday: 'long',
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
+            agendaItem.className = `agenda-item ${event.type}${this.statusClass(event)}`;
 
             let creatorInfo = '';
             if (event.createdBy && event.createdBy.name) {
-                creatorInfo = `👤 ${event.createdBy.name}`;
+                creatorInfo = `👤 ${this.escapeHtml(event.createdBy.name)}`;
             }
 
             agendaItem.innerHTML = `
-                <div class="agenda-date">${dateStr} ${event.time ? `at ${event.time}` : ''}</div>
-                <div class="agenda-title">${event.title}</div>
+                <div class="agenda-date">${this.formatEventTiming(event)}</div>
+                <div class="agenda-title">${this.renderStatusBadge(event)}${this.escapeHtml(event.title)}</div>
                 <div class="agenda-details">
-                    ${event.location ? `📍 ${event.location}` : ''}
-                    ${event.organizer ? `👥 ${event.organizer}` : ''}
+                    ${event.location ? `📍 ${this.escapeHtml(event.location)}` : ''}
+                    ${event.organizer ? `👥 ${this.escapeHtml(event.organizer)}` : ''}
                     ${creatorInfo ? `<br>${creatorInfo}` : ''}
                 </div>
+                ${this.isAuthenticated ? this.renderJoinButton(event) : ''}
             `;
 
+            this.bindJoinButtons(agendaItem, event);
             agendaItem.addEventListener('click', () => this.showEventDetails(event));
             return agendaItem;
     }
 
+    statusClass(event) {
+        return event.status && event.status !== 'scheduled' ? ` status-${event.status}` : '';
+    }
+
+    renderStatusBadge(event) {
+        if (!event.status || event.status === 'scheduled') return '';
+        return `<span class="status-badge ${event.status}">${this.capitalizeFirst(event.status)}</span> `;
+    }
+
+    renderStatusBanner(event) {
+        if (!event.status || event.status === 'scheduled') return '';
+
+        const heading = event.status === 'cancelled'
+            ? 'This event has been cancelled.'
+            : 'This event has been postponed. The date shown may change.';
+        return `
+            <div class="event-status-banner ${event.status}">
+                <strong>${heading}</strong>
+                ${event.statusNote ? `<div>${this.escapeHtml(event.statusNote)}</div>` : ''}
+            </div>
+        `;
+    }
+
     getEventsForDate(date) {
+        const dateStr = this.toDateKey(date);
+        return this.events.filter(event => event.date <= dateStr && this.getEventEndDate(event) >= dateStr);
+    }
+
+    toDateKey(date) {
         const year = date.getFullYear();
         const month = String(date.getMonth() + 1).padStart(2, '0');
         const day = String(date.getDate()).padStart(2, '0');
-        const dateStr = `${year}-${month}-${day}`;
-        return this.events.filter(event => event.date === dateStr);
+        return `${year}-${month}-${day}`;
+    }
+
+    // Parse YYYY-MM-DD as a local date; new Date(str) would treat it as UTC
+    parseLocalDate(dateStr) {
+        const [year, month, day] = dateStr.slice(0, 10).split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    getEventEndDate(event) {
+        return event.endDate || event.date;
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    // Minutes from midnight an event covers on one day of the week grid (1px per minute)
+    getDaySegment(event, dateKey) {
+        const DEFAULT_DURATION_MINUTES = 60;
+        const DAY_MINUTES = 24 * 60;
+        const top = dateKey === event.date ? this.toMinutes(event.time) : 0;
+
+        let bottom = DAY_MINUTES;
+        if (dateKey === this.getEventEndDate(event)) {
+            if (event.endTime) {
+                bottom = this.toMinutes(event.endTime);
+            } else if (!event.endDate) {
+                bottom = top + DEFAULT_DURATION_MINUTES;
+            }
+        }
+
+        return {
+            top,
+            height: Math.max(Math.min(bottom, DAY_MINUTES) - top, 20)
+        };
+    }
+
+    formatTimeRange(event) {
+        if (event.allDay || !event.time) return 'All day';
+        return event.endTime ? `${event.time}–${event.endTime}` : event.time;
+    }
+
+    formatEventTiming(event) {
+        const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+        const startStr = this.parseLocalDate(event.date).toLocaleDateString('en-US', options);
+        const endDate = this.getEventEndDate(event);
+        const endStr = endDate !== event.date
+            ? this.parseLocalDate(endDate).toLocaleDateString('en-US', options)
+            : null;
+
+        if (event.allDay) {
+            return endStr ? `${startStr} – ${endStr} (all day)` : `${startStr} (all day)`;
+        }
+
+        if (!event.time) {
+            return endStr ? `${startStr} – ${endStr}` : startStr;
+        }
+
+        const organizerTime = this.formatOrganizerTime(event);
+        const suffix = organizerTime ? ` (${organizerTime})` : '';
+
+        if (endStr) {
+            return `${startStr} at ${event.time} – ${endStr}${event.endTime ? ` at ${event.endTime}` : ''}${suffix}`;
+        }
+
+        return `${startStr} at ${this.formatTimeRange(event)}${suffix}`;
+    }
+
+    setupTimeZones() {
+        const select = document.getElementById('eventTimeZone');
+        if (!Array.from(select.options).some(option => option.value === this.viewerTimeZone)) {
+            select.add(new Option(this.formatTimeZoneName(this.viewerTimeZone), this.viewerTimeZone), 0);
+        }
+
+        document.getElementById('viewerTimeZoneNote').textContent =
+            `Times are shown in your time zone (${this.formatTimeZoneName(this.viewerTimeZone)})`;
+    }
+
+    setTimeZoneField(timeZone) {
+        const select = document.getElementById('eventTimeZone');
+        if (!Array.from(select.options).some(option => option.value === timeZone)) {
+            select.add(new Option(this.formatTimeZoneName(timeZone), timeZone));
+        }
+        select.value = timeZone;
+    }
+
+    formatTimeZoneName(timeZone) {
+        return timeZone.split('/').pop().replace(/_/g, ' ');
+    }
+
+    // Wall-clock { date, time } of a UTC instant in the viewer's zone
+    toViewerDateTime(isoString) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.viewerTimeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(isoString)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            time: `${parts.hour}:${parts.minute}`
+        };
+    }
+
+    /**
+     * Move a timed event's date/time fields into the viewer's zone. The organizer's
+     * values are kept on organizerTiming for editing and for display alongside.
+     */
+    localizeEvent(event) {
+        if (!event.startsAt || !event.timeZone || event.timeZone === this.viewerTimeZone) {
+            return event;
+        }
+
+        const start = this.toViewerDateTime(event.startsAt);
+        const end = event.endsAt ? this.toViewerDateTime(event.endsAt) : null;
+
+        return {
+            ...event,
+            date: start.date,
+            time: start.time,
+            endDate: end && end.date !== start.date ? end.date : null,
+            endTime: end ? end.time : null,
+            organizerTiming: {
+                date: event.date,
+                time: event.time,
+                endDate: event.endDate,
+                endTime: event.endTime
+            }
+        };
+    }
+
+    formatOrganizerTime(event) {
+        const organizerTiming = event.organizerTiming;
+        if (!organizerTiming) return null;
+
+        const range = organizerTiming.endTime && !organizerTiming.endDate
+            ? `${organizerTiming.time}–${organizerTiming.endTime}`
+            : organizerTiming.time;
+        const dayNote = organizerTiming.date !== event.date
+            ? ` on ${this.parseLocalDate(organizerTiming.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`
+            : '';
+
+        return `${range}${dayNote} ${this.formatTimeZoneName(event.timeZone)} time`;
     }
 
     switchView(view) {
@@ -631,7 +1428,17 @@ class Calendar {
         
         form.reset();
         this.selectedEventId = null;
+        this.selectedEvent = null;
         this.isEditMode = false;
+        this.applyEditScope('series');
+        this.toggleAllDayFields();
+        this.setTimeZoneField(this.viewerTimeZone);
+        this.setAudienceFields(null);
+        this.toggleMeetingFields();
+        this.prepareAttachmentPicker(null);
+        this.prepareTemplatePicker();
+        document.getElementById('recurrenceScopeGroup').style.display = 'none';
+        document.getElementById('eventStatusGroup').style.display = 'none';
         
         if (date) {
             const year = date.getFullYear();
@@ -654,14 +1461,6 @@ class Calendar {
         const content = document.getElementById('eventDetailsContent');
         
         document.getElementById('eventDetailsTitle').textContent = event.title;
-        
-        const eventDate = new Date(event.date);
-        const dateStr = eventDate.toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
 
         let creatorInfo = '';
         if (event.createdBy && event.createdBy.name) {
@@ -674,9 +1473,10 @@ class Calendar {
         }
 
         content.innerHTML = `
+            ${this.renderStatusBanner(event)}
             <div class="event-detail-item">
                 <div class="event-detail-label">Date & Time</div>
-                <div class="event-detail-value">${dateStr} ${event.time ? `at ${event.time}` : ''}</div>
+                <div class="event-detail-value">${this.formatEventTiming(event)}</div>
             </div>
             <div class="event-detail-item">
                 <div class="event-detail-label">Type</div>
@@ -688,22 +1488,42 @@ class Calendar {
                     <div class="event-detail-value">${event.location}</div>
                 </div>
             ` : ''}
+            ${this.renderOnlineMeeting(event)}
             ${event.organizer ? `
                 <div class="event-detail-item">
                     <div class="event-detail-label">Organizer</div>
                     <div class="event-detail-value">${event.organizer}</div>
                 </div>
             ` : ''}
-            ${creatorInfo}
-            ${event.description ? `
+            ${this.isAuthenticated && event.audience ? `
                 <div class="event-detail-item">
-                    <div class="event-detail-label">Description</div>
-                    <div class="event-detail-value">${event.description}</div>
+                    <div class="event-detail-label">Visible to</div>
+                    <div class="event-detail-value">${this.escapeHtml(this.describeAudience(event.audience))}</div>
                 </div>
             ` : ''}
+            ${event.recurrence ? `
+                <div class="event-detail-item">
+                    <div class="event-detail-label">Repeats</div>
+                    <div class="event-detail-value">${this.describeRecurrence(event.recurrence)}</div>
+                </div>
+            ` : ''}
+            ${creatorInfo}
+            ${event.description ? `
+                <div class="event-detail-item">
+                    <div class="event-detail-label">Description</div>
+                    <div class="event-detail-value">${event.description}</div>
+                </div>
+            ` : ''}
+            ${this.renderEventAttachments(event)}
+            <div id="eventSeatsSection"></div>
+            <div id="eventRsvpSection"></div>
+            <div id="eventAttendeesSection"></div>
+            <div id="eventHistorySection"></div>
         `;
+        this.bindJoinButtons(content, event);
 
         this.selectedEventId = event.id;
+        this.selectedEvent = event;
         
         const editBtn = document.getElementById('editEventBtn');
         if (this.isAuthenticated && event.canEdit !== false) {
@@ -711,6 +1531,20 @@ class Calendar {
         } else {
             editBtn.style.display = 'none';
         }
+
+        const isSample = String(event.id).startsWith('sample-');
+        document.getElementById('viewAttendeesBtn').style.display =
+            this.isAuthenticated && event.canEdit && !isSample ? 'inline-block' : 'none';
+        document.getElementById('viewMinutesBtn').style.display =
+            this.isAuthenticated && !isSample ? 'inline-block' : 'none';
+        document.getElementById('viewHistoryBtn').style.display =
+            this.isAuthenticated && !isSample ? 'inline-block' : 'none';
+
+        if (this.isAuthenticated && !isSample) {
+            this.loadRsvp(event);
+        } else if (!isSample && (event.capacity || event.registrationDeadline)) {
+            this.loadAvailability(event);
+        }
         
         console.log('👁️ Event details modal opened, selectedEventId set to:', this.selectedEventId);
         
@@ -728,7 +1562,8 @@ class Calendar {
             return;
         }
         
-        const event = this.events.find(e => e.id === this.selectedEventId);
+        // Occurrences of a series share an id, so prefer the one that was clicked
+        const event = this.selectedEvent || this.events.find(e => e.id === this.selectedEventId);
         if (!event) {
             console.error('❌ Event not found:', this.selectedEventId);
             this.showMessage('Event not found', 'error');
@@ -750,11 +1585,49 @@ class Calendar {
         
         document.getElementById('eventTitle').value = event.title || '';
         document.getElementById('eventType').value = event.type || '';
-        document.getElementById('eventDate').value = event.date || '';
-        document.getElementById('eventTime').value = event.time || '';
+        // Times are edited as the organizer entered them, in the event's own zone
+        const organizerTiming = event.organizerTiming || event;
+        document.getElementById('eventDate').value = organizerTiming.date || '';
+        document.getElementById('eventTime').value = organizerTiming.time || '';
+        document.getElementById('eventEndDate').value = organizerTiming.endDate || '';
+        document.getElementById('eventEndTime').value = organizerTiming.endTime || '';
+        document.getElementById('eventAllDay').checked = Boolean(event.allDay);
+        this.setTimeZoneField(event.timeZone || this.viewerTimeZone);
+        this.toggleAllDayFields();
         document.getElementById('eventLocation').value = event.location || '';
         document.getElementById('eventDescription').value = event.description || '';
         document.getElementById('eventOrganizer').value = event.organizer || '';
+        document.getElementById('eventCapacity').value = event.capacity || '';
+        document.getElementById('eventRegistrationDeadline').value = event.registrationDeadline || '';
+        this.setAudienceFields(event.audience);
+        const meeting = event.onlineMeeting || {};
+        document.getElementById('eventMeetingProvider').value = meeting.provider || '';
+        document.getElementById('eventMeetingUrl').value = meeting.joinUrl || '';
+        document.getElementById('eventMeetingPasscode').value = meeting.passcode || '';
+        document.getElementById('eventMeetingReveal').value = meeting.customRevealMinutes ?? '';
+        this.toggleMeetingFields();
+        document.getElementById('eventStatus').value = event.status || 'scheduled';
+        document.getElementById('eventStatusNote').value = event.statusNote || '';
+        document.getElementById('eventStatusGroup').style.display = '';
+        this.prepareAttachmentPicker(event);
+        this.templateDuration = null;
+        document.getElementById('eventTemplateGroup').style.display = 'none';
+
+        const recurrence = event.recurrence || {};
+        document.getElementById('eventRepeat').value = recurrence.frequency || '';
+        document.getElementById('eventRepeatInterval').value = recurrence.interval || 1;
+        document.getElementById('eventRepeatUntil').value = recurrence.until || '';
+        document.getElementById('eventRepeatCount').value = recurrence.count || '';
+
+        const scopeGroup = document.getElementById('recurrenceScopeGroup');
+        if (event.recurrence && event.occurrenceDate) {
+            scopeGroup.style.display = 'block';
+            document.querySelector('input[name="scope"][value="occurrence"]').checked = true;
+            this.applyEditScope('occurrence');
+        } else {
+            scopeGroup.style.display = 'none';
+            this.toggleRecurrenceFields();
+        }
         
         document.getElementById('modalTitle').textContent = 'Edit Event';
         document.getElementById('deleteEventBtn').style.display = 'inline-block';
@@ -783,16 +1656,53 @@ class Calendar {
         }
         
         const formData = new FormData(e.target);
+        const allDay = formData.get('allDay') === 'on';
         const eventData = {
             title: formData.get('title'),
             type: formData.get('type'),
             date: formData.get('date'),
-            time: formData.get('time'),
+            time: allDay ? null : formData.get('time'),
+            endDate: formData.get('endDate') || null,
+            endTime: allDay ? null : (formData.get('endTime') || null),
+            allDay,
+            timeZone: formData.get('timeZone'),
             location: formData.get('location'),
             description: formData.get('description'),
-            organizer: formData.get('organizer')
+            organizer: formData.get('organizer'),
+            capacity: formData.get('capacity') || null,
+            registrationDeadline: formData.get('registrationDeadline') || null,
+            audience: this.getAudienceFromForm(formData),
+            onlineMeeting: this.getOnlineMeetingFromForm(formData)
         };
 
+        if (formData.get('meetingProvider') && !eventData.onlineMeeting) {
+            this.showMessage('Add the join link for the online meeting', 'error');
+            return;
+        }
+
+        if (this.isEditMode) {
+            eventData.status = formData.get('status');
+            eventData.statusNote = formData.get('statusNote') || null;
+        }
+
+        const audience = eventData.audience;
+        if (audience.type === 'restricted' &&
+            !audience.schools.length && !audience.roles.length && !audience.committees.length) {
+            this.showMessage('Choose at least one school, role or committee, or make the event visible to all members', 'error');
+            return;
+        }
+
+        if (!this.isEditMode && !(await this.confirmHolidayClashes(eventData))) {
+            return;
+        }
+
+        if (this.isEditMode && this.getEditScope() === 'occurrence') {
+            eventData.scope = 'occurrence';
+            eventData.occurrenceDate = this.selectedEvent.occurrenceDate;
+        } else {
+            eventData.recurrence = this.getRecurrenceFromForm(formData);
+        }
+
         console.log('💾 Saving event...');
         console.log('💾 Event data:', eventData);
 
@@ -803,22 +1713,24 @@ class Calendar {
             
             if (this.isEditMode && this.selectedEventId) {
                 console.log(`✏️ Updating event: ${this.selectedEventId}`);
-                data = await this.apiCall(`/events/${this.selectedEventId}`, {
-                    method: 'PUT',
-                    body: JSON.stringify(eventData)
-                });
-                console.log('✅ Event updated successfully');
+                data = await this.saveWithConflictCheck(`/events/${this.selectedEventId}`, 'PUT', eventData, 'Save Anyway');
             } else {
                 console.log('➕ Creating new event');
-                data = await this.apiCall('/events', {
-                    method: 'POST',
-                    body: JSON.stringify(eventData)
-                });
-                console.log('✅ Event created successfully');
+                data = await this.saveWithConflictCheck('/events', 'POST', eventData, 'Create Anyway');
             }
 
+            // Back to the form so the organizer can pick another time
+            if (data && data.cancelled) return;
+
             if (data && data.success) {
+                console.log('✅ Event saved successfully');
                 this.showMessage(data.message || 'Event saved successfully!', 'success');
+                if (data.event) {
+                    await this.saveAttachments(data.event);
+                }
+                if (data.event && this.pendingPollChoice && !this.isEditMode) {
+                    await this.completePoll(data.event);
+                }
                 this.closeEventModal();
                 
                 await this.loadEvents();
@@ -846,8 +1758,15 @@ class Calendar {
         }
         
         console.log(`🗑️ Attempting to delete event: ${this.selectedEventId}`);
+
+        const deleteOccurrence = this.getEditScope() === 'occurrence';
+        const confirmMessage = deleteOccurrence
+            ? 'Are you sure you want to delete this occurrence? The rest of the series will be kept.'
+            : this.selectedEvent && this.selectedEvent.recurrence
+                ? 'Are you sure you want to delete the whole series? This action cannot be undone.'
+                : 'Are you sure you want to delete this event? This action cannot be undone.\n\nTo let attendees know it will not take place, set its status to Cancelled instead.';
         
-        if (!confirm('Are you sure you want to delete this event? This action cannot be undone.')) {
+        if (!confirm(confirmMessage)) {
             console.log('🚫 Delete cancelled by user');
             return;
         }
@@ -855,7 +1774,10 @@ class Calendar {
         this.setModalLoadingState(true);
 
         try {
-            const data = await this.apiCall(`/events/${this.selectedEventId}`, {
+            const endpoint = deleteOccurrence
+                ? `/events/${this.selectedEventId}?scope=occurrence&occurrenceDate=${this.selectedEvent.occurrenceDate}`
+                : `/events/${this.selectedEventId}`;
+            const data = await this.apiCall(endpoint, {
                 method: 'DELETE'
             });
 
@@ -916,6 +1838,21 @@ class Calendar {
         }
     }
 
+    showUndoToast(message, onUndo) {
+        this.showMessage(message, 'success');
+
+        const messageDiv = document.getElementById('calendarMessages').lastElementChild;
+        const undoBtn = document.createElement('button');
+        undoBtn.type = 'button';
+        undoBtn.className = 'undo-btn';
+        undoBtn.textContent = 'Undo';
+        undoBtn.addEventListener('click', () => {
+            messageDiv.remove();
+            onUndo();
+        });
+        messageDiv.appendChild(undoBtn);
+    }
+
     showMessage(message, type = 'info') {
         console.log(`📢 Message (${type}): ${message}`);
         
@@ -962,59 +1899,1954 @@ class Calendar {
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
 
-    closeEventModal() {
-        console.log('🚪 Closing event modal and resetting state');
-        document.getElementById('eventModal').classList.remove('show');
-        
-        this.selectedEventId = null;
-        this.isEditMode = false;
+    occurrenceQuery(event, prefix = '?') {
+        return event.occurrenceDate ? `${prefix}occurrenceDate=${event.occurrenceDate}` : '';
     }
 
-    closeEventDetailsModal() {
-        console.log('🚪 Closing event details modal');
-        document.getElementById('eventDetailsModal').classList.remove('show');
+    async loadRsvp(event) {
+        try {
+            const data = await this.apiCall(`/events/${event.id}/rsvp${this.occurrenceQuery(event)}`);
+            if (data && data.success && this.selectedEvent === event) {
+                this.renderRsvp(event, data.rsvp, data.waitlistPosition);
+                this.renderSeats(data.availability);
+            }
+        } catch (error) {
+            console.error('❌ Error loading RSVP:', error);
+        }
     }
 
-    loadSampleEvents() {
-        console.log('📅 Loading sample events as fallback');
-        return [
-            {
-                id: 'sample-1',
-                title: 'INTERPARENTS Bureau Meeting',
-                type: 'meeting',
-                date: '2025-01-15',
-                time: '14:00',
-                location: 'Brussels, Belgium',
-                description: 'Weekly Bureau meeting to discuss ongoing initiatives.',
-                organizer: 'INTERPARENTS Bureau',
-                createdBy: { name: 'INTERPARENTS Admin', school: 'INTERPARENTS Central' },
-                canEdit: false
-            },
-            {
-                id: 'sample-2',
-                title: 'Joint Teaching Committee Meeting',
-                type: 'meeting',
-                date: '2025-02-12',
-                time: '09:00',
-                location: 'Brussels, Belgium',
-                description: 'JTC meeting with inspectors from all Member States.',
-                organizer: 'European Schools Office',
-                createdBy: { name: 'European Schools', school: 'Office of Secretary General' },
-                canEdit: false
+    async loadAvailability(event) {
+        try {
+            const data = await this.apiCall(`/events/${event.id}/availability${this.occurrenceQuery(event)}`);
+            if (data && data.success && this.selectedEvent === event) {
+                this.renderSeats(data.availability);
             }
+        } catch (error) {
+            console.error('❌ Error loading availability:', error);
+        }
+    }
+
+    renderSeats(availability) {
+        const section = document.getElementById('eventSeatsSection');
+        if (!section || !availability) return;
+
+        if (!availability.capacity && !availability.registrationDeadline) {
+            section.innerHTML = '';
+            return;
+        }
+
+        let seats = '';
+        if (availability.capacity) {
+            seats = availability.remaining > 0
+                ? `<strong>${availability.remaining}</strong> of ${availability.capacity} seats left`
+                : `<strong>Fully booked</strong> (${availability.capacity} seats)${availability.waitlisted ? ` · ${availability.waitlisted} on the waitlist` : ''}`;
+        }
+
+        const deadline = availability.registrationDeadline
+            ? this.parseLocalDate(availability.registrationDeadline).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+            : null;
+
+        section.innerHTML = `
+            <div class="event-detail-item">
+                <div class="event-detail-label">Registration</div>
+                <div class="event-detail-value">
+                    ${seats ? `<div class="seats-info ${availability.capacity && availability.remaining === 0 ? 'full' : ''}">${seats}</div>` : ''}
+                    ${deadline ? `
+                        <div class="attendee-status">
+                            ${availability.registrationOpen ? `Register by ${deadline}` : `Registration closed on ${deadline}`}
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderRsvp(event, rsvp, waitlistPosition = null) {
+        const section = document.getElementById('eventRsvpSection');
+        if (!section) return;
+
+        const waitlisted = rsvp && rsvp.status === 'waitlisted';
+        const status = waitlisted ? 'attending' : (rsvp ? rsvp.status : null);
+        const options = [
+            { value: 'attending', label: '✅ Attending' },
+            { value: 'maybe', label: '❔ Maybe' },
+            { value: 'not_attending', label: '❌ Not attending' }
         ];
+
+        section.innerHTML = `
+            <div class="event-detail-item">
+                <div class="event-detail-label">Your RSVP</div>
+                <div class="rsvp-buttons">
+                    ${options.map(option => `
+                        <button type="button" class="rsvp-btn ${status === option.value ? 'active' : ''}" data-status="${option.value}">${option.label}</button>
+                    `).join('')}
+                </div>
+                ${waitlisted ? `
+                    <div class="waitlist-note">
+                        ⏳ You are number ${waitlistPosition} on the waitlist. You will be registered and emailed automatically if a seat opens up.
+                    </div>
+                ` : ''}
+                <div class="rsvp-proxy" style="display: ${status && status !== 'attending' ? 'block' : 'none'};">
+                    <label for="rsvpProxy">Proxy delegate (optional)</label>
+                    <input type="text" id="rsvpProxy" placeholder="Delegate attending on your behalf" value="${this.escapeHtml(rsvp && rsvp.proxyName ? rsvp.proxyName : '')}">
+                </div>
+            </div>
+        `;
+
+        section.querySelectorAll('.rsvp-btn').forEach(button => {
+            button.addEventListener('click', () => this.saveRsvp(event, button.dataset.status));
+        });
+
+        const proxyInput = document.getElementById('rsvpProxy');
+        proxyInput.addEventListener('change', () => {
+            const active = section.querySelector('.rsvp-btn.active');
+            if (active) this.saveRsvp(event, active.dataset.status);
+        });
     }
-}
 
-function closeEventModal() {
-    if (window.calendar) {
-        window.calendar.closeEventModal();
+    async saveRsvp(event, status) {
+        const proxyInput = document.getElementById('rsvpProxy');
+
+        try {
+            const data = await this.apiCall(`/events/${event.id}/rsvp`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    status,
+                    proxyName: proxyInput ? proxyInput.value.trim() || null : null,
+                    occurrenceDate: event.occurrenceDate || null
+                })
+            });
+
+            if (data && data.success) {
+                this.renderRsvp(event, data.rsvp, data.waitlistPosition);
+                this.renderSeats(data.availability);
+                this.showMessage(data.message || 'Your RSVP has been saved', data.rsvp.status === 'waitlisted' ? 'warning' : 'success');
+            } else {
+                throw new Error(data?.message || 'Failed to save RSVP');
+            }
+        } catch (error) {
+            console.error('❌ Error saving RSVP:', error);
+            this.showMessage(error.message || 'Failed to save RSVP', 'error');
+        }
     }
-}
 
-function closeEventDetailsModal() {
-    if (window.calendar) {
-        window.calendar.closeEventDetailsModal();
+    async loadAttendees() {
+        const event = this.selectedEvent;
+        if (!event) return;
+
+        try {
+            const data = await this.apiCall(`/events/${event.id}/attendees${this.occurrenceQuery(event)}`);
+            if (data && data.success) {
+                this.renderAttendees(event, data);
+            } else {
+                throw new Error(data?.message || 'Failed to load attendees');
+            }
+        } catch (error) {
+            console.error('❌ Error loading attendees:', error);
+            this.showMessage(error.message || 'Failed to load attendees', 'error');
+        }
+    }
+
+    renderAttendees(event, data) {
+        const section = document.getElementById('eventAttendeesSection');
+        if (!section) return;
+
+        const statusLabels = {
+            attending: 'Attending',
+            waitlisted: 'Waitlisted',
+            maybe: 'Maybe',
+            not_attending: 'Not attending'
+        };
+        const schools = Object.keys(data.bySchool).sort();
+
+        section.innerHTML = `
+            <div class="event-detail-item">
+                <div class="event-detail-label">
+                    Attendees: ${data.totals.attending} attending${data.totals.waitlisted ? `, ${data.totals.waitlisted} waitlisted` : ''}, ${data.totals.maybe} maybe, ${data.totals.not_attending} not attending
+                </div>
+                ${schools.length ? `
+                    <table class="attendee-summary">
+                        <thead>
+                            <tr><th>School</th><th>Attending</th><th>Maybe</th><th>Not attending</th><th>Attended</th></tr>
+                        </thead>
+                        <tbody>
+                            ${schools.map(school => `
+                                <tr>
+                                    <td>${this.escapeHtml(school)}</td>
+                                    <td>${data.bySchool[school].attending}</td>
+                                    <td>${data.bySchool[school].maybe}</td>
+                                    <td>${data.bySchool[school].not_attending}</td>
+                                    <td>${data.bySchool[school].attended}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<div class="event-detail-value">No responses yet.</div>'}
+                ${data.attendees.map(attendee => `
+                    <label class="attendee-row">
+                        <input type="checkbox" class="attended-check" data-user-id="${attendee.userId}" ${attendee.attended ? 'checked' : ''}>
+                        <span>
+                            ${this.escapeHtml(attendee.name || attendee.email)}
+                            <span class="attendee-status">(${this.escapeHtml(attendee.school || 'Unknown School')})</span>
+                            ${attendee.proxyName ? `<span class="attendee-status">Proxy: ${this.escapeHtml(attendee.proxyName)}</span>` : ''}
+                        </span>
+                        <span class="attendee-status">${statusLabels[attendee.status] || 'No reply'}</span>
+                    </label>
+                `).join('')}
+                ${data.attendees.length ? `
+                    <div class="modal-buttons">
+                        <button type="button" class="btn-confirm" id="saveAttendanceBtn">Save Attendance</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        const saveBtn = document.getElementById('saveAttendanceBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveAttendance(event));
+        }
+    }
+
+    async loadHistory() {
+        const event = this.selectedEvent;
+        if (!event) return;
+
+        try {
+            const data = await this.apiCall(`/events/${event.id}/history${this.occurrenceQuery(event)}`);
+            if (data && data.success) {
+                this.renderHistory(data.history);
+            } else {
+                throw new Error(data?.message || 'Failed to load history');
+            }
+        } catch (error) {
+            console.error('❌ Error loading event history:', error);
+            this.showMessage(error.message || 'Failed to load history', 'error');
+        }
+    }
+
+    renderHistory(history) {
+        const section = document.getElementById('eventHistorySection');
+        if (!section) return;
+
+        const actionLabels = {
+            created: 'Created',
+            updated: 'Updated',
+            postponed: 'Postponed',
+            cancelled: 'Cancelled',
+            restored: 'Back on schedule',
+            deleted: 'Deleted'
+        };
+
+        section.innerHTML = `
+            <div class="event-detail-item">
+                <div class="event-detail-label">Change history</div>
+                ${history.length ? history.map(revision => `
+                    <div class="history-entry">
+                        <div class="history-meta">
+                            <strong>${actionLabels[revision.action] || revision.action}</strong>
+                            ${revision.occurrenceDate ? ` (occurrence of ${this.parseLocalDate(revision.occurrenceDate).toLocaleDateString()})` : ''}
+                            by ${this.escapeHtml(revision.changedByName || 'a former member')},
+                            ${new Date(revision.createdAt).toLocaleString()}
+                        </div>
+                        ${revision.changes.length ? `
+                            <ul class="history-changes">
+                                ${revision.changes.map(change => `
+                                    <li>
+                                        ${this.escapeHtml(change.label)}:
+                                        <span class="history-from">${this.escapeHtml(this.formatHistoryValue(change.from))}</span>
+                                        → ${this.escapeHtml(this.formatHistoryValue(change.to))}
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                `).join('') : '<div class="event-detail-value">No changes recorded.</div>'}
+            </div>
+        `;
+    }
+
+    formatHistoryValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+
+        const text = String(value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+
+    async saveAttendance(event) {
+        const attendance = Array.from(document.querySelectorAll('.attended-check')).map(checkbox => ({
+            userId: checkbox.dataset.userId,
+            attended: checkbox.checked
+        }));
+
+        try {
+            const data = await this.apiCall(`/events/${event.id}/attendance`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    attendance,
+                    occurrenceDate: event.occurrenceDate || null
+                })
+            });
+
+            if (data && data.success) {
+                this.showMessage(data.message, 'success');
+                await this.loadAttendees();
+            } else {
+                throw new Error(data?.message || 'Failed to save attendance');
+            }
+        } catch (error) {
+            console.error('❌ Error saving attendance:', error);
+            this.showMessage(error.message || 'Failed to save attendance', 'error');
+        }
+    }
+
+    async openMinutesModal() {
+        const event = this.selectedEvent;
+        if (!event) return;
+
+        document.getElementById('minutesTitle').textContent = `Minutes: ${event.title}`;
+        document.getElementById('minutesContent').innerHTML = '<div class="spinner"></div>';
+        ['saveMinutesBtn', 'downloadMinutesBtn', 'storeMinutesBtn'].forEach(id => {
+            document.getElementById(id).style.display = 'none';
+        });
+        document.getElementById('minutesModal').classList.add('show');
+
+        try {
+            const data = await this.apiCall(`/events/${event.id}/minutes${this.occurrenceQuery(event)}`);
+            if (!data || !data.success) {
+                throw new Error(data?.message || 'Failed to load minutes');
+            }
+
+            this.currentMinutes = data.minutes;
+
+            if (data.canEdit) {
+                const attendeeData = await this.apiCall(`/events/${event.id}/attendees${this.occurrenceQuery(event)}`);
+                this.renderMinutesEditor(data.minutes, attendeeData && attendeeData.success ? attendeeData.attendees : []);
+                document.getElementById('saveMinutesBtn').style.display = 'inline-block';
+            } else {
+                this.renderMinutesView(data.minutes);
+            }
+
+            if (data.minutes) {
+                document.getElementById('downloadMinutesBtn').style.display = 'inline-block';
+                document.getElementById('storeMinutesBtn').style.display = this.canManageEvents() ? 'inline-block' : 'none';
+            }
+        } catch (error) {
+            console.error('❌ Error loading minutes:', error);
+            document.getElementById('minutesContent').innerHTML = '';
+            this.showMessage(error.message || 'Failed to load minutes', 'error');
+        }
+    }
+
+    renderMinutesView(minutes) {
+        const content = document.getElementById('minutesContent');
+
+        if (!minutes) {
+            content.innerHTML = '<p class="attachment-empty">No minutes have been recorded for this meeting yet.</p>';
+            return;
+        }
+
+        const statusLabels = { open: 'Open', in_progress: 'In progress', done: 'Done' };
+
+        content.innerHTML = `
+            <div class="event-detail-item">
+                <div class="event-detail-label">Attendees (${minutes.attendees.length})</div>
+                <div class="event-detail-value">
+                    ${minutes.attendees.map(attendee => this.escapeHtml(attendee.school ? `${attendee.name} (${attendee.school})` : attendee.name)).join(', ') || 'None recorded'}
+                </div>
+            </div>
+            ${minutes.summary ? `
+                <div class="event-detail-item">
+                    <div class="event-detail-label">Summary</div>
+                    <div class="event-detail-value minutes-summary">${this.escapeHtml(minutes.summary)}</div>
+                </div>
+            ` : ''}
+            <div class="event-detail-item">
+                <div class="event-detail-label">Decisions</div>
+                ${minutes.decisions.length ? `
+                    <ol class="minutes-decisions">
+                        ${minutes.decisions.map(decision => `<li>${this.escapeHtml(decision)}</li>`).join('')}
+                    </ol>
+                ` : '<div class="event-detail-value">None recorded</div>'}
+            </div>
+            <div class="event-detail-item">
+                <div class="event-detail-label">Action Items</div>
+                ${minutes.actionItems.length ? `
+                    <table class="attendee-summary">
+                        <thead>
+                            <tr><th>Action</th><th>Owner</th><th>Due</th><th>Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${minutes.actionItems.map(item => `
+                                <tr>
+                                    <td>${this.escapeHtml(item.title)}</td>
+                                    <td>${this.escapeHtml(item.ownerName || 'Unassigned')}</td>
+                                    <td>${item.dueDate ? this.parseLocalDate(item.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '—'}</td>
+                                    <td><span class="action-status action-status-${item.status}">${statusLabels[item.status]}</span></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : '<div class="event-detail-value">None</div>'}
+            </div>
+            <p class="attendee-status">
+                Recorded${minutes.recordedByName ? ` by ${this.escapeHtml(minutes.recordedByName)}` : ''}, last updated ${new Date(minutes.updatedAt).toLocaleString()}
+            </p>
+        `;
+    }
+
+    renderMinutesEditor(minutes, attendees) {
+        const content = document.getElementById('minutesContent');
+        const recorded = minutes ? minutes.attendees : [];
+
+        // Members who replied or were marked present; guests recorded earlier stay as free text
+        const people = attendees
+            .filter(attendee => attendee.userId)
+            .map(attendee => ({
+                userId: attendee.userId,
+                name: attendee.name || attendee.email,
+                school: attendee.school,
+                present: minutes
+                    ? recorded.some(entry => entry.userId === attendee.userId)
+                    : attendee.attended === true || (attendee.attended == null && attendee.status === 'attending')
+            }));
+        recorded.filter(entry => entry.userId && !people.some(person => person.userId === entry.userId))
+            .forEach(entry => people.push({ ...entry, present: true }));
+        const guests = recorded.filter(entry => !entry.userId).map(entry => entry.name);
+
+        this.minutesOwners = people.map(person => ({ userId: person.userId, name: person.name }));
+        if (this.currentUser && !this.minutesOwners.some(owner => owner.userId === this.currentUser.id)) {
+            this.minutesOwners.push({ userId: this.currentUser.id, name: this.currentUser.name });
+        }
+
+        content.innerHTML = `
+            <div class="form-group">
+                <label>Attendees</label>
+                <div class="minutes-attendees">
+                    ${people.length ? people.map(person => `
+                        <label class="checkbox-label">
+                            <input type="checkbox" class="minutes-attendee" value="${person.userId}"
+                                data-name="${this.escapeHtml(person.name)}" data-school="${this.escapeHtml(person.school || '')}"
+                                ${person.present ? 'checked' : ''}>
+                            ${this.escapeHtml(person.name)}
+                            <span class="attendee-status">${this.escapeHtml(person.school || '')}</span>
+                        </label>
+                    `).join('') : '<p class="attachment-empty">Nobody has replied to this event yet.</p>'}
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="minutesGuests">Other attendees (one per line)</label>
+                <textarea id="minutesGuests" rows="2">${this.escapeHtml(guests.join('\n'))}</textarea>
+            </div>
+            <div class="form-group">
+                <label for="minutesSummary">Summary</label>
+                <textarea id="minutesSummary" rows="4">${this.escapeHtml(minutes ? minutes.summary || '' : '')}</textarea>
+            </div>
+            <div class="form-group">
+                <label for="minutesDecisions">Decisions (one per line)</label>
+                <textarea id="minutesDecisions" rows="3">${this.escapeHtml(minutes ? minutes.decisions.join('\n') : '')}</textarea>
+            </div>
+            <div class="form-group">
+                <label>Action Items</label>
+                <div id="actionItemRows"></div>
+                <button type="button" class="btn-cancel" id="addActionItemBtn">+ Add Action Item</button>
+            </div>
+        `;
+
+        const items = minutes ? minutes.actionItems : [];
+        items.forEach(item => this.addActionItemRow(item));
+        document.getElementById('addActionItemBtn').addEventListener('click', () => this.addActionItemRow());
+    }
+
+    addActionItemRow(item = {}) {
+        const owners = [...this.minutesOwners];
+        if (item.ownerId && !owners.some(owner => owner.userId === item.ownerId)) {
+            owners.push({ userId: item.ownerId, name: item.ownerName || 'Former member' });
+        }
+
+        const row = document.createElement('div');
+        row.className = 'action-item-row';
+        row.dataset.id = item.id || '';
+        row.innerHTML = `
+            <input type="text" class="action-title" placeholder="What needs to be done?" value="${this.escapeHtml(item.title || '')}">
+            <select class="action-owner">
+                <option value="">Unassigned</option>
+                ${owners.map(owner => `
+                    <option value="${owner.userId}" ${owner.userId === item.ownerId ? 'selected' : ''}>${this.escapeHtml(owner.name)}</option>
+                `).join('')}
+            </select>
+            <input type="date" class="action-due" value="${item.dueDate ? item.dueDate.slice(0, 10) : ''}">
+            <select class="action-status-select">
+                <option value="open" ${!item.status || item.status === 'open' ? 'selected' : ''}>Open</option>
+                <option value="in_progress" ${item.status === 'in_progress' ? 'selected' : ''}>In progress</option>
+                <option value="done" ${item.status === 'done' ? 'selected' : ''}>Done</option>
+            </select>
+            <button type="button" class="btn-delete action-remove" title="Remove">✕</button>
+        `;
+        row.querySelector('.action-remove').addEventListener('click', () => row.remove());
+        document.getElementById('actionItemRows').appendChild(row);
+    }
+
+    collectMinutes() {
+        const lines = (id) => document.getElementById(id).value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        const attendees = Array.from(document.querySelectorAll('.minutes-attendee:checked')).map(checkbox => ({
+            userId: checkbox.value,
+            name: checkbox.dataset.name,
+            school: checkbox.dataset.school || null
+        }));
+        lines('minutesGuests').forEach(name => attendees.push({ userId: null, name }));
+
+        const actionItems = Array.from(document.querySelectorAll('.action-item-row'))
+            .map(row => ({
+                id: row.dataset.id || null,
+                title: row.querySelector('.action-title').value.trim(),
+                ownerId: row.querySelector('.action-owner').value || null,
+                dueDate: row.querySelector('.action-due').value || null,
+                status: row.querySelector('.action-status-select').value
+            }))
+            .filter(item => item.title);
+
+        return {
+            occurrenceDate: this.selectedEvent.occurrenceDate || null,
+            attendees,
+            summary: document.getElementById('minutesSummary').value.trim() || null,
+            decisions: lines('minutesDecisions'),
+            actionItems
+        };
+    }
+
+    async saveMinutes() {
+        const event = this.selectedEvent;
+        if (!event) return;
+
+        const saveBtn = document.getElementById('saveMinutesBtn');
+        saveBtn.disabled = true;
+
+        try {
+            const data = await this.apiCall(`/events/${event.id}/minutes`, {
+                method: 'PUT',
+                body: JSON.stringify(this.collectMinutes())
+            });
+
+            if (data && data.success) {
+                this.currentMinutes = data.minutes;
+                document.getElementById('actionItemRows').innerHTML = '';
+                data.minutes.actionItems.forEach(item => this.addActionItemRow(item));
+                document.getElementById('downloadMinutesBtn').style.display = 'inline-block';
+                document.getElementById('storeMinutesBtn').style.display = this.canManageEvents() ? 'inline-block' : 'none';
+                this.showMessage(data.message, data.failed && data.failed.length ? 'warning' : 'success');
+            } else {
+                throw new Error(data?.message || 'Failed to save minutes');
+            }
+        } catch (error) {
+            console.error('❌ Error saving minutes:', error);
+            this.showMessage(error.message || 'Failed to save minutes', 'error');
+        } finally {
+            saveBtn.disabled = false;
+        }
+    }
+
+    async downloadMinutes() {
+        const event = this.selectedEvent;
+        if (!event) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/events/${event.id}/minutes/pdf${this.occurrenceQuery(event)}`, {
+                credentials: 'include'
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => null);
+                throw new Error(data?.message || 'Failed to export minutes');
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : 'minutes.pdf';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('❌ Error exporting minutes:', error);
+            this.showMessage(error.message || 'Failed to export minutes', 'error');
+        }
+    }
+
+    async storeMinutesReport() {
+        const event = this.selectedEvent;
+        if (!event) return;
+
+        if (this.currentMinutes && this.currentMinutes.communicationId &&
+            !confirm('These minutes were already saved as a report. Save a new copy?')) {
+            return;
+        }
+
+        try {
+            const data = await this.apiCall(`/events/${event.id}/minutes/export`, {
+                method: 'POST',
+                body: JSON.stringify({ occurrenceDate: event.occurrenceDate || null })
+            });
+
+            if (data && data.success) {
+                this.currentMinutes = { ...this.currentMinutes, communicationId: data.communication.id };
+                this.communications = null;
+                this.showMessage('Minutes saved as a Report and attached to the event', 'success');
+                await this.loadEvents();
+            } else {
+                throw new Error(data?.message || 'Failed to save minutes as a report');
+            }
+        } catch (error) {
+            console.error('❌ Error storing minutes:', error);
+            this.showMessage(error.message || 'Failed to save minutes as a report', 'error');
+        }
+    }
+
+    closeMinutesModal() {
+        document.getElementById('minutesModal').classList.remove('show');
+    }
+
+    openPollsModal() {
+        document.getElementById('pollsModal').classList.add('show');
+        this.loadPolls();
+    }
+
+    setPollButtons(visible) {
+        ['pollsBackBtn', 'deletePollBtn', 'newPollBtn', 'createPollBtn', 'saveVotesBtn'].forEach(id => {
+            document.getElementById(id).style.display = visible.includes(id) ? 'inline-block' : 'none';
+        });
+    }
+
+    async loadPolls() {
+        const content = document.getElementById('pollsContent');
+        document.getElementById('pollsTitle').textContent = 'Scheduling Polls';
+        content.innerHTML = '<div class="spinner"></div>';
+        this.setPollButtons(this.canManageEvents() ? ['newPollBtn'] : []);
+        this.currentPoll = null;
+
+        try {
+            const data = await this.apiCall('/polls');
+            if (!data || !data.success) {
+                throw new Error(data?.message || 'Failed to load polls');
+            }
+            this.renderPollList(data.polls);
+        } catch (error) {
+            console.error('❌ Error loading polls:', error);
+            content.innerHTML = '';
+            this.showMessage(error.message || 'Failed to load polls', 'error');
+        }
+    }
+
+    renderPollList(polls) {
+        const content = document.getElementById('pollsContent');
+
+        if (polls.length === 0) {
+            content.innerHTML = '<p class="attachment-empty">No scheduling polls yet.</p>';
+            return;
+        }
+
+        content.innerHTML = `
+            <ul class="poll-list">
+                ${polls.map(poll => `
+                    <li class="poll-list-item" data-id="${poll.id}">
+                        <div>
+                            <strong>${this.escapeHtml(poll.title)}</strong>
+                            <div class="attendee-status">
+                                ${poll.optionCount} dates · ${poll.participantCount} responses
+                                ${poll.deadline ? ` · vote by ${this.parseLocalDate(poll.deadline).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}` : ''}
+                                ${poll.createdBy ? ` · by ${this.escapeHtml(poll.createdBy.name)}` : ''}
+                            </div>
+                        </div>
+                        <span class="poll-badge ${poll.isOpen ? (poll.hasVoted ? 'voted' : 'open') : 'closed'}">
+                            ${poll.isOpen ? (poll.hasVoted ? 'Voted' : 'Vote now') : 'Closed'}
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        content.querySelectorAll('.poll-list-item').forEach(item => {
+            item.addEventListener('click', () => this.openPoll(item.dataset.id));
+        });
+    }
+
+    openPollForm() {
+        document.getElementById('pollsTitle').textContent = 'New Scheduling Poll';
+        this.setPollButtons(['pollsBackBtn', 'createPollBtn']);
+
+        document.getElementById('pollsContent').innerHTML = `
+            <div class="form-group">
+                <label for="pollTitle">Title *</label>
+                <input type="text" id="pollTitle" placeholder="e.g. Bureau meeting – March">
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="pollType">Event Type</label>
+                    <select id="pollType">
+                        <option value="meeting">Meeting</option>
+                        <option value="webinar">Webinar</option>
+                        <option value="conference">Conference</option>
+                        <option value="deadline">Deadline</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="pollDuration">Duration (minutes)</label>
+                    <input type="number" id="pollDuration" min="5" max="1440" step="5" value="90">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="pollLocation">Location</label>
+                    <input type="text" id="pollLocation" placeholder="Brussels, Online, etc.">
+                </div>
+                <div class="form-group">
+                    <label for="pollDeadline">Vote by</label>
+                    <input type="date" id="pollDeadline">
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="pollTimeZone">Time Zone</label>
+                <select id="pollTimeZone">${document.getElementById('eventTimeZone').innerHTML}</select>
+            </div>
+            <div class="form-group">
+                <label for="pollDescription">Description</label>
+                <textarea id="pollDescription" rows="2"></textarea>
+            </div>
+            <div class="form-group">
+                <label>Proposed dates *</label>
+                <div id="pollOptionRows"></div>
+                <button type="button" class="btn-cancel" id="addPollOptionBtn">+ Add Date</button>
+            </div>
+        `;
+
+        document.getElementById('pollTimeZone').value = this.viewerTimeZone;
+        document.getElementById('addPollOptionBtn').addEventListener('click', () => this.addPollOptionRow());
+        this.addPollOptionRow();
+        this.addPollOptionRow();
+    }
+
+    addPollOptionRow() {
+        const rows = document.getElementById('pollOptionRows');
+        const previous = rows.lastElementChild;
+
+        const row = document.createElement('div');
+        row.className = 'poll-option-row';
+        row.innerHTML = `
+            <input type="date" class="poll-option-date">
+            <input type="time" class="poll-option-time">
+            <button type="button" class="btn-delete" title="Remove">✕</button>
+        `;
+        // Most polls offer the same time on different days
+        if (previous) {
+            row.querySelector('.poll-option-time').value = previous.querySelector('.poll-option-time').value;
+        }
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        rows.appendChild(row);
+    }
+
+    async createPoll() {
+        const options = Array.from(document.querySelectorAll('.poll-option-row'))
+            .map(row => ({
+                date: row.querySelector('.poll-option-date').value,
+                time: row.querySelector('.poll-option-time').value || null
+            }))
+            .filter(option => option.date);
+
+        const title = document.getElementById('pollTitle').value.trim();
+        if (!title) {
+            this.showMessage('Please give the poll a title', 'error');
+            return;
+        }
+        if (options.length < 2) {
+            this.showMessage('Please propose at least two dates', 'error');
+            return;
+        }
+
+        try {
+            const data = await this.apiCall('/polls', {
+                method: 'POST',
+                body: JSON.stringify({
+                    title,
+                    type: document.getElementById('pollType').value,
+                    durationMinutes: document.getElementById('pollDuration').value || null,
+                    location: document.getElementById('pollLocation').value.trim() || null,
+                    deadline: document.getElementById('pollDeadline').value || null,
+                    timeZone: document.getElementById('pollTimeZone').value,
+                    description: document.getElementById('pollDescription').value.trim() || null,
+                    options
+                })
+            });
+
+            if (data && data.success) {
+                this.showMessage('Poll created. Members can now vote.', 'success');
+                this.renderPoll(data.poll);
+            } else {
+                throw new Error(data?.message || 'Failed to create poll');
+            }
+        } catch (error) {
+            console.error('❌ Error creating poll:', error);
+            this.showMessage(error.message || 'Failed to create poll', 'error');
+        }
+    }
+
+    async openPoll(id) {
+        try {
+            const data = await this.apiCall(`/polls/${id}`);
+            if (data && data.success) {
+                this.renderPoll(data.poll);
+            } else {
+                throw new Error(data?.message || 'Failed to load poll');
+            }
+        } catch (error) {
+            console.error('❌ Error loading poll:', error);
+            this.showMessage(error.message || 'Failed to load poll', 'error');
+        }
+    }
+
+    renderPoll(poll) {
+        this.currentPoll = poll;
+        this.pollAnswers = { ...poll.myAnswers };
+
+        const answerIcons = { yes: '✓', if_need_be: '(✓)', no: '✗' };
+        const canChoose = poll.isOpen && poll.canManage;
+        const others = poll.participants.filter(participant => participant.userId !== this.currentUser.id);
+
+        document.getElementById('pollsTitle').textContent = poll.title;
+        this.setPollButtons([
+            'pollsBackBtn',
+            ...(poll.canManage ? ['deletePollBtn'] : []),
+            ...(poll.isOpen ? ['saveVotesBtn'] : [])
+        ]);
+
+        const optionHeader = (option) => {
+            const date = this.parseLocalDate(option.date);
+            return `
+                <div>${date.toLocaleDateString('en-US', { weekday: 'short' })}</div>
+                <strong>${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</strong>
+                <div>${option.time ? option.time.slice(0, 5) : 'Any time'}</div>
+            `;
+        };
+
+        document.getElementById('pollsContent').innerHTML = `
+            ${poll.description ? `<p class="feed-intro">${this.escapeHtml(poll.description)}</p>` : ''}
+            <p class="attendee-status">
+                ${poll.location ? `📍 ${this.escapeHtml(poll.location)} · ` : ''}
+                Times in ${this.escapeHtml(this.formatTimeZoneName(poll.timeZone))}
+                ${poll.durationMinutes ? ` · ${poll.durationMinutes} minutes` : ''}
+                ${poll.deadline ? ` · vote by ${this.parseLocalDate(poll.deadline).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}` : ''}
+            </p>
+            ${!poll.isOpen ? `
+                <div class="poll-closed-note">
+                    This poll is closed.
+                    ${poll.eventId ? `<a href="#" id="pollEventLink">View the scheduled event</a>` : ''}
+                </div>
+            ` : ''}
+            <div class="poll-matrix-wrapper">
+                <table class="poll-matrix">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${poll.options.map(option => `
+                                <th class="${option.isBest ? 'poll-best' : ''} ${option.id === poll.chosenOptionId ? 'poll-chosen' : ''}">${optionHeader(option)}</th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${others.map(participant => `
+                            <tr>
+                                <th>
+                                    ${this.escapeHtml(participant.name)}
+                                    <span class="attendee-status">${this.escapeHtml(participant.school || '')}</span>
+                                </th>
+                                ${poll.options.map(option => {
+                                    const answer = participant.answers[option.id];
+                                    return `<td class="poll-answer ${answer || ''}">${answer ? answerIcons[answer] : ''}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                        <tr class="poll-my-row">
+                            <th>You</th>
+                            ${poll.options.map(option => {
+                                const answer = this.pollAnswers[option.id];
+                                return `
+                                    <td class="poll-answer ${answer || ''} ${poll.isOpen ? 'editable' : ''}" data-option-id="${option.id}"
+                                        title="${poll.isOpen ? 'Click to change: yes, if need be, no' : ''}">${answer ? answerIcons[answer] : (poll.isOpen ? '?' : '')}</td>
+                                `;
+                            }).join('')}
+                        </tr>
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Total</th>
+                            ${poll.options.map(option => `
+                                <td>
+                                    <span class="poll-total-yes">${option.totals.yes}</span>
+                                    ${option.totals.if_need_be ? `<span class="poll-total-maybe">+${option.totals.if_need_be}</span>` : ''}
+                                </td>
+                            `).join('')}
+                        </tr>
+                        ${canChoose ? `
+                            <tr>
+                                <th></th>
+                                ${poll.options.map(option => `
+                                    <td><button type="button" class="btn-confirm poll-choose-btn" data-option-id="${option.id}">Choose</button></td>
+                                `).join('')}
+                            </tr>
+                        ` : ''}
+                    </tfoot>
+                </table>
+            </div>
+        `;
+
+        const cycle = ['yes', 'if_need_be', 'no'];
+        document.querySelectorAll('.poll-my-row .poll-answer.editable').forEach(cell => {
+            cell.addEventListener('click', () => {
+                const current = this.pollAnswers[cell.dataset.optionId];
+                const next = cycle[(cycle.indexOf(current) + 1) % cycle.length];
+                this.pollAnswers[cell.dataset.optionId] = next;
+                cell.className = `poll-answer ${next} editable`;
+                cell.textContent = answerIcons[next];
+            });
+        });
+
+        document.querySelectorAll('.poll-choose-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.choosePollOption(poll, poll.options.find(option => option.id === button.dataset.optionId));
+            });
+        });
+
+        const eventLink = document.getElementById('pollEventLink');
+        if (eventLink) {
+            eventLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                const chosen = poll.options.find(option => option.id === poll.chosenOptionId);
+                const event = this.events.find(candidate => candidate.id === poll.eventId &&
+                    (!chosen || candidate.date === chosen.date)) ||
+                    this.events.find(candidate => candidate.id === poll.eventId);
+                if (event) {
+                    this.closePollsModal();
+                    this.showEventDetails(event);
+                } else {
+                    this.showMessage('The scheduled event is not in the loaded calendar range', 'info');
+                }
+            });
+        }
+    }
+
+    async savePollVotes() {
+        const poll = this.currentPoll;
+        if (!poll) return;
+
+        const votes = poll.options.map(option => ({
+            optionId: option.id,
+            answer: this.pollAnswers[option.id] || 'no'
+        }));
+
+        try {
+            const data = await this.apiCall(`/polls/${poll.id}/votes`, {
+                method: 'PUT',
+                body: JSON.stringify({ votes })
+            });
+
+            if (data && data.success) {
+                this.showMessage(data.message, 'success');
+                this.renderPoll(data.poll);
+            } else {
+                throw new Error(data?.message || 'Failed to save your availability');
+            }
+        } catch (error) {
+            console.error('❌ Error saving poll votes:', error);
+            this.showMessage(error.message || 'Failed to save your availability', 'error');
+        }
+    }
+
+    // The event is created through the normal event form so it gets the usual validation
+    choosePollOption(poll, option) {
+        if (!option) return;
+
+        this.closePollsModal();
+        this.openEventModal(this.parseLocalDate(option.date));
+
+        document.getElementById('eventTitle').value = poll.title;
+        document.getElementById('eventType').value = poll.type;
+        document.getElementById('eventLocation').value = poll.location || '';
+        document.getElementById('eventDescription').value = poll.description || '';
+        this.setTimeZoneField(poll.timeZone);
+
+        if (option.time) {
+            const start = option.time.slice(0, 5);
+            document.getElementById('eventTime').value = start;
+
+            if (poll.durationMinutes) {
+                const end = this.toMinutes(start) + poll.durationMinutes;
+                if (end < 24 * 60) {
+                    document.getElementById('eventEndTime').value =
+                        `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+                }
+            }
+        }
+
+        this.pendingPollChoice = { pollId: poll.id, optionId: option.id };
+    }
+
+    async completePoll(event) {
+        const choice = this.pendingPollChoice;
+        this.pendingPollChoice = null;
+
+        try {
+            const data = await this.apiCall(`/polls/${choice.pollId}/close`, {
+                method: 'POST',
+                body: JSON.stringify({ optionId: choice.optionId, eventId: event.id })
+            });
+            if (!data || !data.success) {
+                throw new Error(data?.message || 'Failed to close the poll');
+            }
+        } catch (error) {
+            console.error('❌ Error closing poll:', error);
+            this.showMessage(`Event created, but the poll could not be closed: ${error.message}`, 'warning');
+        }
+    }
+
+    async deletePoll() {
+        const poll = this.currentPoll;
+        if (!poll || !confirm(`Delete the poll "${poll.title}" and all its votes?`)) return;
+
+        try {
+            const data = await this.apiCall(`/polls/${poll.id}`, { method: 'DELETE' });
+            if (data && data.success) {
+                this.showMessage('Poll deleted', 'success');
+                await this.loadPolls();
+            } else {
+                throw new Error(data?.message || 'Failed to delete poll');
+            }
+        } catch (error) {
+            console.error('❌ Error deleting poll:', error);
+            this.showMessage(error.message || 'Failed to delete poll', 'error');
+        }
+    }
+
+    closePollsModal() {
+        document.getElementById('pollsModal').classList.remove('show');
+    }
+
+    // calendar.html?event=<id>&date=YYYY-MM-DD opens an event, e.g. from a communication card
+    getLinkedEvent() {
+        const params = new URLSearchParams(window.location.search);
+        const id = params.get('event');
+        if (!id) return null;
+
+        const date = params.get('date');
+        if (date && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+            this.currentDate = this.parseLocalDate(date);
+        }
+        return { id, date };
+    }
+
+    openLinkedEvent(linkedEvent) {
+        if (!linkedEvent) return;
+
+        const matches = this.events.filter(event => String(event.id) === linkedEvent.id);
+        const event = matches.find(match => (match.occurrenceDate || match.date) === linkedEvent.date) || matches[0];
+
+        if (event) {
+            this.showEventDetails(event);
+        } else {
+            this.showMessage('The linked event could not be found or is not visible to you', 'warning');
+        }
+    }
+
+    async loadCommunications() {
+        if (this.communications) return this.communications;
+
+        // Documents scheduled for later can already be attached; attendees see them once published
+        const data = await this.apiCall('/communications?status=all');
+        this.communications = data && data.success ? data.communications : [];
+        return this.communications;
+    }
+
+    // The upload input offers the types on the server's allow-list
+    async loadUploadTypes() {
+        if (this.uploadAccept) return;
+
+        const data = await this.apiCall('/communications/file-types');
+        if (data && data.success) {
+            this.uploadAccept = data.types.flatMap(type => [...type.extensions, type.mimetype]).join(',');
+            document.getElementById('attachmentFile').accept = this.uploadAccept;
+        }
+    }
+
+    async prepareAttachmentPicker(event) {
+        const group = document.getElementById('eventAttachmentsGroup');
+        this.selectedAttachmentIds = new Set(((event && event.attachments) || []).map(attachment => attachment.id));
+        this.initialAttachmentIds = new Set(this.selectedAttachmentIds);
+
+        ['attachmentSearch', 'attachmentFile', 'attachmentTitle', 'attachmentDescription'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.querySelector('.attachment-upload').open = false;
+
+        // Communications are managed by executives, so only they can attach them
+        if (!this.canManageEvents()) {
+            group.style.display = 'none';
+            return;
+        }
+
+        group.style.display = 'block';
+        document.getElementById('attachmentPicker').innerHTML = '<div class="attachment-empty">Loading communications...</div>';
+
+        try {
+            await this.loadCommunications();
+            this.renderAttachmentPicker();
+            await this.loadUploadTypes();
+        } catch (error) {
+            console.error('❌ Error loading communications:', error);
+            document.getElementById('attachmentPicker').innerHTML = '<div class="attachment-empty">Could not load communications</div>';
+        }
+    }
+
+    // Templates are managed by executives, who can start a new event from one
+    async prepareTemplatePicker() {
+        const group = document.getElementById('eventTemplateGroup');
+        this.templateDuration = null;
+        document.getElementById('eventTemplate').value = '';
+        document.getElementById('deleteTemplateBtn').style.display = 'none';
+
+        if (!this.canManageEvents()) {
+            group.style.display = 'none';
+            return;
+        }
+
+        group.style.display = 'block';
+        await this.loadTemplates();
+    }
+
+    async loadTemplates(selectedId = '') {
+        try {
+            const data = await this.apiCall('/event-templates');
+            this.templates = data && data.success ? data.templates : [];
+        } catch (error) {
+            console.error('❌ Error loading event templates:', error);
+            this.templates = [];
+        }
+
+        const select = document.getElementById('eventTemplate');
+        select.innerHTML = '<option value="">No template</option>' + this.templates.map(template =>
+            `<option value="${template.id}">${this.escapeHtml(template.name)}</option>`
+        ).join('');
+        select.value = selectedId;
+        document.getElementById('deleteTemplateBtn').style.display = selectedId ? 'inline-block' : 'none';
+    }
+
+    // Fill the form from a template; the date the user picked is kept
+    applyTemplate(id) {
+        const template = (this.templates || []).find(t => t.id === id);
+        document.getElementById('deleteTemplateBtn').style.display = template ? 'inline-block' : 'none';
+        if (!template) {
+            this.templateDuration = null;
+            return;
+        }
+
+        document.getElementById('eventTitle').value = template.title || '';
+        document.getElementById('eventType').value = template.type || '';
+        document.getElementById('eventAllDay').checked = template.allDay;
+        this.toggleAllDayFields();
+        document.getElementById('eventTime').value = template.allDay ? '' : template.time || '';
+        if (template.timeZone) this.setTimeZoneField(template.timeZone);
+        document.getElementById('eventLocation').value = template.location || '';
+        document.getElementById('eventDescription').value = template.description || '';
+        document.getElementById('eventOrganizer').value = template.organizer || '';
+        document.getElementById('eventCapacity').value = template.capacity || '';
+        this.setAudienceFields(template.audience);
+
+        const meeting = template.onlineMeeting || {};
+        document.getElementById('eventMeetingProvider').value = meeting.provider || '';
+        document.getElementById('eventMeetingUrl').value = meeting.joinUrl || '';
+        document.getElementById('eventMeetingPasscode').value = meeting.passcode || '';
+        document.getElementById('eventMeetingReveal').value = meeting.customRevealMinutes ?? '';
+        this.toggleMeetingFields();
+
+        this.selectedAttachmentIds = new Set((template.attachments || []).map(attachment => attachment.id));
+        this.renderAttachmentPicker();
+
+        this.templateDuration = template.durationMinutes || null;
+        document.getElementById('eventEndDate').value = '';
+        document.getElementById('eventEndTime').value = '';
+        this.updateTemplateEnd();
+    }
+
+    // Keep the end a template's duration after the start while the date or time changes
+    updateTemplateEnd() {
+        if (!this.templateDuration) return;
+
+        const date = document.getElementById('eventDate').value;
+        if (!date) return;
+
+        if (document.getElementById('eventAllDay').checked) {
+            const days = Math.ceil(this.templateDuration / 1440);
+            const end = this.shiftDateTime(date, null, (days - 1) * 1440);
+            document.getElementById('eventEndDate').value = days > 1 ? end.date : '';
+            return;
+        }
+
+        const time = document.getElementById('eventTime').value;
+        if (!time) return;
+
+        const end = this.shiftDateTime(date, time, this.templateDuration);
+        document.getElementById('eventEndDate').value = end.date !== date ? end.date : '';
+        document.getElementById('eventEndTime').value = end.time;
+    }
+
+    // Everything in the form but the date, with the end stored as a duration
+    getTemplateFromForm() {
+        const formData = new FormData(document.getElementById('eventForm'));
+        const allDay = formData.get('allDay') === 'on';
+        const date = formData.get('date');
+        const time = allDay ? null : formData.get('time') || null;
+        const endDate = formData.get('endDate') || date;
+        const endTime = allDay ? null : formData.get('endTime') || null;
+
+        let durationMinutes = null;
+        if (date && allDay) {
+            durationMinutes = (this.daysBetween(date, endDate) + 1) * 1440;
+        } else if (date && time && endTime) {
+            durationMinutes = this.daysBetween(date, endDate) * 1440 + this.toMinutes(endTime) - this.toMinutes(time);
+        }
+
+        return {
+            title: formData.get('title'),
+            type: formData.get('type'),
+            description: formData.get('description'),
+            location: formData.get('location'),
+            organizer: formData.get('organizer'),
+            allDay,
+            time,
+            durationMinutes: durationMinutes > 0 ? durationMinutes : null,
+            timeZone: formData.get('timeZone'),
+            audience: this.getAudienceFromForm(formData),
+            capacity: formData.get('capacity') || null,
+            onlineMeeting: this.getOnlineMeetingFromForm(formData),
+            communicationIds: [...this.selectedAttachmentIds]
+        };
+    }
+
+    async saveTemplate() {
+        const fields = this.getTemplateFromForm();
+        if (!fields.title || !fields.type) {
+            this.showMessage('Fill in at least the title and type before saving a template', 'error');
+            return;
+        }
+
+        const select = document.getElementById('eventTemplate');
+        const current = (this.templates || []).find(t => t.id === select.value);
+        const name = prompt('Template name:', current ? current.name : fields.title);
+        if (!name || !name.trim()) return;
+
+        const existing = (this.templates || []).find(t => t.name.toLowerCase() === name.trim().toLowerCase());
+        if (existing && !confirm(`Replace the template "${existing.name}" with this form?`)) return;
+
+        try {
+            const data = await this.apiCall(existing ? `/event-templates/${existing.id}` : '/event-templates', {
+                method: existing ? 'PUT' : 'POST',
+                body: JSON.stringify({ ...fields, name: name.trim() })
+            });
+
+            if (data && data.success) {
+                this.showMessage(data.message || 'Template saved', 'success');
+                await this.loadTemplates(data.template.id);
+            } else {
+                throw new Error(data?.message || 'Failed to save the template');
+            }
+        } catch (error) {
+            console.error('❌ Error saving template:', error);
+            this.showMessage(error.data?.errors?.[0]?.msg || error.message || 'Failed to save the template', 'error');
+        }
+    }
+
+    async deleteTemplate() {
+        const template = (this.templates || []).find(t => t.id === document.getElementById('eventTemplate').value);
+        if (!template || !confirm(`Delete the template "${template.name}"? Events created from it are not affected.`)) return;
+
+        try {
+            const data = await this.apiCall(`/event-templates/${template.id}`, { method: 'DELETE' });
+
+            if (data && data.success) {
+                this.showMessage('Template deleted', 'success');
+                this.templateDuration = null;
+                await this.loadTemplates();
+            } else {
+                throw new Error(data?.message || 'Failed to delete the template');
+            }
+        } catch (error) {
+            console.error('❌ Error deleting template:', error);
+            this.showMessage(error.message || 'Failed to delete the template', 'error');
+        }
+    }
+
+    renderAttachmentPicker() {
+        const picker = document.getElementById('attachmentPicker');
+        if (!this.communications) return;
+
+        const search = document.getElementById('attachmentSearch').value.trim().toLowerCase();
+        const matches = this.communications.filter(comm =>
+            this.selectedAttachmentIds.has(comm.id) ||
+            !search ||
+            comm.title.toLowerCase().includes(search) ||
+            comm.category.toLowerCase().includes(search)
+        );
+
+        if (matches.length === 0) {
+            picker.innerHTML = '<div class="attachment-empty">No communications found</div>';
+            return;
+        }
+
+        picker.innerHTML = matches.map(comm => `
+            <label class="attachment-option">
+                <input type="checkbox" value="${comm.id}" ${this.selectedAttachmentIds.has(comm.id) ? 'checked' : ''}>
+                ${this.escapeHtml(comm.title)}
+                <small>${this.escapeHtml(comm.category)} · ${comm.status === 'scheduled' ? 'Publishes ' : ''}${new Date(comm.publishDate).toLocaleDateString()}${comm.status === 'expired' ? ' · Unpublished' : ''}</small>
+            </label>
+        `).join('');
+
+        picker.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.selectedAttachmentIds.add(checkbox.value);
+                } else {
+                    this.selectedAttachmentIds.delete(checkbox.value);
+                }
+            });
+        });
+    }
+
+    // Link the picked communications and upload a new one once the event itself is saved
+    async saveAttachments(event) {
+        if (!this.canManageEvents()) return;
+
+        const selected = [...this.selectedAttachmentIds];
+        // Editing one occurrence creates a new event, which starts with no links
+        const isNewEvent = event.id !== this.selectedEventId;
+        const changed = isNewEvent ||
+            selected.length !== this.initialAttachmentIds.size ||
+            selected.some(id => !this.initialAttachmentIds.has(id));
+        const file = document.getElementById('attachmentFile').files[0];
+
+        try {
+            if (changed && (selected.length > 0 || !isNewEvent)) {
+                await this.apiCall(`/events/${event.id}/communications`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ communicationIds: selected })
+                });
+            }
+
+            if (file) {
+                const formData = new FormData();
+                formData.append('pdf', file);
+                formData.append('title', document.getElementById('attachmentTitle').value.trim() || file.name.replace(/\.[^.]+$/, ''));
+                formData.append('description', document.getElementById('attachmentDescription').value.trim() || `Attached to ${event.title}`);
+                formData.append('category', document.getElementById('attachmentCategory').value);
+
+                await this.apiCall(`/events/${event.id}/communications`, {
+                    method: 'POST',
+                    headers: {},
+                    body: formData
+                });
+
+                // Reload the list next time so the new upload can be picked for other events
+                this.communications = null;
+            }
+        } catch (error) {
+            console.error('❌ Error saving event attachments:', error);
+            this.showMessage(`Event saved, but its documents could not be updated: ${error.message}`, 'warning');
+        }
+    }
+
+    renderEventAttachments(event) {
+        if (!event.attachments || event.attachments.length === 0) return '';
+
+        return `
+            <div class="event-detail-item">
+                <div class="event-detail-label">Documents</div>
+                <ul class="event-attachments">
+                    ${event.attachments.map(attachment => {
+                        const url = `${this.API_BASE}/files/${encodeURIComponent(attachment.filename)}`;
+                        return `
+                            <li>
+                                <span>📄 ${this.escapeHtml(attachment.title)} <small>(${this.escapeHtml(attachment.category)})</small></span>
+                                <span class="attachment-links">
+                                    <a href="${url}" target="_blank" rel="noopener">View</a>
+                                    <a href="${url}?download=true">Download</a>
+                                </span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    toggleAllDayFields() {
+        const allDay = document.getElementById('eventAllDay').checked;
+        const timeInput = document.getElementById('eventTime');
+        const endTimeInput = document.getElementById('eventEndTime');
+
+        timeInput.required = !allDay;
+        timeInput.disabled = allDay;
+        endTimeInput.disabled = allDay;
+    }
+
+    toggleRecurrenceFields() {
+        const repeats = document.getElementById('eventRepeat').value !== '';
+        document.querySelectorAll('.recurrence-option').forEach(el => {
+            el.style.display = repeats ? '' : 'none';
+        });
+    }
+
+    toggleMeetingFields() {
+        const online = document.getElementById('eventMeetingProvider').value !== '';
+        document.querySelectorAll('.meeting-option').forEach(el => {
+            el.style.display = online ? '' : 'none';
+        });
+    }
+
+    getOnlineMeetingFromForm(formData) {
+        const provider = formData.get('meetingProvider');
+        const joinUrl = (formData.get('meetingUrl') || '').trim();
+        if (!provider || !joinUrl) return null;
+
+        return {
+            provider,
+            joinUrl,
+            passcode: formData.get('meetingPasscode') || null,
+            revealMinutes: formData.get('meetingRevealMinutes') || null
+        };
+    }
+
+    formatMeetingProvider(provider) {
+        const names = { zoom: 'Zoom', teams: 'Microsoft Teams', meet: 'Google Meet', webex: 'Webex' };
+        return names[provider] || 'Online';
+    }
+
+    renderJoinButton(event) {
+        if (!event.onlineMeeting || event.status === 'cancelled') return '';
+        return `<button type="button" class="join-btn" data-event-id="${event.id}">🎥 Join ${this.formatMeetingProvider(event.onlineMeeting.provider)}</button>`;
+    }
+
+    renderOnlineMeeting(event) {
+        const meeting = event.onlineMeeting;
+        if (!meeting) return '';
+
+        let note;
+        if (meeting.joinUrl) {
+            note = `Link: ${this.escapeHtml(meeting.joinUrl)}${meeting.passcode ? ` · Passcode: ${this.escapeHtml(meeting.passcode)}` : ''}`;
+        } else if (this.isAuthenticated) {
+            note = `Attendees can join from ${meeting.revealMinutes} minutes before the start.`;
+        } else {
+            note = 'Log in and RSVP to get the link.';
+        }
+
+        return `
+            <div class="event-detail-item">
+                <div class="event-detail-label">Online meeting</div>
+                <div class="event-detail-value">
+                    ${this.formatMeetingProvider(meeting.provider)}
+                    ${this.isAuthenticated ? this.renderJoinButton(event) : ''}
+                    <div class="meeting-note" id="meetingNote-${event.id}">${note}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    bindJoinButtons(container, event) {
+        container.querySelectorAll('.join-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.joinMeeting(event);
+            });
+        });
+    }
+
+    // Organizers already have the link; attendees ask for it so the server can check the timing
+    async joinMeeting(event) {
+        if (!this.isAuthenticated) {
+            this.showMessage('Please log in to join online meetings', 'error');
+            return;
+        }
+
+        let meeting = event.onlineMeeting;
+        if (!meeting.joinUrl) {
+            try {
+                const data = await this.apiCall(`/events/${event.id}/join${this.occurrenceQuery(event)}`);
+                if (!data || !data.success) {
+                    throw new Error(data?.message || 'The meeting link is not available');
+                }
+                meeting = data.onlineMeeting;
+            } catch (error) {
+                console.error('❌ Error fetching meeting link:', error);
+                this.showMessage(error.message || 'The meeting link is not available', 'warning');
+                return;
+            }
+        }
+
+        // Keep the link visible in case the browser blocks the new window
+        const note = document.getElementById(`meetingNote-${event.id}`);
+        if (note) {
+            note.innerHTML = `<a href="${this.escapeHtml(meeting.joinUrl)}" target="_blank" rel="noopener">${this.escapeHtml(meeting.joinUrl)}</a>` +
+                (meeting.passcode ? ` · Passcode: ${this.escapeHtml(meeting.passcode)}` : '');
+        }
+        if (meeting.passcode) {
+            this.showMessage(`Passcode: ${meeting.passcode}`, 'info');
+        }
+        window.open(meeting.joinUrl, '_blank', 'noopener');
+    }
+
+    toggleAudienceFields() {
+        const restricted = document.getElementById('eventAudience').value === 'restricted';
+        document.querySelectorAll('.audience-option').forEach(el => {
+            el.style.display = restricted ? '' : 'none';
+        });
+    }
+
+    setAudienceFields(audience) {
+        const current = audience || { type: 'public', schools: [], roles: [], committees: [] };
+        document.getElementById('eventAudience').value = current.type;
+
+        const selected = {
+            audienceSchools: current.schools || [],
+            audienceRoles: current.roles || [],
+            audienceCommittees: current.committees || []
+        };
+        Object.entries(selected).forEach(([name, values]) => {
+            document.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+                input.checked = values.includes(input.value);
+            });
+        });
+
+        this.toggleAudienceFields();
+    }
+
+    getAudienceFromForm(formData) {
+        const type = formData.get('audience') || 'public';
+        const restricted = type === 'restricted';
+
+        return {
+            type,
+            schools: restricted ? formData.getAll('audienceSchools') : [],
+            roles: restricted ? formData.getAll('audienceRoles') : [],
+            committees: restricted ? formData.getAll('audienceCommittees') : []
+        };
+    }
+
+    describeAudience(audience) {
+        if (audience.type === 'public') return 'Everyone';
+        if (audience.type === 'members') return 'All signed-in members';
+
+        const roleNames = { member: 'Members', executive: 'Executives', admin: 'Administrators' };
+        const groups = [
+            ...audience.schools,
+            ...audience.roles.map(role => roleNames[role] || role),
+            ...audience.committees.map(committee => `${committee} committee`)
+        ];
+        return groups.length
+            ? `${groups.join(', ')} (plus executives and the organizer)`
+            : 'Executives and the organizer only';
+    }
+
+    getEditScope() {
+        if (!this.isEditMode || !this.selectedEvent || !this.selectedEvent.recurrence) {
+            return null;
+        }
+        const checked = document.querySelector('input[name="scope"]:checked');
+        return checked ? checked.value : 'series';
+    }
+
+    applyEditScope(scope) {
+        const event = this.selectedEvent;
+
+        // A single occurrence cannot change the rule; the series is edited from its first date
+        if (event) {
+            document.getElementById('eventDate').value = scope === 'series'
+                ? (event.seriesDate || event.date)
+                : (event.occurrenceDate || event.date);
+        }
+        document.getElementById('eventRepeat').disabled = scope === 'occurrence';
+        document.querySelectorAll('.recurrence-option input').forEach(input => {
+            input.disabled = scope === 'occurrence';
+        });
+        this.toggleRecurrenceFields();
+    }
+
+    getRecurrenceFromForm(formData) {
+        const frequency = formData.get('repeat');
+        if (!frequency) return null;
+
+        return {
+            frequency,
+            interval: parseInt(formData.get('repeatInterval')) || 1,
+            until: formData.get('repeatUntil') || null,
+            count: formData.get('repeatCount') ? parseInt(formData.get('repeatCount')) : null
+        };
+    }
+
+    describeRecurrence(recurrence) {
+        const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+        const unit = units[recurrence.frequency];
+        let text = recurrence.interval > 1
+            ? `Every ${recurrence.interval} ${unit}s`
+            : this.capitalizeFirst(recurrence.frequency);
+
+        if (recurrence.until) {
+            const until = new Date(recurrence.until).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+            text += ` until ${until}`;
+        } else if (recurrence.count) {
+            text += `, ${recurrence.count} times`;
+        }
+
+        return text;
+    }
+
+    closeEventModal() {
+        console.log('🚪 Closing event modal and resetting state');
+        document.getElementById('eventModal').classList.remove('show');
+        
+        this.selectedEventId = null;
+        this.selectedEvent = null;
+        this.isEditMode = false;
+        this.pendingPollChoice = null;
+        this.applyEditScope('series');
+    }
+
+    closeEventDetailsModal() {
+        console.log('🚪 Closing event details modal');
+        document.getElementById('eventDetailsModal').classList.remove('show');
+    }
+
+    async openFeedModal() {
+        this.feedUrls = { feedUrl: `${this.API_BASE}/events/calendar.ics` };
+
+        if (this.isAuthenticated) {
+            try {
+                const data = await this.apiCall('/events/feed');
+                if (data && data.success) {
+                    this.feedUrls = { feedUrl: data.feedUrl };
+                }
+            } catch (error) {
+                console.error('❌ Error loading personal calendar feed:', error);
+                this.showMessage('Could not load your personal calendar link. Showing the public link instead.', 'warning');
+            }
+        }
+
+        await this.loadReminderSetting();
+
+        const isPersonal = this.feedUrls.feedUrl.includes('token=');
+        document.getElementById('feedNote').style.display = isPersonal ? 'block' : 'none';
+        document.getElementById('resetFeedBtn').style.display = isPersonal ? 'inline-block' : 'none';
+
+        this.updateFeedLink();
+        document.getElementById('feedModal').classList.add('show');
+    }
+
+    async loadReminderSetting() {
+        const settings = document.getElementById('reminderSettings');
+        settings.style.display = 'none';
+        if (!this.isAuthenticated) return;
+
+        try {
+            const data = await this.apiCall('/events/reminders');
+            if (data && data.success) {
+                document.getElementById('reminderSubscribe').checked = data.subscribed;
+                settings.style.display = 'block';
+            }
+        } catch (error) {
+            console.error('❌ Error loading reminder settings:', error);
+        }
+    }
+
+    async saveReminderSetting() {
+        const checkbox = document.getElementById('reminderSubscribe');
+        checkbox.disabled = true;
+
+        try {
+            const data = await this.apiCall('/events/reminders', {
+                method: 'PUT',
+                body: JSON.stringify({ subscribed: checkbox.checked })
+            });
+
+            if (data && data.success) {
+                this.showMessage(data.message, 'success');
+            } else {
+                throw new Error(data?.message || 'Failed to update reminder settings');
+            }
+        } catch (error) {
+            console.error('❌ Error saving reminder settings:', error);
+            checkbox.checked = !checkbox.checked;
+            this.showMessage(error.message || 'Failed to update reminder settings', 'error');
+        } finally {
+            checkbox.disabled = false;
+        }
+    }
+
+    updateFeedLink() {
+        if (!this.feedUrls) return;
+
+        const type = document.getElementById('feedType').value;
+        let url = this.feedUrls.feedUrl;
+        if (type !== 'all') {
+            url += `${url.includes('?') ? '&' : '?'}type=${encodeURIComponent(type)}`;
+        }
+
+        document.getElementById('feedUrl').value = url;
+        document.getElementById('webcalLink').href = url.replace(/^https?:/, 'webcal:');
+    }
+
+    async copyFeedLink() {
+        const input = document.getElementById('feedUrl');
+        try {
+            await navigator.clipboard.writeText(input.value);
+            this.showMessage('Calendar link copied to clipboard', 'success');
+        } catch (error) {
+            input.select();
+            this.showMessage('Press Ctrl+C to copy the calendar link', 'info');
+        }
+    }
+
+    async resetFeedLink() {
+        if (!confirm('Reset your calendar link? Existing subscriptions will stop updating until you add the new link.')) {
+            return;
+        }
+
+        try {
+            const data = await this.apiCall('/events/feed/reset', { method: 'POST' });
+            if (data && data.success) {
+                this.feedUrls = { feedUrl: data.feedUrl };
+                this.updateFeedLink();
+                this.showMessage(data.message, 'success');
+            } else {
+                throw new Error(data?.message || 'Failed to reset calendar link');
+            }
+        } catch (error) {
+            console.error('❌ Error resetting calendar feed:', error);
+            this.showMessage(error.message || 'Failed to reset calendar link', 'error');
+        }
+    }
+
+    closeFeedModal() {
+        document.getElementById('feedModal').classList.remove('show');
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    openImportModal() {
+        if (!this.canManageEvents()) {
+            this.showMessage('Only executives and admins can import events', 'error');
+            return;
+        }
+
+        this.importCandidates = [];
+        document.getElementById('importFile').value = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('confirmImportBtn').style.display = 'none';
+        document.getElementById('importModal').classList.add('show');
+    }
+
+    async previewImport() {
+        const file = document.getElementById('importFile').files[0];
+        if (!file) {
+            this.showMessage('Please choose an .ics file first', 'warning');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const previewBtn = document.getElementById('previewImportBtn');
+        previewBtn.disabled = true;
+
+        try {
+            // Let the browser set the multipart boundary
+            const data = await this.apiCall('/events/import/preview', {
+                method: 'POST',
+                headers: {},
+                body: formData
+            });
+
+            if (data && data.success) {
+                this.importCandidates = data.events;
+                this.renderImportPreview();
+            } else {
+                throw new Error(data?.message || 'Failed to read calendar file');
+            }
+        } catch (error) {
+            console.error('❌ Error previewing import:', error);
+            this.showMessage(error.message || 'Failed to read calendar file', 'error');
+        } finally {
+            previewBtn.disabled = false;
+        }
+    }
+
+    renderImportPreview() {
+        const preview = document.getElementById('importPreview');
+        const duplicates = this.importCandidates.filter(event => event.duplicateOf).length;
+
+        const typeOptions = ['meeting', 'webinar', 'conference', 'deadline'];
+
+        preview.innerHTML = `
+            <div class="import-summary">
+                Found ${this.importCandidates.length} events${duplicates ? `, ${duplicates} already in the calendar` : ''}.
+            </div>
+            ${this.importCandidates.map((event, index) => `
+                <div class="import-row ${event.duplicateOf ? 'duplicate' : ''}">
+                    <input type="checkbox" class="import-select" data-index="${index}" ${event.duplicateOf ? '' : 'checked'}>
+                    <div>
+                        <div class="import-row-title">${this.escapeHtml(event.title)}</div>
+                        <div class="import-row-meta">
+                            ${this.escapeHtml(event.date)}${event.time ? ` at ${this.escapeHtml(event.time)} (${this.escapeHtml(this.formatTimeZoneName(event.timeZone))} time)` : ''}
+                            ${event.location ? ` · 📍 ${this.escapeHtml(event.location)}` : ''}
+                            ${event.organizer ? ` · 👥 ${this.escapeHtml(event.organizer)}` : ''}
+                            ${event.recurrence ? ` · 🔁 ${this.describeRecurrence(event.recurrence)}` : ''}
+                        </div>
+                        ${event.duplicateOf ? `<div class="import-row-note">Already exists: ${this.escapeHtml(event.duplicateOf.title)} (${this.escapeHtml(event.duplicateOf.date)})</div>` : ''}
+                        ${event.warnings.map(warning => `<div class="import-row-note">${this.escapeHtml(warning)}</div>`).join('')}
+                    </div>
+                    <select class="import-type" data-index="${index}">
+                        ${typeOptions.map(type => `<option value="${type}" ${type === event.type ? 'selected' : ''}>${this.capitalizeFirst(type)}</option>`).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        `;
+
+        document.getElementById('confirmImportBtn').style.display = 'inline-block';
+    }
+
+    async confirmImport() {
+        const selected = [];
+        document.querySelectorAll('.import-select:checked').forEach(checkbox => {
+            const index = parseInt(checkbox.dataset.index);
+            const candidate = this.importCandidates[index];
+            const type = document.querySelector(`.import-type[data-index="${index}"]`).value;
+            selected.push({
+                ...candidate,
+                type,
+                force: Boolean(candidate.duplicateOf)
+            });
+        });
+
+        if (selected.length === 0) {
+            this.showMessage('Select at least one event to import', 'warning');
+            return;
+        }
+
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        confirmBtn.disabled = true;
+
+        try {
+            const data = await this.apiCall('/events/import', {
+                method: 'POST',
+                body: JSON.stringify({
+                    events: selected,
+                    isPublic: document.getElementById('importPublic').checked
+                })
+            });
+
+            if (data && data.success) {
+                const skipped = data.skipped ? ` (${data.skipped} skipped as duplicates)` : '';
+                this.showMessage(`${data.message}${skipped}`, 'success');
+                this.closeImportModal();
+                await this.loadEvents();
+                this.render();
+            } else {
+                throw new Error(data?.message || 'Failed to import events');
+            }
+        } catch (error) {
+            console.error('❌ Error importing events:', error);
+            this.showMessage(error.message || 'Failed to import events', 'error');
+        } finally {
+            confirmBtn.disabled = false;
+        }
+    }
+
+    closeImportModal() {
+        document.getElementById('importModal').classList.remove('show');
+    }
+
+    loadSampleEvents() {
+        console.log('📅 Loading sample events as fallback');
+        return [
+            {
+                id: 'sample-1',
+                title: 'INTERPARENTS Bureau Meeting',
+                type: 'meeting',
+                date: '2025-01-15',
+                time: '14:00',
+                location: 'Brussels, Belgium',
+                description: 'Weekly Bureau meeting to discuss ongoing initiatives.',
+                organizer: 'INTERPARENTS Bureau',
+                createdBy: { name: 'INTERPARENTS Admin', school: 'INTERPARENTS Central' },
+                canEdit: false
+            },
+            {
+                id: 'sample-2',
+                title: 'Joint Teaching Committee Meeting',
+                type: 'meeting',
+                date: '2025-02-12',
+                time: '09:00',
+                location: 'Brussels, Belgium',
+                description: 'JTC meeting with inspectors from all Member States.',
+                organizer: 'European Schools Office',
+                createdBy: { name: 'European Schools', school: 'Office of Secretary General' },
+                canEdit: false
+            }
+        ];
+    }
+}
+
+function closeEventModal() {
+    if (window.calendar) {
+        window.calendar.closeEventModal();
+    }
+}
+
+function closeEventDetailsModal() {
+    if (window.calendar) {
+        window.calendar.closeEventDetailsModal();
+    }
+}
+
+function closeMinutesModal() {
+    if (window.calendar) {
+        window.calendar.closeMinutesModal();
+    }
+}
+
+function closePollsModal() {
+    if (window.calendar) {
+        window.calendar.closePollsModal();
+    }
+}
+
+function closeImportModal() {
+    if (window.calendar) {
+        window.calendar.closeImportModal();
+    }
+}
+
+function closeFeedModal() {
+    if (window.calendar) {
+        window.calendar.closeFeedModal();
     }
 }
 
@@ -106,6 +106,104 @@ class Dashboard {
         }
 
         this.bindPasswordTrigger();
+        this.loadActionItems();
+    }
+
+    async loadActionItems() {
+        const list = document.getElementById('actionItemsList');
+        if (!list) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/action-items/mine`, {
+                credentials: 'include'
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to load action items');
+            }
+
+            this.renderActionItems(data.actionItems);
+        } catch (error) {
+            console.error('Error loading action items:', error);
+            list.innerHTML = '<p class="loading">Your action items could not be loaded.</p>';
+        }
+    }
+
+    renderActionItems(items) {
+        const list = document.getElementById('actionItemsList');
+
+        if (items.length === 0) {
+            list.innerHTML = '<p class="loading">You have no open action items. 🎉</p>';
+            return;
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+
+        list.innerHTML = items.map(item => {
+            const overdue = item.dueDate && item.dueDate < today;
+            const eventLink = item.event
+                ? `<a href="calendar.html?event=${encodeURIComponent(item.event.id)}&date=${encodeURIComponent(item.event.date)}">${this.escapeHtml(item.event.title)}</a>`
+                : '';
+
+            return `
+                <div class="action-item ${overdue ? 'overdue' : ''}">
+                    <div class="action-item-info">
+                        <strong>${this.escapeHtml(item.title)}</strong>
+                        <span class="action-item-meta">
+                            ${eventLink}
+                            ${item.dueDate ? ` · Due ${new Date(`${item.dueDate}T00:00:00`).toLocaleDateString()}` : ''}
+                            ${overdue ? ' · <span class="overdue-label">Overdue</span>' : ''}
+                        </span>
+                    </div>
+                    <select class="action-item-status" data-id="${item.id}">
+                        <option value="open" ${item.status === 'open' ? 'selected' : ''}>Open</option>
+                        <option value="in_progress" ${item.status === 'in_progress' ? 'selected' : ''}>In progress</option>
+                        <option value="done">Done</option>
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.action-item-status').forEach(select => {
+            select.addEventListener('change', () => this.updateActionItem(select.dataset.id, select.value));
+        });
+    }
+
+    async updateActionItem(id, status) {
+        let failure = null;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/action-items/${id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ status })
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to update action item');
+            }
+        } catch (error) {
+            console.error('Error updating action item:', error);
+            failure = error.message;
+        }
+
+        await this.loadActionItems();
+
+        if (failure) {
+            document.getElementById('actionItemsList').insertAdjacentHTML('afterbegin',
+                `<p class="overdue-label">${this.escapeHtml(failure)}</p>`);
+        }
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
     }
 
     capitalizeRole(role) {
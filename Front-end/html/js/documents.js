@@ -10,6 +10,8 @@ class DocumentsManager {
         this.currentView = 'grid';
         this.isAuthenticated = false;
         this.currentUser = null;
+        this.fileTypes = [{ type: 'pdf', label: 'PDF', mimetype: 'application/pdf', extensions: ['.pdf'] }];
+        this.maxFileSizeMB = 10;
 
         console.log('📁 DocumentsManager initialized');
         this.init();
@@ -19,6 +21,7 @@ class DocumentsManager {
         await this.checkAuthState();
         this.bindEvents();
         this.updateUI();
+        await this.loadFileTypes();
         await this.loadDocuments();
         await this.loadWebinars();
         this.renderContent();
@@ -333,6 +336,38 @@ class DocumentsManager {
         }
     }
 
+    // The upload form follows the server's file type allow-list
+    async loadFileTypes() {
+        if (!this.isAuthenticated) return;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/communications/file-types`, {
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            if (response.ok && data.success) {
+                this.fileTypes = data.types;
+                this.maxFileSizeMB = data.maxFileSizeMB;
+            }
+        } catch (error) {
+            console.error('❌ Error loading file types:', error);
+        }
+
+        const fileInput = document.getElementById('documentFile');
+        if (fileInput) {
+            fileInput.accept = this.fileTypes.flatMap(type => [...type.extensions, type.mimetype]).join(',');
+        }
+    }
+
+    isAllowedFile(file) {
+        return this.fileTypes.some(type => type.extensions.includes(this.getFileExtension(file.name)));
+    }
+
+    getFileExtension(filename) {
+        return filename && filename.includes('.') ? filename.slice(filename.lastIndexOf('.')).toLowerCase() : '';
+    }
+
     async loadDocuments() {
         try {
             console.log('📄 Loading documents from API...');
@@ -357,6 +392,9 @@ class DocumentsManager {
                             size: this.formatFileSize(comm.fileSize),
                             filename: comm.filename,
                             uploadedBy: comm.uploadedBy?.name,
+                            version: comm.version || 1,
+                            accessLevel: comm.accessLevel || 'public',
+                            events: comm.events || [],
                             type: 'document'
                         };
                     });
@@ -395,6 +433,8 @@ class DocumentsManager {
         console.log('🔍 Searching for:', searchTerm);
 
         const allItems = [...this.documents, ...this.webinars];
+        this.clearDocumentMatches();
+        this.searchDocumentContents(searchTerm);
 
         if (!searchTerm.trim()) {
             allItems.forEach(item => {
@@ -417,6 +457,67 @@ class DocumentsManager {
         });
     }
 
+    // The text inside PDFs is searched on the server once typing pauses; those
+    // matches are shown alongside the title matches, with the pages they are on
+    searchDocumentContents(searchTerm) {
+        clearTimeout(this.contentSearchTimer);
+        this.contentSearchTerm = searchTerm.trim();
+        if (this.contentSearchTerm.length < 2) return;
+
+        this.contentSearchTimer = setTimeout(async () => {
+            const term = this.contentSearchTerm;
+
+            try {
+                const response = await fetch(`${this.API_BASE}/communications/search?q=${encodeURIComponent(term)}`, {
+                    credentials: 'include'
+                });
+
+                const data = await response.json();
+                // A newer search has started in the meantime
+                if (term !== this.contentSearchTerm) return;
+
+                if (!response.ok || !data.success) {
+                    console.warn('⚠️ Content search failed:', data.message);
+                    return;
+                }
+
+                data.communications.forEach(result => {
+                    const doc = this.documents.find(d => d.id === result.id);
+                    if (!doc || !doc.element) return;
+
+                    doc.element.style.display = 'block';
+                    this.renderDocumentMatches(doc, result);
+                });
+            } catch (error) {
+                console.error('❌ Content search error:', error);
+            }
+        }, 300);
+    }
+
+    renderDocumentMatches(doc, result) {
+        const container = doc.element.querySelector('.document-matches');
+        if (!container || result.matches.length === 0) return;
+
+        const more = result.pageMatchCount - result.matches.length;
+        container.innerHTML = `
+            ${result.matches.map(match => `
+                <p class="document-match">
+                    <span class="document-match-page">Page ${match.page}</span>
+                    ${match.snippet}
+                </p>
+            `).join('')}
+            ${more > 0 ? `<p class="document-match-more">…and ${more} more page${more === 1 ? '' : 's'}</p>` : ''}
+        `;
+        container.hidden = false;
+    }
+
+    clearDocumentMatches() {
+        document.querySelectorAll('.document-matches').forEach(container => {
+            container.innerHTML = '';
+            container.hidden = true;
+        });
+    }
+
     handleFilter(category) {
         console.log('🏷️ Filtering by category:', category);
 
@@ -482,7 +583,7 @@ class DocumentsManager {
 
         documentsGrid.innerHTML = this.documents.map((doc, index) => `
         <div class="document-card" data-category="${doc.category.toLowerCase()}" data-doc-id="${doc.id}">
-            <div class="document-icon">${this.getDocumentIcon(doc.category)}</div>
+            <div class="document-icon">${this.getDocumentIcon(doc.category, doc.filename)}</div>
             <div class="document-info">
                 <h3>${doc.title}</h3>
                 <p class="document-category">${this.getCategoryDisplayName(doc.category)}</p>
@@ -491,7 +592,12 @@ class DocumentsManager {
                     <span class="document-date">📅 Updated: ${doc.date}</span>
                     <span class="document-size">📊 ${doc.size}</span>
                     ${doc.uploadedBy ? `<span class="document-author">👤 ${doc.uploadedBy}</span>` : ''}
+                    ${doc.version > 1 ? `<span class="document-version">🗂️ Version ${doc.version}</span>` : ''}
+                    ${doc.accessLevel === 'members' ? '<span class="document-access">🔒 Members only</span>' : ''}
+                    ${doc.accessLevel === 'executives' ? '<span class="document-access">🔒 Admins and executives</span>' : ''}
                 </div>
+                ${this.renderDocumentEvents(doc)}
+                <div class="document-matches" hidden></div>
                 <div class="document-actions">
                     <button class="action-btn primary view-doc-btn" data-filename="${doc.filename}" data-title="${doc.title}">
                         👁️ View
@@ -499,12 +605,18 @@ class DocumentsManager {
                     <button class="action-btn secondary download-doc-btn" data-filename="${doc.filename}" data-title="${doc.title}">
                         ⬇️ Download
                     </button>
+                    ${doc.version > 1 ? `
+                        <button class="action-btn secondary history-doc-btn" data-doc-id="${doc.id}">
+                            🕘 History
+                        </button>
+                    ` : ''}
                     ${this.isAuthenticated && (this.currentUser.role === 'admin' || this.currentUser.role === 'executive') ? `
                         <button class="action-btn danger delete-doc-btn" data-doc-id="${doc.id}" data-title="${doc.title}">
                             🗑️ Delete
                         </button>
                     ` : ''}
                 </div>
+                <ul class="document-versions" data-versions-for="${doc.id}" hidden></ul>
             </div>
         </div>
     `).join('');
@@ -517,6 +629,20 @@ class DocumentsManager {
         }));
     }
 
+    renderDocumentEvents(doc) {
+        if (!doc.events || doc.events.length === 0) return '';
+
+        return `
+            <div class="document-events">
+                ${doc.events.map(event => `
+                    <a class="document-event-link" href="calendar.html?event=${encodeURIComponent(event.id)}&date=${encodeURIComponent(event.date)}">
+                        📅 ${this.escapeHtml(event.title)} (${new Date(`${event.date}T00:00:00`).toLocaleDateString()})
+                    </a>
+                `).join('')}
+            </div>
+        `;
+    }
+
     renderWebinars() {
         const webinarsGrid = document.getElementById('webinarsGrid');
         if (!webinarsGrid) return;
@@ -590,6 +716,13 @@ class DocumentsManager {
             });
         });
 
+        document.querySelectorAll('.history-doc-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const button = e.target.closest('.history-doc-btn');
+                this.toggleVersionHistory(button.dataset.docId);
+            });
+        });
+
         document.querySelectorAll('.delete-doc-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const button = e.target.closest('.delete-doc-btn');
@@ -653,6 +786,44 @@ class DocumentsManager {
         this.showMessage(`Downloading "${title}"`, 'success');
     }
 
+    async toggleVersionHistory(docId) {
+        const list = document.querySelector(`[data-versions-for="${docId}"]`);
+        if (!list) return;
+
+        if (!list.hidden) {
+            list.hidden = true;
+            return;
+        }
+
+        list.innerHTML = '<li>Loading versions...</li>';
+        list.hidden = false;
+
+        try {
+            const response = await fetch(`${this.API_BASE}/communications/${docId}/versions`, {
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                list.innerHTML = `<li>${data.message || 'Version history is unavailable'}</li>`;
+                return;
+            }
+
+            list.innerHTML = data.versions.map((version, index) => `
+                <li>
+                    <a href="${this.API_BASE}/files/${encodeURIComponent(version.filename)}" target="_blank" rel="noopener">
+                        Version ${version.version}${index === 0 ? ' (current)' : ''}
+                    </a>
+                    <span>${new Date(version.createdAt).toLocaleDateString()}${version.uploadedBy?.name ? ` · ${this.escapeHtml(version.uploadedBy.name)}` : ''}</span>
+                    ${version.note ? `<span class="document-version-note">${this.escapeHtml(version.note)}</span>` : ''}
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Version history error:', error);
+            list.innerHTML = '<li>Network error while loading the version history</li>';
+        }
+    }
+
     async deleteDocument(docId, title) {
         if (!confirm(`Are you sure you want to delete "${title}"? This action cannot be undone.`)) {
             return;
@@ -777,7 +948,29 @@ deleteWebinar(webinarId, title) {
         document.body.appendChild(modal);
     }
 
-    getDocumentIcon(category) {
+    // PDFs show their category; other formats show what kind of file they are
+    getDocumentIcon(category, filename) {
+        const typeIcons = {
+            '.docx': '📘',
+            '.doc': '📘',
+            '.odt': '📘',
+            '.xlsx': '📗',
+            '.xls': '📗',
+            '.ods': '📗',
+            '.csv': '📗',
+            '.pptx': '📙',
+            '.ppt': '📙',
+            '.odp': '📙',
+            '.png': '🖼️',
+            '.jpg': '🖼️',
+            '.jpeg': '🖼️',
+            '.gif': '🖼️',
+            '.webp': '🖼️',
+            '.txt': '📃'
+        };
+        const typeIcon = typeIcons[this.getFileExtension(filename)];
+        if (typeIcon) return typeIcon;
+
         const icons = {
             'JTC': '📋',
             'BOG': '🏛️',
@@ -849,14 +1042,14 @@ deleteWebinar(webinarId, title) {
 
         status.style.display = 'block';
 
-        if (file.type !== 'application/pdf') {
-            status.textContent = 'Please select a PDF file only';
+        if (!this.isAllowedFile(file)) {
+            status.textContent = `Please select one of: ${this.fileTypes.map(type => type.label).join(', ')}`;
             status.className = 'file-status error';
             return;
         }
 
-        if (file.size > 10 * 1024 * 1024) {
-            status.textContent = 'File size must be less than 10MB';
+        if (file.size > this.maxFileSizeMB * 1024 * 1024) {
+            status.textContent = `File size must be less than ${this.maxFileSizeMB}MB`;
             status.className = 'file-status error';
             return;
         }
@@ -892,7 +1085,11 @@ deleteWebinar(webinarId, title) {
             const data = await response.json();
 
             if (response.ok && data.success) {
-                this.showMessage('Document uploaded successfully!', 'success');
+                // Scheduled documents stay off this page until their publish date
+                const scheduled = data.communication && data.communication.status === 'scheduled';
+                this.showMessage(scheduled
+                    ? `Document scheduled for ${new Date(data.communication.publishDate).toLocaleDateString()}`
+                    : 'Document uploaded successfully!', 'success');
                 this.closeUploadModal();
 
                 await this.loadDocuments();
@@ -924,6 +1121,12 @@ deleteWebinar(webinarId, title) {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
     showMessage(message, type = 'info') {
         console.log(`📢 Message (${type}): ${message}`);
 
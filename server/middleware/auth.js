@@ -53,6 +53,7 @@ const auth = async (req, res, next) => {
       role: profile.role,
       school: profile.school,
       position: profile.position,
+      committees: profile.committees || [],
       isActive: profile.is_active,
       lastLogin: profile.last_login
     };
@@ -109,6 +110,7 @@ const optionalAuth = async (req, res, next) => {
       role: profile.role,
       school: profile.school,
       position: profile.position,
+      committees: profile.committees || [],
       isActive: profile.is_active,
       lastLogin: profile.last_login
     };
@@ -123,6 +125,55 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Calendar Feed Token Middleware
+ * Calendar clients cannot send cookies, so a ?token= query parameter is
+ * resolved to its owner. Without a token this behaves like optionalAuth.
+ */
+const feedTokenAuth = async (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return optionalAuth(req, res, next);
+  }
+
+  try {
+    const adminClient = getSupabaseAdmin();
+    const { data: profile, error } = await adminClient
+      .from('user_profiles')
+      .select('*')
+      .eq('calendar_token', token)
+      .single();
+
+    if (error || !profile || !profile.is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid calendar feed token.'
+      });
+    }
+
+    req.user = {
+      id: profile.id,
+      email: profile.email,
+      name: profile.name,
+      role: profile.role,
+      school: profile.school,
+      position: profile.position,
+      committees: profile.committees || [],
+      isActive: profile.is_active,
+      lastLogin: profile.last_login
+    };
+
+    next();
+  } catch (error) {
+    console.error('Feed token middleware error:', error);
+    res.status(401).json({
+      success: false,
+      message: 'Authentication failed.'
+    });
+  }
+};
+
 /**
  * Admin/Executive Authorization Middleware
  * Must be chained after auth middleware
@@ -170,6 +221,7 @@ const adminOnly = (req, res, next) => {
 module.exports = {
   auth,
   optionalAuth,
+  feedTokenAuth,
   adminAuth,
   adminOnly
 };
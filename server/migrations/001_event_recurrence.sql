@@ -0,0 +1,17 @@
+-- Recurring events
+-- A series is a single events row carrying an RRULE. Occurrences are expanded
+-- by the API; an occurrence edited on its own becomes a detached row that
+-- points back at its series and is listed in the series' exceptions.
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS recurrence_rule TEXT,
+  ADD COLUMN IF NOT EXISTS recurrence_exceptions DATE[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS recurrence_parent_id UUID REFERENCES events(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS recurrence_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_events_recurrence_rule
+  ON events (date)
+  WHERE recurrence_rule IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_events_recurrence_parent
+  ON events (recurrence_parent_id);
@@ -0,0 +1,6 @@
+-- Personal iCalendar feed tokens
+-- Calendar clients cannot send the session cookie, so each member gets an
+-- opaque token that identifies them on GET /api/events/calendar.ics.
+
+ALTER TABLE user_profiles
+  ADD COLUMN IF NOT EXISTS calendar_token TEXT UNIQUE;
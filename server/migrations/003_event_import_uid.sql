@@ -0,0 +1,10 @@
+-- iCalendar imports
+-- Remember the UID of imported VEVENTs so re-importing the same file is
+-- recognised as a duplicate even if the title was edited afterwards.
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS import_uid TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_events_import_uid
+  ON events (import_uid)
+  WHERE import_uid IS NOT NULL;
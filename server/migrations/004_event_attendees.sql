@@ -0,0 +1,37 @@
+-- Event RSVPs and attendance
+-- One row per member per event (per occurrence for recurring series).
+-- status is NULL when attendance was recorded for someone who never replied.
+
+CREATE TABLE IF NOT EXISTS event_attendees (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  occurrence_date DATE,
+  status TEXT CHECK (status IN ('attending', 'not_attending', 'maybe')),
+  proxy_name TEXT,
+  responded_at TIMESTAMPTZ,
+  attended BOOLEAN,
+  attendance_marked_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  attendance_marked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (event_id, user_id, occurrence_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_attendees_event
+  ON event_attendees (event_id, occurrence_date);
+
+CREATE INDEX IF NOT EXISTS idx_event_attendees_user
+  ON event_attendees (user_id);
+
+ALTER TABLE event_attendees ENABLE ROW LEVEL SECURITY;
+
+-- Members manage their own RSVP; the API uses the service role for organizer views
+CREATE POLICY "Users can view their own RSVPs"
+  ON event_attendees FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own RSVPs"
+  ON event_attendees FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
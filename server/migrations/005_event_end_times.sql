@@ -0,0 +1,19 @@
+-- Event end times, multi-day and all-day events
+-- end_date is inclusive. end_time without end_date means the same day.
+-- All-day events have no time or end_time.
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS end_date DATE,
+  ADD COLUMN IF NOT EXISTS end_time TEXT,
+  ADD COLUMN IF NOT EXISTS all_day BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE events
+  ALTER COLUMN time DROP NOT NULL;
+
+ALTER TABLE events
+  ADD CONSTRAINT events_end_after_start
+  CHECK (end_date IS NULL OR end_date >= date);
+
+CREATE INDEX IF NOT EXISTS idx_events_end_date
+  ON events (end_date)
+  WHERE end_date IS NOT NULL;
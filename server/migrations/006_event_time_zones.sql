@@ -0,0 +1,7 @@
+-- Time-zone-aware events
+-- date/time/end_date/end_time stay wall-clock values in the organizer's zone;
+-- time_zone is the IANA name they are read in. Existing events were entered
+-- in Brussels time.
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS time_zone TEXT NOT NULL DEFAULT 'Europe/Brussels';
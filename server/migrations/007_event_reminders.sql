@@ -0,0 +1,33 @@
+-- Event reminder emails
+-- The reminder worker queues one row per recipient, occurrence and offset.
+-- event_fingerprint captures the event as it was when the reminder was queued;
+-- if the event has been edited since, the reminder is skipped and re-queued.
+
+ALTER TABLE user_profiles
+  ADD COLUMN IF NOT EXISTS event_reminders BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS event_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  occurrence_date DATE,
+  offset_minutes INTEGER NOT NULL CHECK (offset_minutes > 0),
+  reason TEXT NOT NULL CHECK (reason IN ('rsvp', 'subscription')),
+  send_at TIMESTAMPTZ NOT NULL,
+  event_fingerprint TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sending', 'sent', 'skipped', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  skip_reason TEXT,
+  last_error TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (event_id, user_id, occurrence_date, offset_minutes, event_fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_reminders_due
+  ON event_reminders (send_at)
+  WHERE status = 'pending';
+
+-- Only the worker (service role) reads and writes reminders
+ALTER TABLE event_reminders ENABLE ROW LEVEL SECURITY;
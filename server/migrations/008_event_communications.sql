@@ -0,0 +1,22 @@
+-- Event attachments
+-- Links communications (agendas, minutes, reports) to the events they belong to.
+-- A communication can belong to several events and an event can have several.
+
+CREATE TABLE IF NOT EXISTS event_communications (
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  communication_id UUID NOT NULL REFERENCES communications(id) ON DELETE CASCADE,
+  linked_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (event_id, communication_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_communications_communication
+  ON event_communications (communication_id);
+
+ALTER TABLE event_communications ENABLE ROW LEVEL SECURITY;
+
+-- Links carry no data of their own; event and communication visibility still apply.
+-- Changes go through the API with the service role.
+CREATE POLICY "Anyone can view event attachments"
+  ON event_communications FOR SELECT
+  USING (true);
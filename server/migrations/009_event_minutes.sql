@@ -0,0 +1,46 @@
+-- Meeting minutes and action items
+-- One set of minutes per event (per occurrence for recurring series).
+-- attendees is a snapshot of who was present: [{ "userId", "name", "school" }].
+-- communication_id points at the PDF stored as a Report, once exported.
+
+CREATE TABLE IF NOT EXISTS event_minutes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  occurrence_date DATE,
+  attendees JSONB NOT NULL DEFAULT '[]'::jsonb,
+  summary TEXT,
+  decisions TEXT[] NOT NULL DEFAULT '{}',
+  recorded_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  communication_id UUID REFERENCES communications(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (event_id, occurrence_date)
+);
+
+CREATE TABLE IF NOT EXISTS action_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  minutes_id UUID NOT NULL REFERENCES event_minutes(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  owner_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  owner_name TEXT,
+  due_date DATE,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'done')),
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_items_minutes
+  ON action_items (minutes_id);
+
+CREATE INDEX IF NOT EXISTS idx_action_items_owner
+  ON action_items (owner_id, status);
+
+ALTER TABLE event_minutes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE action_items ENABLE ROW LEVEL SECURITY;
+
+-- Minutes follow event visibility, which the API enforces with the service role
+CREATE POLICY "Users can view their own action items"
+  ON action_items FOR SELECT
+  USING (auth.uid() = owner_id);
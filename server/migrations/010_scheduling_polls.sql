@@ -0,0 +1,71 @@
+-- Scheduling polls
+-- An executive proposes candidate slots; members answer yes / no / if need be.
+-- Slot times are wall-clock values in the poll's time_zone, like events.
+-- Once a slot is chosen the poll is closed and linked to the event created for it.
+
+CREATE TABLE IF NOT EXISTS scheduling_polls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,
+  description TEXT,
+  location TEXT,
+  type TEXT NOT NULL DEFAULT 'meeting',
+  duration_minutes INTEGER CHECK (duration_minutes > 0),
+  time_zone TEXT NOT NULL DEFAULT 'Europe/Brussels',
+  deadline DATE,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  chosen_option_id UUID,
+  event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS poll_options (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  poll_id UUID NOT NULL REFERENCES scheduling_polls(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  time TIME,
+  position INTEGER NOT NULL DEFAULT 0
+);
+
+ALTER TABLE scheduling_polls
+  ADD CONSTRAINT scheduling_polls_chosen_option_fkey
+  FOREIGN KEY (chosen_option_id) REFERENCES poll_options(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS poll_votes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  poll_id UUID NOT NULL REFERENCES scheduling_polls(id) ON DELETE CASCADE,
+  option_id UUID NOT NULL REFERENCES poll_options(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  answer TEXT NOT NULL CHECK (answer IN ('yes', 'if_need_be', 'no')),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (option_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_poll_options_poll
+  ON poll_options (poll_id, position);
+
+CREATE INDEX IF NOT EXISTS idx_poll_votes_poll
+  ON poll_votes (poll_id);
+
+ALTER TABLE scheduling_polls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE poll_options ENABLE ROW LEVEL SECURITY;
+ALTER TABLE poll_votes ENABLE ROW LEVEL SECURITY;
+
+-- Polls are shared with every signed-in member; the API writes with the service role
+CREATE POLICY "Authenticated users can view polls"
+  ON scheduling_polls FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Authenticated users can view poll options"
+  ON poll_options FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Authenticated users can view poll votes"
+  ON poll_votes FOR SELECT
+  USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Users can manage their own votes"
+  ON poll_votes FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
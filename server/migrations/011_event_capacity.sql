@@ -0,0 +1,24 @@
+-- Event capacity, registration deadlines and waitlists
+-- capacity limits how many members can RSVP "attending" (per occurrence for
+-- recurring series); registration_deadline is the last day to register, in the
+-- event's time zone. Registrations beyond capacity are stored as "waitlisted"
+-- and promoted in waitlisted_at order when a seat frees up.
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS capacity INTEGER CHECK (capacity > 0),
+  ADD COLUMN IF NOT EXISTS registration_deadline DATE;
+
+ALTER TABLE event_attendees
+  DROP CONSTRAINT IF EXISTS event_attendees_status_check;
+
+ALTER TABLE event_attendees
+  ADD CONSTRAINT event_attendees_status_check
+  CHECK (status IN ('attending', 'waitlisted', 'not_attending', 'maybe'));
+
+ALTER TABLE event_attendees
+  ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_event_attendees_waitlist
+  ON event_attendees (event_id, occurrence_date, waitlisted_at)
+  WHERE status = 'waitlisted';
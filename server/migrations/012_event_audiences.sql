@@ -0,0 +1,95 @@
+-- Event audiences
+-- Replaces the single is_public flag. audience is one of:
+--   public     - everyone, including visitors who are not signed in
+--   members    - every signed-in member
+--   restricted - members of the listed schools, roles or committees
+-- Admins, executives and the event's creator always see an event.
+-- audience_keys is maintained by a trigger so both the API and RLS can match a
+-- viewer with a single array overlap.
+
+ALTER TABLE user_profiles
+  ADD COLUMN IF NOT EXISTS committees TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS audience TEXT NOT NULL DEFAULT 'public'
+    CHECK (audience IN ('public', 'members', 'restricted')),
+  ADD COLUMN IF NOT EXISTS audience_schools TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS audience_roles TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS audience_committees TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS audience_keys TEXT[] NOT NULL DEFAULT '{}';
+
+-- Private events used to be visible to executives and their organizer only
+UPDATE events SET audience = 'restricted' WHERE is_public = FALSE;
+
+CREATE OR REPLACE FUNCTION set_event_audience_keys()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.audience_keys := CASE NEW.audience
+    WHEN 'public' THEN ARRAY['public']
+    WHEN 'members' THEN ARRAY['members']
+    ELSE
+      ARRAY(SELECT 'school:' || s FROM unnest(NEW.audience_schools) s) ||
+      ARRAY(SELECT 'role:' || r FROM unnest(NEW.audience_roles) r) ||
+      ARRAY(SELECT 'committee:' || c FROM unnest(NEW.audience_committees) c)
+  END;
+
+  IF NEW.created_by IS NOT NULL THEN
+    NEW.audience_keys := NEW.audience_keys || ('user:' || NEW.created_by::text);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS events_audience_keys ON events;
+CREATE TRIGGER events_audience_keys
+  BEFORE INSERT OR UPDATE OF audience, audience_schools, audience_roles, audience_committees, created_by
+  ON events
+  FOR EACH ROW EXECUTE FUNCTION set_event_audience_keys();
+
+-- Fire the trigger once for existing rows
+UPDATE events SET audience = audience;
+
+CREATE INDEX IF NOT EXISTS idx_events_audience_keys
+  ON events USING GIN (audience_keys);
+
+-- Replace the is_public based read policies
+DO $$
+DECLARE
+  policy RECORD;
+BEGIN
+  FOR policy IN
+    SELECT policyname FROM pg_policies
+    WHERE schemaname = 'public' AND tablename = 'events' AND cmd = 'SELECT'
+  LOOP
+    EXECUTE format('DROP POLICY %I ON events', policy.policyname);
+  END LOOP;
+END $$;
+
+ALTER TABLE events DROP COLUMN IF EXISTS is_public;
+
+-- Mirrors viewerAudienceKeys() in server/utils/audiences.js
+CREATE OR REPLACE FUNCTION event_viewer_keys()
+RETURNS TEXT[] AS $$
+  SELECT CASE
+    WHEN auth.uid() IS NULL THEN ARRAY['public']
+    ELSE (
+      SELECT ARRAY['public', 'members', 'user:' || p.id::text] ||
+        CASE WHEN p.school IS NOT NULL THEN ARRAY['school:' || p.school] ELSE '{}'::TEXT[] END ||
+        CASE WHEN p.role IS NOT NULL THEN ARRAY['role:' || p.role] ELSE '{}'::TEXT[] END ||
+        ARRAY(SELECT 'committee:' || c FROM unnest(p.committees) c)
+      FROM user_profiles p
+      WHERE p.id = auth.uid()
+    )
+  END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE POLICY "Events are visible to their audience"
+  ON events FOR SELECT
+  USING (
+    audience_keys && COALESCE(event_viewer_keys(), ARRAY['public'])
+    OR EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'executive')
+    )
+  );
@@ -0,0 +1,39 @@
+-- Event status and revision history
+-- status marks an event as cancelled or postponed instead of deleting it, with
+-- an optional status_note shown in the calendar banner.
+-- event_revisions records every create, edit, status change and deletion with
+-- the fields that changed: [{ "field", "from", "to" }]. event_id has no foreign
+-- key so the history of a deleted event is kept; occurrence_date is set when a
+-- single occurrence of a series was edited or removed.
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'scheduled'
+    CHECK (status IN ('scheduled', 'postponed', 'cancelled')),
+  ADD COLUMN IF NOT EXISTS status_note TEXT;
+
+CREATE TABLE IF NOT EXISTS event_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_id UUID NOT NULL,
+  occurrence_date DATE,
+  action TEXT NOT NULL
+    CHECK (action IN ('created', 'updated', 'postponed', 'cancelled', 'restored', 'deleted')),
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  changed_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  changed_by_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_revisions_event
+  ON event_revisions (event_id, created_at);
+
+ALTER TABLE event_revisions ENABLE ROW LEVEL SECURITY;
+
+-- History follows event visibility, which the API enforces with the service role
+CREATE POLICY "Executives can view event history"
+  ON event_revisions FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'executive')
+    )
+  );
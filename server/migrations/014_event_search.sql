@@ -0,0 +1,26 @@
+-- Event search
+-- search_vector indexes title (weighted highest), description, location and
+-- organizer for GET /api/events/search. The 'simple' configuration is used
+-- because events are written in several languages, so words are matched
+-- without language-specific stemming.
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(organizer, '')), 'B') ||
+    setweight(to_tsvector('simple', coalesce(location, '')), 'C') ||
+    setweight(to_tsvector('simple', coalesce(description, '')), 'D')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_events_search
+  ON events USING GIN (search_vector);
+
+-- Keyset pagination and the school / creator filters
+CREATE INDEX IF NOT EXISTS idx_events_date_id
+  ON events (date, id);
+
+CREATE INDEX IF NOT EXISTS idx_events_school
+  ON events (school);
+
+CREATE INDEX IF NOT EXISTS idx_events_created_by
+  ON events (created_by);
@@ -0,0 +1,13 @@
+-- Online meetings
+-- Structured join details for webinars and hybrid meetings. meeting_url and
+-- meeting_passcode are never sent with the event list; attendees get them
+-- from GET /api/events/:id/join from meeting_reveal_minutes before the start
+-- (MEETING_LINK_REVEAL_MINUTES when null).
+
+ALTER TABLE events
+  ADD COLUMN IF NOT EXISTS meeting_provider TEXT
+    CHECK (meeting_provider IN ('zoom', 'teams', 'meet', 'webex', 'other')),
+  ADD COLUMN IF NOT EXISTS meeting_url TEXT,
+  ADD COLUMN IF NOT EXISTS meeting_passcode TEXT,
+  ADD COLUMN IF NOT EXISTS meeting_reveal_minutes INTEGER
+    CHECK (meeting_reveal_minutes BETWEEN 0 AND 10080);
@@ -0,0 +1,30 @@
+-- School holidays and terms
+-- Per-school calendar periods maintained by admins. kind = 'holiday' marks a
+-- school holiday (overlaid on the calendar and checked when an event is
+-- created); kind = 'term' records term dates. Both dates are inclusive.
+
+CREATE TABLE IF NOT EXISTS school_holidays (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  school TEXT NOT NULL,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'holiday' CHECK (kind IN ('holiday', 'term')),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_school_holidays_dates
+  ON school_holidays (start_date, end_date);
+
+CREATE INDEX IF NOT EXISTS idx_school_holidays_school
+  ON school_holidays (school, start_date);
+
+ALTER TABLE school_holidays ENABLE ROW LEVEL SECURITY;
+
+-- Holiday dates are public information; the API writes with the service role
+CREATE POLICY "Anyone can view school holidays"
+  ON school_holidays FOR SELECT
+  USING (true);
@@ -0,0 +1,43 @@
+-- Event templates
+-- Saved starting points for recurring meeting formats (JTC preparation, BoG
+-- debrief, General Assembly). A template holds everything but the date:
+-- start time and duration_minutes, the event fields, the audience and online
+-- meeting, and the communications to attach. Managed by admins and executives.
+
+CREATE TABLE IF NOT EXISTS event_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'meeting',
+  description TEXT,
+  location TEXT,
+  organizer TEXT,
+  time TIME,
+  duration_minutes INTEGER CHECK (duration_minutes > 0),
+  all_day BOOLEAN NOT NULL DEFAULT FALSE,
+  time_zone TEXT,
+  audience TEXT NOT NULL DEFAULT 'public' CHECK (audience IN ('public', 'members', 'restricted')),
+  audience_schools TEXT[] NOT NULL DEFAULT '{}',
+  audience_roles TEXT[] NOT NULL DEFAULT '{}',
+  audience_committees TEXT[] NOT NULL DEFAULT '{}',
+  capacity INTEGER CHECK (capacity > 0),
+  meeting_provider TEXT CHECK (meeting_provider IN ('zoom', 'teams', 'meet', 'webex', 'other')),
+  meeting_url TEXT,
+  meeting_passcode TEXT,
+  meeting_reveal_minutes INTEGER CHECK (meeting_reveal_minutes BETWEEN 0 AND 10080),
+  created_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS event_template_communications (
+  template_id UUID NOT NULL REFERENCES event_templates(id) ON DELETE CASCADE,
+  communication_id UUID NOT NULL REFERENCES communications(id) ON DELETE CASCADE,
+  PRIMARY KEY (template_id, communication_id)
+);
+
+ALTER TABLE event_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_template_communications ENABLE ROW LEVEL SECURITY;
+
+-- Templates can hold meeting passcodes, so there is no client read policy;
+-- the API reads and writes them with the service role for admins and executives.
@@ -0,0 +1,37 @@
+-- Communication versions
+-- Every file a communication has had, newest last. Uploading a replacement
+-- adds a version and points the communication at the new file; earlier files
+-- are kept so they stay available through /api/files. uploaded_by records who
+-- uploaded each version.
+
+CREATE TABLE IF NOT EXISTS communication_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  communication_id UUID NOT NULL REFERENCES communications(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL CHECK (version > 0),
+  filename TEXT NOT NULL UNIQUE,
+  original_name TEXT,
+  file_size INTEGER,
+  supabase_url TEXT,
+  note TEXT,
+  uploaded_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (communication_id, version)
+);
+
+ALTER TABLE communications
+  ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+-- Existing files become version 1
+INSERT INTO communication_versions
+  (communication_id, version, filename, original_name, file_size, supabase_url, uploaded_by, created_at)
+SELECT id, 1, filename, original_name, file_size, supabase_url, uploaded_by, created_at
+FROM communications
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE communication_versions ENABLE ROW LEVEL SECURITY;
+
+-- Versions are as visible as the communication itself.
+-- Changes go through the API with the service role.
+CREATE POLICY "Anyone can view communication versions"
+  ON communication_versions FOR SELECT
+  USING (true);
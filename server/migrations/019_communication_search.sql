@@ -0,0 +1,53 @@
+-- Communication search
+-- communication_pages holds the text of each page of a PDF communication,
+-- extracted at upload time (and again for each new version). Titles and
+-- descriptions are indexed on communications itself. As for events, the
+-- 'simple' configuration is used because documents come in several languages.
+-- text_indexed_at is null for communications whose text has not been
+-- extracted yet (those uploaded before this migration).
+
+CREATE TABLE IF NOT EXISTS communication_pages (
+  communication_id UUID NOT NULL REFERENCES communications(id) ON DELETE CASCADE,
+  page INTEGER NOT NULL CHECK (page > 0),
+  content TEXT NOT NULL,
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', content)) STORED,
+  PRIMARY KEY (communication_id, page)
+);
+
+CREATE INDEX IF NOT EXISTS idx_communication_pages_search
+  ON communication_pages USING GIN (search_vector);
+
+ALTER TABLE communications
+  ADD COLUMN IF NOT EXISTS text_indexed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_communications_search
+  ON communications USING GIN (search_vector);
+
+-- Best matching pages with a highlighted excerpt. Matches are wrapped in
+-- U+27E6/U+27E7 rather than HTML so the API can escape the page text first.
+CREATE OR REPLACE FUNCTION search_communication_pages(search_text TEXT, max_results INTEGER DEFAULT 200)
+RETURNS TABLE (communication_id UUID, page INTEGER, snippet TEXT, rank REAL) AS $$
+  SELECT p.communication_id,
+         p.page,
+         ts_headline('simple', p.content, q.query,
+           'StartSel=⟦, StopSel=⟧, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "'),
+         ts_rank(p.search_vector, q.query)
+  FROM communication_pages p
+  CROSS JOIN websearch_to_tsquery('simple', search_text) AS q(query)
+  JOIN communications c ON c.id = p.communication_id AND c.is_active
+  WHERE p.search_vector @@ q.query
+  ORDER BY 4 DESC
+  LIMIT max_results;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE communication_pages ENABLE ROW LEVEL SECURITY;
+
+-- Page text is as visible as the communication itself.
+-- Changes go through the API with the service role.
+CREATE POLICY "Anyone can view communication pages"
+  ON communication_pages FOR SELECT
+  USING (true);
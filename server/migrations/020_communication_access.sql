@@ -0,0 +1,90 @@
+-- Communication access levels
+-- access_level decides who can list a communication and download its files:
+-- 'public' (anyone), 'members' (signed-in users) or 'executives' (admins and
+-- executives). Existing communications stay public until an admin changes them.
+--
+-- Files move to a private storage bucket: the API serves them after checking
+-- access, from its local copy or through a short-lived signed URL. The stored
+-- public URLs stop working, so they are cleared.
+
+ALTER TABLE communications
+  ADD COLUMN IF NOT EXISTS access_level TEXT NOT NULL DEFAULT 'public'
+    CHECK (access_level IN ('public', 'members', 'executives'));
+
+UPDATE storage.buckets SET public = FALSE WHERE id = 'documents';
+
+UPDATE communications SET supabase_url = NULL;
+UPDATE communication_versions SET supabase_url = NULL;
+
+-- Mirrors accessibleLevels() in server/utils/communicationAccess.js
+CREATE OR REPLACE FUNCTION communication_access_levels()
+RETURNS TEXT[] AS $$
+  SELECT CASE
+    WHEN auth.uid() IS NULL THEN ARRAY['public']
+    WHEN EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'executive')
+    ) THEN ARRAY['public', 'members', 'executives']
+    ELSE ARRAY['public', 'members']
+  END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Replace whatever read policies communications had with one that follows the level
+DO $$
+DECLARE
+  policy RECORD;
+BEGIN
+  FOR policy IN
+    SELECT policyname FROM pg_policies
+    WHERE schemaname = 'public' AND tablename = 'communications' AND cmd = 'SELECT'
+  LOOP
+    EXECUTE format('DROP POLICY %I ON communications', policy.policyname);
+  END LOOP;
+END $$;
+
+CREATE POLICY "Communications are visible at their access level"
+  ON communications FOR SELECT
+  USING (
+    (is_active AND access_level = ANY (communication_access_levels()))
+    OR 'executives' = ANY (communication_access_levels())
+  );
+
+DROP POLICY IF EXISTS "Anyone can view communication versions" ON communication_versions;
+CREATE POLICY "Communication versions follow the communication's access level"
+  ON communication_versions FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM communications c
+    WHERE c.id = communication_id
+      AND ((c.is_active AND c.access_level = ANY (communication_access_levels()))
+        OR 'executives' = ANY (communication_access_levels()))
+  ));
+
+DROP POLICY IF EXISTS "Anyone can view communication pages" ON communication_pages;
+CREATE POLICY "Communication pages follow the communication's access level"
+  ON communication_pages FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM communications c
+    WHERE c.id = communication_id
+      AND ((c.is_active AND c.access_level = ANY (communication_access_levels()))
+        OR 'executives' = ANY (communication_access_levels()))
+  ));
+
+-- Page search only looks at communications the caller may open
+DROP FUNCTION IF EXISTS search_communication_pages(TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_communication_pages(search_text TEXT, access_levels TEXT[], max_results INTEGER DEFAULT 200)
+RETURNS TABLE (communication_id UUID, page INTEGER, snippet TEXT, rank REAL) AS $$
+  SELECT p.communication_id,
+         p.page,
+         ts_headline('simple', p.content, q.query,
+           'StartSel=⟦, StopSel=⟧, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "'),
+         ts_rank(p.search_vector, q.query)
+  FROM communication_pages p
+  CROSS JOIN websearch_to_tsquery('simple', search_text) AS q(query)
+  JOIN communications c ON c.id = p.communication_id
+    AND c.is_active
+    AND c.access_level = ANY (access_levels)
+  WHERE p.search_vector @@ q.query
+  ORDER BY 4 DESC
+  LIMIT max_results;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,75 @@
+-- Scheduled publishing and expiry for communications
+-- A communication appears from its publish_date until its expires_at (when
+-- set). Before and after that window only admins and executives see it, so
+-- announcements can be prepared ahead of a meeting and released on the day.
+
+ALTER TABLE communications
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+ALTER TABLE communications
+  DROP CONSTRAINT IF EXISTS communications_expiry_after_publish;
+ALTER TABLE communications
+  ADD CONSTRAINT communications_expiry_after_publish
+    CHECK (expires_at IS NULL OR expires_at > publish_date);
+
+CREATE INDEX IF NOT EXISTS idx_communications_publish_date ON communications(publish_date);
+
+-- Mirrors publicationStatus() in server/utils/communicationAccess.js
+CREATE OR REPLACE FUNCTION communication_is_published(publish_date TIMESTAMPTZ, expires_at TIMESTAMPTZ)
+RETURNS BOOLEAN AS $$
+  SELECT (publish_date IS NULL OR publish_date <= NOW())
+    AND (expires_at IS NULL OR expires_at > NOW());
+$$ LANGUAGE sql STABLE;
+
+DROP POLICY IF EXISTS "Communications are visible at their access level" ON communications;
+CREATE POLICY "Communications are visible at their access level"
+  ON communications FOR SELECT
+  USING (
+    (is_active
+      AND communication_is_published(publish_date, expires_at)
+      AND access_level = ANY (communication_access_levels()))
+    OR 'executives' = ANY (communication_access_levels())
+  );
+
+DROP POLICY IF EXISTS "Communication versions follow the communication's access level" ON communication_versions;
+CREATE POLICY "Communication versions follow the communication's access level"
+  ON communication_versions FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM communications c
+    WHERE c.id = communication_id
+      AND ((c.is_active
+          AND communication_is_published(c.publish_date, c.expires_at)
+          AND c.access_level = ANY (communication_access_levels()))
+        OR 'executives' = ANY (communication_access_levels()))
+  ));
+
+DROP POLICY IF EXISTS "Communication pages follow the communication's access level" ON communication_pages;
+CREATE POLICY "Communication pages follow the communication's access level"
+  ON communication_pages FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM communications c
+    WHERE c.id = communication_id
+      AND ((c.is_active
+          AND communication_is_published(c.publish_date, c.expires_at)
+          AND c.access_level = ANY (communication_access_levels()))
+        OR 'executives' = ANY (communication_access_levels()))
+  ));
+
+-- Page search only covers communications that are currently published
+CREATE OR REPLACE FUNCTION search_communication_pages(search_text TEXT, access_levels TEXT[], max_results INTEGER DEFAULT 200)
+RETURNS TABLE (communication_id UUID, page INTEGER, snippet TEXT, rank REAL) AS $$
+  SELECT p.communication_id,
+         p.page,
+         ts_headline('simple', p.content, q.query,
+           'StartSel=⟦, StopSel=⟧, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "'),
+         ts_rank(p.search_vector, q.query)
+  FROM communication_pages p
+  CROSS JOIN websearch_to_tsquery('simple', search_text) AS q(query)
+  JOIN communications c ON c.id = p.communication_id
+    AND c.is_active
+    AND communication_is_published(c.publish_date, c.expires_at)
+    AND c.access_level = ANY (access_levels)
+  WHERE p.search_vector @@ q.query
+  ORDER BY 4 DESC
+  LIMIT max_results;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,53 @@
+-- Enforce event capacity in the database
+-- Checking the seat count and then saving the RSVP in separate requests lets
+-- two people take the last seat at the same time. This trigger counts and
+-- saves in the same statement: it locks the event row, so concurrent RSVPs
+-- for one event queue up, and anyone who would go over capacity is put on the
+-- waitlist instead.
+
+CREATE OR REPLACE FUNCTION enforce_event_capacity()
+RETURNS TRIGGER AS $$
+DECLARE
+  seats INTEGER;
+  taken INTEGER;
+BEGIN
+  -- Only taking a seat is checked. People already attending keep their seat
+  -- when capacity is lowered or their occurrence is detached from its series.
+  IF NEW.status IS DISTINCT FROM 'attending'
+     OR (TG_OP = 'UPDATE' AND OLD.status = 'attending') THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT capacity INTO seats FROM events WHERE id = NEW.event_id FOR UPDATE;
+  IF seats IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT COUNT(*) INTO taken
+  FROM event_attendees
+  WHERE event_id = NEW.event_id
+    AND occurrence_date IS NOT DISTINCT FROM NEW.occurrence_date
+    AND status = 'attending'
+    AND id <> NEW.id;
+
+  IF taken >= seats THEN
+    NEW.status := 'waitlisted';
+    IF TG_OP = 'UPDATE' AND OLD.status = 'waitlisted' THEN
+      -- A promotion that lost the race keeps its place in the queue
+      NEW.waitlisted_at := OLD.waitlisted_at;
+      NEW.promoted_at := OLD.promoted_at;
+      NEW.responded_at := OLD.responded_at;
+    ELSE
+      NEW.waitlisted_at := NOW();
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS event_attendees_capacity ON event_attendees;
+CREATE TRIGGER event_attendees_capacity
+  BEFORE INSERT OR UPDATE OF status
+  ON event_attendees
+  FOR EACH ROW EXECUTE FUNCTION enforce_event_capacity();
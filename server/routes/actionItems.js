@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { auth } = require('../middleware/auth');
+const { canEditEvent } = require('../utils/events');
+
+const router = express.Router();
+
+const ACTION_ITEM_STATUSES = ['open', 'in_progress', 'done'];
+
+const formatOwnItem = (item) => ({
+  id: item.id,
+  title: item.title,
+  dueDate: item.due_date,
+  status: item.status,
+  completedAt: item.completed_at,
+  event: item.events ? {
+    id: item.events.id,
+    title: item.events.title,
+    date: item.event_minutes && item.event_minutes.occurrence_date
+      ? item.event_minutes.occurrence_date
+      : item.events.date
+  } : null
+});
+
+router.get('/mine', auth, [
+  query('includeDone').optional().isBoolean().withMessage('includeDone must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    let dbQuery = supabaseAdmin
+      .from('action_items')
+      .select('*, events(id, title, date), event_minutes(occurrence_date)')
+      .eq('owner_id', req.user.id);
+
+    if (req.query.includeDone !== 'true') {
+      dbQuery = dbQuery.neq('status', 'done');
+    }
+
+    const { data: items, error } = await dbQuery
+      .order('due_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Fetch action items error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch action items',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      actionItems: items.map(formatOwnItem)
+    });
+  } catch (error) {
+    console.error('Fetch action items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching action items'
+    });
+  }
+});
+
+router.put('/:id', [
+  auth,
+  body('status').isIn(ACTION_ITEM_STATUSES).withMessage('Status must be open, in_progress or done')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: item, error: fetchError } = await supabaseAdmin
+      .from('action_items')
+      .select('*, events(id, title, date, created_by)')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Action item not found'
+      });
+    }
+
+    // Owners update their own items; organizers and executives can update any
+    if (item.owner_id !== req.user.id && !canEditEvent(req.user, item.events)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update your own action items.'
+      });
+    }
+
+    const { status } = req.body;
+    const { data: updated, error } = await supabaseAdmin
+      .from('action_items')
+      .update({
+        status,
+        completed_at: status === 'done' ? (item.completed_at || new Date().toISOString()) : null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', item.id)
+      .select('*, events(id, title, date), event_minutes(occurrence_date)')
+      .single();
+
+    if (error) {
+      console.error('Update action item error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update action item',
+        error: error.message
+      });
+    }
+
+    console.log(`Action item ${item.id} marked ${status} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Action item updated',
+      actionItem: formatOwnItem(updated)
+    });
+  } catch (error) {
+    console.error('Update action item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating action item'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { optionalAuth } = require('../middleware/auth');
+const { canViewEvent } = require('../utils/events');
+const { formatRevision } = require('../utils/eventHistory');
+
+const router = express.Router();
+
+const loadEvent = async (id) => {
+  const { data: event, error } = await getSupabaseAdmin()
+    .from('events')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  return error ? null : event;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const canManageEvents = (user) => Boolean(user) && (user.role === 'admin' || user.role === 'executive');
+
+/**
+ * Revisions of an event that no longer exists. The event's audience went with
+ * it, so only admins, executives and people who changed the event can see them.
+ */
+const loadDeletedHistory = async (user, eventId) => {
+  if (!user || !UUID_PATTERN.test(eventId)) return null;
+
+  const { data: revisions, error } = await getSupabaseAdmin()
+    .from('event_revisions')
+    .select('*')
+    .eq('event_id', eventId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  if (revisions.length === 0) return null;
+
+  const isAuthor = revisions.some(revision => revision.changed_by === user.id);
+  return canManageEvents(user) || isAuthor ? revisions : null;
+};
+
+// Revisions of an event, newest first. A detached occurrence also shows the
+// series history from before it was detached; a series shows edits to the
+// requested occurrence alongside its own. Deleted events keep their history.
+router.get('/:id/history', optionalAuth, [
+  query('occurrenceDate').optional().isISO8601().withMessage('Occurrence date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req.params.id);
+
+    if (!event) {
+      const revisions = await loadDeletedHistory(req.user, req.params.id);
+      if (!revisions) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        status: 'deleted',
+        statusNote: null,
+        history: revisions.map(formatRevision)
+      });
+    }
+
+    if (!canViewEvent(req.user, event)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const eventIds = [event.id, event.recurrence_parent_id].filter(Boolean);
+    const occurrenceDate = req.query.occurrenceDate
+      ? req.query.occurrenceDate.slice(0, 10)
+      : event.recurrence_date;
+
+    const { data: revisions, error } = await getSupabaseAdmin()
+      .from('event_revisions')
+      .select('*')
+      .in('event_id', eventIds)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch event history error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch event history',
+        error: error.message
+      });
+    }
+
+    const relevant = revisions.filter(revision => {
+      if (revision.event_id === event.id) {
+        return !revision.occurrence_date || !occurrenceDate || revision.occurrence_date === occurrenceDate;
+      }
+      // Series revisions that predate the detached occurrence
+      return !revision.occurrence_date && revision.created_at <= event.created_at;
+    });
+
+    res.json({
+      success: true,
+      status: event.status || 'scheduled',
+      statusNote: event.status_note || null,
+      history: relevant.map(formatRevision)
+    });
+  } catch (error) {
+    console.error('Fetch event history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching event history'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { auth, adminOnly } = require('../middleware/auth');
+const { MEMBER_SCHOOLS } = require('../utils/audiences');
+const { HOLIDAY_KINDS, formatHoliday, findHolidays } = require('../utils/holidays');
+
+const router = express.Router();
+
+// At most about a school year and a half per request, enough for any calendar view
+const MAX_RANGE_DAYS = 550;
+
+const parseSchools = (value) => String(value || '').split(',').map(school => school.trim()).filter(Boolean);
+
+const rangeValidators = (optional) => [
+  (optional ? query('startDate').optional() : query('startDate')).isISO8601().withMessage('startDate must be a valid date'),
+  (optional ? query('endDate').optional() : query('endDate')).isISO8601().withMessage('endDate must be a valid date')
+    .custom((value, { req }) => {
+      if (!req.query.startDate) throw new Error('startDate is required with endDate');
+      const days = (new Date(value) - new Date(req.query.startDate)) / 86400000;
+      if (days < 0) throw new Error('endDate cannot be before startDate');
+      if (days > MAX_RANGE_DAYS) throw new Error(`The range can cover at most ${MAX_RANGE_DAYS} days`);
+      return true;
+    }),
+  query('schools').optional().custom(value => {
+    const unknown = parseSchools(value).filter(school => !MEMBER_SCHOOLS.includes(school));
+    if (unknown.length) throw new Error(`Unknown school: ${unknown.join(', ')}`);
+    return true;
+  })
+];
+
+const holidayValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('school').isIn(MEMBER_SCHOOLS).withMessage('Invalid school'),
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('kind').optional().isIn(HOLIDAY_KINDS).withMessage('Kind must be holiday or term'),
+    field('startDate').isISO8601().withMessage('startDate must be a valid date'),
+    field('endDate').isISO8601().withMessage('endDate must be a valid date')
+  ];
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Holidays and terms for the calendar overlay, or everything not yet over when
+// no range is given (the admin list). Holiday dates are public.
+router.get('/', rangeValidators(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (req.query.startDate && !req.query.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'endDate is required with startDate'
+      });
+    }
+
+    const holidays = await findHolidays(getSupabaseAdmin(), {
+      startDate: req.query.startDate ? req.query.startDate.slice(0, 10) : new Date().toISOString().slice(0, 10),
+      endDate: req.query.endDate ? req.query.endDate.slice(0, 10) : '9999-12-31',
+      schools: parseSchools(req.query.schools)
+    });
+
+    res.json({
+      success: true,
+      holidays: holidays.map(formatHoliday)
+    });
+  } catch (error) {
+    console.error('Fetch school holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch school holidays',
+      error: error.message
+    });
+  }
+});
+
+// Holidays an event on these dates would clash with, for the schools it targets (all by default)
+router.get('/clashes', rangeValidators(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const schools = parseSchools(req.query.schools);
+    const holidays = await findHolidays(getSupabaseAdmin(), {
+      startDate: req.query.startDate.slice(0, 10),
+      endDate: req.query.endDate.slice(0, 10),
+      schools: schools.length ? schools : MEMBER_SCHOOLS,
+      kind: 'holiday'
+    });
+
+    res.json({
+      success: true,
+      clashes: holidays.map(formatHoliday)
+    });
+  } catch (error) {
+    console.error('Check school holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check school holidays',
+      error: error.message
+    });
+  }
+});
+
+router.post('/', [auth, adminOnly, ...holidayValidators(false)], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { school, name, kind, startDate, endDate } = req.body;
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The end date cannot be before the start date'
+      });
+    }
+
+    const { data: holiday, error } = await getSupabaseAdmin()
+      .from('school_holidays')
+      .insert({
+        school,
+        name,
+        kind: kind || 'holiday',
+        start_date: startDate,
+        end_date: endDate,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Create school holiday error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create school holiday',
+        error: error.message
+      });
+    }
+
+    console.log(`School holiday added for ${school} by ${req.user.email}: ${name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'School holiday added',
+      holiday: formatHoliday(holiday)
+    });
+  } catch (error) {
+    console.error('Create school holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating school holiday',
+      error: error.message
+    });
+  }
+});
+
+router.put('/:id', [auth, adminOnly, ...holidayValidators(true)], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: existing, error: fetchError } = await supabaseAdmin
+      .from('school_holidays')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'School holiday not found'
+      });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (req.body.school !== undefined) updates.school = req.body.school;
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.kind !== undefined) updates.kind = req.body.kind;
+    if (req.body.startDate !== undefined) updates.start_date = req.body.startDate;
+    if (req.body.endDate !== undefined) updates.end_date = req.body.endDate;
+
+    const startDate = String(updates.start_date || existing.start_date).slice(0, 10);
+    const endDate = String(updates.end_date || existing.end_date).slice(0, 10);
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The end date cannot be before the start date'
+      });
+    }
+
+    const { data: holiday, error } = await supabaseAdmin
+      .from('school_holidays')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Update school holiday error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update school holiday',
+        error: error.message
+      });
+    }
+
+    console.log(`School holiday ${req.params.id} updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'School holiday updated',
+      holiday: formatHoliday(holiday)
+    });
+  } catch (error) {
+    console.error('Update school holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating school holiday',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, adminOnly, async (req, res) => {
+  try {
+    const { data: deleted, error } = await getSupabaseAdmin()
+      .from('school_holidays')
+      .delete()
+      .eq('id', req.params.id)
+      .select('id');
+
+    if (error) {
+      console.error('Delete school holiday error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete school holiday',
+        error: error.message
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'School holiday not found'
+      });
+    }
+
+    console.log(`School holiday ${req.params.id} deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'School holiday deleted'
+    });
+  } catch (error) {
+    console.error('Delete school holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting school holiday',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { auth, adminAuth } = require('../middleware/auth');
+const { canViewEvent, canEditEvent, resolveOccurrence, scopeToOccurrence } = require('../utils/events');
+const { createCommunicationFromBuffer, formatCommunication } = require('../utils/communications');
+const { ACCESS_LEVELS } = require('../utils/communicationAccess');
+const { buildMinutesPdf } = require('../utils/minutesPdf');
+
+const router = express.Router();
+
+const ACTION_ITEM_STATUSES = ['open', 'in_progress', 'done'];
+
+const MINUTES_SELECT = '*, user_profiles(name), action_items(*)';
+
+const formatActionItem = (item) => ({
+  id: item.id,
+  minutesId: item.minutes_id,
+  eventId: item.event_id,
+  title: item.title,
+  ownerId: item.owner_id,
+  ownerName: item.owner_name,
+  dueDate: item.due_date,
+  status: item.status,
+  completedAt: item.completed_at,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at
+});
+
+const formatMinutes = (minutes) => ({
+  id: minutes.id,
+  eventId: minutes.event_id,
+  occurrenceDate: minutes.occurrence_date,
+  attendees: minutes.attendees || [],
+  summary: minutes.summary,
+  decisions: minutes.decisions || [],
+  actionItems: (minutes.action_items || [])
+    .map(formatActionItem)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+  recordedBy: minutes.recorded_by,
+  recordedByName: minutes.user_profiles ? minutes.user_profiles.name : null,
+  communicationId: minutes.communication_id,
+  createdAt: minutes.created_at,
+  updatedAt: minutes.updated_at
+});
+
+const loadEvent = async (id) => {
+  const { data: event, error } = await getSupabaseAdmin()
+    .from('events')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  return error ? null : event;
+};
+
+const fetchMinutes = async (eventId, occurrenceDate) => {
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: minutes, error } = await scopeToOccurrence(
+    supabaseAdmin
+      .from('event_minutes')
+      .select(MINUTES_SELECT)
+      .eq('event_id', eventId),
+    occurrenceDate
+  ).maybeSingle();
+
+  if (error) throw error;
+  return minutes;
+};
+
+// Resolves the event and occurrence for a minutes request, or sends the error response
+const loadMinutesContext = async (req, res, occurrenceDate, { edit = false } = {}) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const event = await loadEvent(req.params.id);
+  if (!event || !canViewEvent(req.user, event)) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (edit && !canEditEvent(req.user, event)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. Only the organizer and executives can record minutes.'
+    });
+    return null;
+  }
+
+  const occurrence = resolveOccurrence(event, occurrenceDate);
+  if (occurrence.error) {
+    res.status(400).json({
+      success: false,
+      message: occurrence.error
+    });
+    return null;
+  }
+
+  return { event, occurrenceDate: occurrence.occurrenceDate };
+};
+
+const minutesFilename = (event, occurrenceDate) => {
+  const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `minutes-${slug || 'event'}-${String(occurrenceDate || event.date).slice(0, 10)}.pdf`;
+};
+
+const occurrenceQuery = query('occurrenceDate').optional().isISO8601().withMessage('Occurrence date must be a valid date');
+
+router.get('/:id/minutes', auth, [occurrenceQuery], async (req, res) => {
+  try {
+    const context = await loadMinutesContext(req, res, req.query.occurrenceDate);
+    if (!context) return;
+
+    const minutes = await fetchMinutes(context.event.id, context.occurrenceDate);
+
+    res.json({
+      success: true,
+      minutes: minutes ? formatMinutes(minutes) : null,
+      canEdit: canEditEvent(req.user, context.event)
+    });
+  } catch (error) {
+    console.error('Fetch minutes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching minutes'
+    });
+  }
+});
+
+router.put('/:id/minutes', [
+  auth,
+  body('occurrenceDate').optional({ nullable: true }).isISO8601().withMessage('Occurrence date must be a valid date'),
+  body('attendees').optional().isArray().withMessage('Attendees must be a list'),
+  body('attendees.*.userId').optional({ nullable: true }).isUUID().withMessage('Valid user ID is required'),
+  body('attendees.*.name').trim().isLength({ min: 1, max: 200 }).withMessage('Attendee name is required'),
+  body('summary').optional({ nullable: true }).trim().isLength({ max: 20000 }).withMessage('Summary is too long'),
+  body('decisions').optional().isArray().withMessage('Decisions must be a list'),
+  body('decisions.*').trim().isLength({ min: 1, max: 2000 }).withMessage('Decisions cannot be empty'),
+  body('actionItems').optional().isArray().withMessage('Action items must be a list'),
+  body('actionItems.*.id').optional({ nullable: true }).isUUID().withMessage('Invalid action item ID'),
+  body('actionItems.*.title').trim().isLength({ min: 1, max: 500 }).withMessage('Action item title is required'),
+  body('actionItems.*.ownerId').optional({ nullable: true }).isUUID().withMessage('Valid owner ID is required'),
+  body('actionItems.*.ownerName').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Owner name is too long'),
+  body('actionItems.*.dueDate').optional({ nullable: true }).isISO8601().withMessage('Due date must be a valid date'),
+  body('actionItems.*.status').optional().isIn(ACTION_ITEM_STATUSES).withMessage('Status must be open, in_progress or done')
+], async (req, res) => {
+  try {
+    const context = await loadMinutesContext(req, res, req.body.occurrenceDate, { edit: true });
+    if (!context) return;
+
+    const { event, occurrenceDate } = context;
+    const supabaseAdmin = getSupabaseAdmin();
+    const existing = await fetchMinutes(event.id, occurrenceDate);
+
+    const fields = {
+      attendees: (req.body.attendees || []).map(attendee => ({
+        userId: attendee.userId || null,
+        name: attendee.name,
+        school: attendee.school || null
+      })),
+      summary: req.body.summary || null,
+      decisions: req.body.decisions || [],
+      recorded_by: req.user.id,
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: saved, error } = existing
+      ? await supabaseAdmin
+          .from('event_minutes')
+          .update(fields)
+          .eq('id', existing.id)
+          .select('id')
+          .single()
+      : await supabaseAdmin
+          .from('event_minutes')
+          .insert({
+            ...fields,
+            event_id: event.id,
+            occurrence_date: occurrenceDate
+          })
+          .select('id')
+          .single();
+
+    if (error) {
+      console.error('Save minutes error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save minutes',
+        error: error.message
+      });
+    }
+
+    const actionItems = req.body.actionItems || [];
+    const previousItems = existing ? existing.action_items : [];
+
+    // Owner names are stored so items stay readable if the account goes away
+    const ownerIds = [...new Set(actionItems.map(item => item.ownerId).filter(Boolean))];
+    const ownerNames = {};
+    if (ownerIds.length) {
+      const { data: owners } = await supabaseAdmin
+        .from('user_profiles')
+        .select('id, name')
+        .in('id', ownerIds);
+      (owners || []).forEach(owner => {
+        ownerNames[owner.id] = owner.name;
+      });
+    }
+
+    const keptIds = [];
+    const failures = [];
+    const now = new Date().toISOString();
+
+    for (const item of actionItems) {
+      const previous = previousItems.find(row => row.id === item.id);
+      const status = item.status || 'open';
+      const itemFields = {
+        title: item.title,
+        owner_id: item.ownerId || null,
+        owner_name: item.ownerId ? (ownerNames[item.ownerId] || item.ownerName || null) : (item.ownerName || null),
+        due_date: item.dueDate ? item.dueDate.slice(0, 10) : null,
+        status,
+        completed_at: status === 'done'
+          ? (previous && previous.completed_at ? previous.completed_at : now)
+          : null,
+        updated_at: now
+      };
+
+      const { data: row, error: itemError } = previous
+        ? await supabaseAdmin.from('action_items').update(itemFields).eq('id', previous.id).select('id').single()
+        : await supabaseAdmin.from('action_items').insert({
+            ...itemFields,
+            minutes_id: saved.id,
+            event_id: event.id
+          }).select('id').single();
+
+      if (itemError) {
+        console.error(`Save action item error for "${item.title}":`, itemError);
+        failures.push(item.title);
+        if (previous) keptIds.push(previous.id);
+      } else {
+        keptIds.push(row.id);
+      }
+    }
+
+    const removedIds = previousItems.map(row => row.id).filter(id => !keptIds.includes(id));
+    if (removedIds.length) {
+      const { error: deleteError } = await supabaseAdmin
+        .from('action_items')
+        .delete()
+        .in('id', removedIds);
+
+      if (deleteError) {
+        console.error('Remove action items error:', deleteError);
+      }
+    }
+
+    console.log(`Minutes saved for event ${event.id} by ${req.user.email}`);
+
+    const minutes = await fetchMinutes(event.id, occurrenceDate);
+
+    res.json({
+      success: true,
+      message: failures.length
+        ? `Minutes saved, but ${failures.length} action items could not be saved`
+        : 'Minutes saved',
+      minutes: formatMinutes(minutes),
+      failed: failures
+    });
+  } catch (error) {
+    console.error('Save minutes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving minutes'
+    });
+  }
+});
+
+router.get('/:id/minutes/pdf', auth, [occurrenceQuery], async (req, res) => {
+  try {
+    const context = await loadMinutesContext(req, res, req.query.occurrenceDate);
+    if (!context) return;
+
+    const minutes = await fetchMinutes(context.event.id, context.occurrenceDate);
+    if (!minutes) {
+      return res.status(404).json({
+        success: false,
+        message: 'No minutes have been recorded for this event'
+      });
+    }
+
+    const pdf = await buildMinutesPdf(context.event, formatMinutes(minutes));
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${minutesFilename(context.event, context.occurrenceDate)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Export minutes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting minutes'
+    });
+  }
+});
+
+// Minutes are as confidential as the meeting: restricted events' minutes are for executives
+const MINUTES_ACCESS_LEVELS = { public: 'public', members: 'members', restricted: 'executives' };
+
+// Stores the PDF as a Report communication and attaches it to the event
+router.post('/:id/minutes/export', [
+  auth,
+  adminAuth,
+  body('occurrenceDate').optional({ nullable: true }).isISO8601().withMessage('Occurrence date must be a valid date'),
+  body('accessLevel').optional().isIn(ACCESS_LEVELS).withMessage('Access level must be public, members or executives')
+], async (req, res) => {
+  try {
+    const context = await loadMinutesContext(req, res, req.body.occurrenceDate);
+    if (!context) return;
+
+    const { event, occurrenceDate } = context;
+    const minutes = await fetchMinutes(event.id, occurrenceDate);
+    if (!minutes) {
+      return res.status(404).json({
+        success: false,
+        message: 'No minutes have been recorded for this event'
+      });
+    }
+
+    const formatted = formatMinutes(minutes);
+    const pdf = await buildMinutesPdf(event, formatted);
+    const meetingDate = String(occurrenceDate || event.date).slice(0, 10);
+
+    const { communication, error } = await createCommunicationFromBuffer(
+      pdf,
+      minutesFilename(event, occurrenceDate),
+      'application/pdf',
+      {
+        title: `Minutes: ${event.title} (${meetingDate})`,
+        description: formatted.summary
+          ? formatted.summary.slice(0, 500)
+          : `Minutes of ${event.title} on ${meetingDate}`,
+        category: 'Report',
+        accessLevel: req.body.accessLevel || MINUTES_ACCESS_LEVELS[event.audience || 'public']
+      },
+      req.user
+    );
+
+    if (error) {
+      console.error('Store minutes report error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to store minutes as a report',
+        error: error.message
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { error: linkError } = await supabaseAdmin
+      .from('event_communications')
+      .insert({
+        event_id: event.id,
+        communication_id: communication.id,
+        linked_by: req.user.id
+      });
+
+    if (linkError) {
+      console.error('Link minutes report error:', linkError);
+    }
+
+    await supabaseAdmin
+      .from('event_minutes')
+      .update({ communication_id: communication.id })
+      .eq('id', minutes.id);
+
+    console.log(`Minutes for event ${event.id} stored as report ${communication.id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Minutes stored as a report',
+      communication: formatCommunication(communication)
+    });
+  } catch (error) {
+    console.error('Store minutes report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while storing minutes'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,471 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { auth, adminAuth } = require('../middleware/auth');
+const { EVENT_TYPES } = require('../utils/events');
+const { isValidTimeZone, schoolTimeZone } = require('../utils/timezones');
+
+const router = express.Router();
+
+const POLL_ANSWERS = ['yes', 'if_need_be', 'no'];
+
+// poll_options also references the poll through chosen_option_id, so name the relationship
+const POLL_SELECT = '*, user_profiles(name, school), poll_options!poll_options_poll_id_fkey(*), poll_votes(*, user_profiles(name, school))';
+
+const canManagePoll = (user, poll) =>
+  user.role === 'admin' || user.role === 'executive' || poll.created_by === user.id;
+
+const isPollOpen = (poll) => poll.status === 'open' &&
+  (!poll.deadline || poll.deadline >= new Date().toISOString().slice(0, 10));
+
+const sortOptions = (options) => [...(options || [])].sort((a, b) =>
+  a.position - b.position || a.date.localeCompare(b.date) || String(a.time).localeCompare(String(b.time)));
+
+const formatPoll = (poll, user) => {
+  const votes = poll.poll_votes || [];
+  const participants = new Set(votes.map(vote => vote.user_id));
+
+  return {
+    id: poll.id,
+    title: poll.title,
+    description: poll.description,
+    location: poll.location,
+    type: poll.type,
+    durationMinutes: poll.duration_minutes,
+    timeZone: poll.time_zone,
+    deadline: poll.deadline,
+    status: poll.status,
+    isOpen: isPollOpen(poll),
+    chosenOptionId: poll.chosen_option_id,
+    eventId: poll.event_id,
+    createdBy: poll.user_profiles
+      ? { id: poll.created_by, name: poll.user_profiles.name, school: poll.user_profiles.school }
+      : null,
+    optionCount: (poll.poll_options || []).length,
+    participantCount: participants.size,
+    hasVoted: participants.has(user.id),
+    canManage: canManagePoll(user, poll),
+    createdAt: poll.created_at
+  };
+};
+
+// Options with vote totals, and one row per participant for the results matrix
+const formatPollResults = (poll, user) => {
+  const votes = poll.poll_votes || [];
+
+  const options = sortOptions(poll.poll_options).map(option => {
+    const totals = { yes: 0, if_need_be: 0, no: 0 };
+    votes.filter(vote => vote.option_id === option.id).forEach(vote => {
+      totals[vote.answer]++;
+    });
+    return {
+      id: option.id,
+      date: option.date,
+      time: option.time,
+      totals
+    };
+  });
+
+  // Most yes votes wins; "if need be" breaks ties
+  const best = options.reduce((leader, option) => {
+    if (!leader) return option;
+    const score = option.totals.yes + option.totals.if_need_be;
+    const leaderScore = leader.totals.yes + leader.totals.if_need_be;
+    if (option.totals.yes > leader.totals.yes ||
+        (option.totals.yes === leader.totals.yes && score > leaderScore)) {
+      return option;
+    }
+    return leader;
+  }, null);
+
+  const participants = {};
+  votes.forEach(vote => {
+    if (!participants[vote.user_id]) {
+      participants[vote.user_id] = {
+        userId: vote.user_id,
+        name: vote.user_profiles ? vote.user_profiles.name : 'Former member',
+        school: vote.user_profiles ? vote.user_profiles.school : null,
+        answers: {}
+      };
+    }
+    participants[vote.user_id].answers[vote.option_id] = vote.answer;
+  });
+
+  return {
+    ...formatPoll(poll, user),
+    options: options.map(option => ({
+      ...option,
+      isBest: Boolean(best) && best.id === option.id && best.totals.yes + best.totals.if_need_be > 0
+    })),
+    participants: Object.values(participants).sort((a, b) => a.name.localeCompare(b.name)),
+    myAnswers: participants[user.id] ? participants[user.id].answers : {}
+  };
+};
+
+const fetchPoll = async (id) => {
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: poll, error } = await supabaseAdmin
+    .from('scheduling_polls')
+    .select(POLL_SELECT)
+    .eq('id', id)
+    .single();
+
+  return error ? null : poll;
+};
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: polls, error } = await supabaseAdmin
+      .from('scheduling_polls')
+      .select(POLL_SELECT)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch polls error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch polls',
+        error: error.message
+      });
+    }
+
+    const formatted = polls.map(poll => formatPoll(poll, req.user));
+
+    res.json({
+      success: true,
+      polls: [
+        ...formatted.filter(poll => poll.isOpen),
+        ...formatted.filter(poll => !poll.isOpen)
+      ]
+    });
+  } catch (error) {
+    console.error('Fetch polls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching polls'
+    });
+  }
+});
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const poll = await fetchPoll(req.params.id);
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      poll: formatPollResults(poll, req.user)
+    });
+  } catch (error) {
+    console.error('Fetch poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching poll'
+    });
+  }
+});
+
+router.post('/', [
+  auth,
+  adminAuth,
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 2000 }).withMessage('Description is too long'),
+  body('location').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Location is too long'),
+  body('type').optional().isIn(EVENT_TYPES).withMessage('Invalid event type'),
+  body('durationMinutes').optional({ nullable: true, checkFalsy: true }).isInt({ min: 5, max: 1440 }).withMessage('Duration must be between 5 and 1440 minutes'),
+  body('timeZone').optional({ nullable: true, checkFalsy: true }).custom(isValidTimeZone).withMessage('Time zone must be an IANA zone such as Europe/Brussels'),
+  body('deadline').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Deadline must be a valid date'),
+  body('options').isArray({ min: 2, max: 30 }).withMessage('Propose between 2 and 30 dates'),
+  body('options.*.date').isISO8601().withMessage('Each option needs a valid date'),
+  body('options.*.time').optional({ nullable: true, checkFalsy: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Time must be in HH:MM format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, location, type, durationMinutes, timeZone, deadline, options } = req.body;
+    const supabaseAdmin = getSupabaseAdmin();
+
+    const { data: poll, error } = await supabaseAdmin
+      .from('scheduling_polls')
+      .insert({
+        title,
+        description: description || null,
+        location: location || null,
+        type: type || 'meeting',
+        duration_minutes: durationMinutes ? parseInt(durationMinutes) : null,
+        time_zone: timeZone || schoolTimeZone(req.user.school),
+        deadline: deadline ? deadline.slice(0, 10) : null,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Create poll error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create poll',
+        error: error.message
+      });
+    }
+
+    const { error: optionsError } = await supabaseAdmin
+      .from('poll_options')
+      .insert(options.map((option, index) => ({
+        poll_id: poll.id,
+        date: option.date.slice(0, 10),
+        time: option.time || null,
+        position: index
+      })));
+
+    if (optionsError) {
+      console.error('Create poll options error:', optionsError);
+      await supabaseAdmin.from('scheduling_polls').delete().eq('id', poll.id);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create poll',
+        error: optionsError.message
+      });
+    }
+
+    console.log(`Poll created: "${title}" by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Poll created successfully',
+      poll: formatPollResults(await fetchPoll(poll.id), req.user)
+    });
+  } catch (error) {
+    console.error('Create poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating poll'
+    });
+  }
+});
+
+router.put('/:id/votes', [
+  auth,
+  body('votes').isArray({ min: 1 }).withMessage('Votes are required'),
+  body('votes.*.optionId').isUUID().withMessage('Valid option ID is required'),
+  body('votes.*.answer').isIn(POLL_ANSWERS).withMessage('Answer must be yes, if_need_be or no')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const poll = await fetchPoll(req.params.id);
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found'
+      });
+    }
+
+    if (!isPollOpen(poll)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is closed'
+      });
+    }
+
+    const optionIds = (poll.poll_options || []).map(option => option.id);
+    if (req.body.votes.some(vote => !optionIds.includes(vote.optionId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Votes must be for options of this poll'
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { error } = await supabaseAdmin
+      .from('poll_votes')
+      .upsert(req.body.votes.map(vote => ({
+        poll_id: poll.id,
+        option_id: vote.optionId,
+        user_id: req.user.id,
+        answer: vote.answer,
+        updated_at: new Date().toISOString()
+      })), { onConflict: 'option_id,user_id' });
+
+    if (error) {
+      console.error('Save poll votes error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save your votes',
+        error: error.message
+      });
+    }
+
+    console.log(`Poll ${poll.id} votes saved by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Your availability has been saved',
+      poll: formatPollResults(await fetchPoll(poll.id), req.user)
+    });
+  } catch (error) {
+    console.error('Save poll votes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving votes'
+    });
+  }
+});
+
+// Called after the chosen slot was created through POST /api/events
+router.post('/:id/close', [
+  auth,
+  body('optionId').isUUID().withMessage('Valid option ID is required'),
+  body('eventId').optional({ nullable: true }).isUUID().withMessage('Valid event ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const poll = await fetchPoll(req.params.id);
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found'
+      });
+    }
+
+    if (!canManagePoll(req.user, poll)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the poll creator and executives can choose a slot.'
+      });
+    }
+
+    if (!(poll.poll_options || []).some(option => option.id === req.body.optionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The chosen slot is not part of this poll'
+      });
+    }
+
+    if (req.body.eventId) {
+      const { data: event } = await getSupabaseAdmin()
+        .from('events')
+        .select('id')
+        .eq('id', req.body.eventId)
+        .maybeSingle();
+
+      if (!event) {
+        return res.status(400).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { error } = await supabaseAdmin
+      .from('scheduling_polls')
+      .update({
+        status: 'closed',
+        chosen_option_id: req.body.optionId,
+        event_id: req.body.eventId || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', poll.id);
+
+    if (error) {
+      console.error('Close poll error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to close poll',
+        error: error.message
+      });
+    }
+
+    console.log(`Poll ${poll.id} closed by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Poll closed',
+      poll: formatPollResults(await fetchPoll(poll.id), req.user)
+    });
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing poll'
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const poll = await fetchPoll(req.params.id);
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found'
+      });
+    }
+
+    if (!canManagePoll(req.user, poll)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only delete your own polls.'
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { error } = await supabaseAdmin
+      .from('scheduling_polls')
+      .delete()
+      .eq('id', poll.id);
+
+    if (error) {
+      console.error('Delete poll error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete poll',
+        error: error.message
+      });
+    }
+
+    console.log(`Poll ${poll.id} deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Poll deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting poll'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: profile, error } = await supabaseAdmin
+      .from('user_profiles')
+      .select('event_reminders')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) {
+      console.error('Fetch reminder settings error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reminder settings',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      subscribed: Boolean(profile.event_reminders)
+    });
+  } catch (error) {
+    console.error('Fetch reminder settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reminder settings'
+    });
+  }
+});
+
+router.put('/', [
+  auth,
+  body('subscribed').isBoolean().withMessage('Subscribed must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscribed = req.body.subscribed === true || req.body.subscribed === 'true';
+    const supabaseAdmin = getSupabaseAdmin();
+    const { error } = await supabaseAdmin
+      .from('user_profiles')
+      .update({ event_reminders: subscribed })
+      .eq('id', req.user.id);
+
+    if (error) {
+      console.error('Update reminder settings error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update reminder settings',
+        error: error.message
+      });
+    }
+
+    console.log(`Event reminders ${subscribed ? 'enabled' : 'disabled'} for: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: subscribed
+        ? 'You will receive email reminders before events'
+        : 'Email reminders turned off. You will still be reminded about events you RSVP to.',
+      subscribed
+    });
+  } catch (error) {
+    console.error('Update reminder settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating reminder settings'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,598 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { canViewEvent, canEditEvent, resolveOccurrence, scopeToOccurrence } = require('../utils/events');
+const {
+  isRegistrationOpen,
+  getAvailability,
+  getWaitlistPosition,
+  describeEventDate,
+  notifyOrganizer,
+  promoteFromWaitlist
+} = require('../utils/registrations');
+const { linkRevealAt } = require('../utils/onlineMeetings');
+
+const router = express.Router();
+
+const RSVP_STATUSES = ['attending', 'not_attending', 'maybe'];
+
+const formatAttendee = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  name: row.user_profiles ? row.user_profiles.name : null,
+  email: row.user_profiles ? row.user_profiles.email : null,
+  school: row.user_profiles ? row.user_profiles.school : null,
+  position: row.user_profiles ? row.user_profiles.position : null,
+  status: row.status,
+  proxyName: row.proxy_name,
+  waitlistedAt: row.waitlisted_at,
+  promotedAt: row.promoted_at,
+  attended: row.attended,
+  occurrenceDate: row.occurrence_date,
+  respondedAt: row.responded_at,
+  attendanceMarkedAt: row.attendance_marked_at
+});
+
+const loadEvent = async (id) => {
+  const { data: event, error } = await getSupabaseAdmin()
+    .from('events')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  return error ? null : event;
+};
+
+router.get('/:id/rsvp', auth, [
+  query('occurrenceDate').optional().isISO8601().withMessage('Occurrence date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req.params.id);
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const occurrence = resolveOccurrence(event, req.query.occurrenceDate);
+    if (occurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: occurrence.error
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: rsvp, error } = await scopeToOccurrence(
+      supabaseAdmin
+        .from('event_attendees')
+        .select('*')
+        .eq('event_id', event.id)
+        .eq('user_id', req.user.id),
+      occurrence.occurrenceDate
+    ).maybeSingle();
+
+    if (error) {
+      console.error('Fetch RSVP error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch RSVP',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      rsvp: rsvp ? formatAttendee(rsvp) : null,
+      waitlistPosition: await getWaitlistPosition(supabaseAdmin, event, occurrence.occurrenceDate, rsvp),
+      availability: await getAvailability(supabaseAdmin, event, occurrence.occurrenceDate)
+    });
+  } catch (error) {
+    console.error('Fetch RSVP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching RSVP'
+    });
+  }
+});
+
+router.put('/:id/rsvp', [
+  auth,
+  body('status').isIn(RSVP_STATUSES).withMessage('Status must be attending, not_attending or maybe'),
+  body('proxyName').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Proxy name is too long'),
+  body('occurrenceDate').optional({ nullable: true }).isISO8601().withMessage('Occurrence date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req.params.id);
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const occurrence = resolveOccurrence(event, req.body.occurrenceDate);
+    if (occurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: occurrence.error
+      });
+    }
+
+    const { status, proxyName } = req.body;
+
+    if (event.status === 'cancelled' && status !== 'not_attending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+
+    const { data: existing, error: fetchError } = await scopeToOccurrence(
+      supabaseAdmin
+        .from('event_attendees')
+        .select('id, status, waitlisted_at')
+        .eq('event_id', event.id)
+        .eq('user_id', req.user.id),
+      occurrence.occurrenceDate
+    ).maybeSingle();
+
+    if (fetchError) {
+      console.error('Save RSVP error:', fetchError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save RSVP',
+        error: fetchError.message
+      });
+    }
+
+    const previousStatus = existing ? existing.status : null;
+    const holdsPlace = previousStatus === 'attending' || previousStatus === 'waitlisted';
+    let savedStatus = status;
+
+    if (status === 'attending' && !holdsPlace) {
+      if (!isRegistrationOpen(event)) {
+        return res.status(400).json({
+          success: false,
+          message: `Registration for this event closed on ${event.registration_deadline}`
+        });
+      }
+
+      if (event.capacity) {
+        const availability = await getAvailability(supabaseAdmin, event, occurrence.occurrenceDate);
+        if (availability.remaining === 0) savedStatus = 'waitlisted';
+      }
+    } else if (status === 'attending' && previousStatus === 'waitlisted') {
+      // Still waiting for a seat; promotion happens when someone cancels
+      savedStatus = 'waitlisted';
+    }
+
+    const fields = {
+      status: savedStatus,
+      // A proxy only makes sense when the delegate cannot come themselves
+      proxy_name: status === 'attending' ? null : (proxyName || null),
+      responded_at: new Date().toISOString(),
+      waitlisted_at: savedStatus === 'waitlisted'
+        ? (previousStatus === 'waitlisted' ? existing.waitlisted_at : new Date().toISOString())
+        : null
+    };
+
+    const { data: rsvp, error } = existing
+      ? await supabaseAdmin
+          .from('event_attendees')
+          .update(fields)
+          .eq('id', existing.id)
+          .select()
+          .single()
+      : await supabaseAdmin
+          .from('event_attendees')
+          .insert({
+            ...fields,
+            event_id: event.id,
+            user_id: req.user.id,
+            occurrence_date: occurrence.occurrenceDate
+          })
+          .select()
+          .single();
+
+    if (error) {
+      console.error('Save RSVP error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save RSVP',
+        error: error.message
+      });
+    }
+
+    // The database waitlists the RSVP if the last seat was taken in the meantime
+    savedStatus = rsvp.status;
+
+    console.log(`RSVP ${savedStatus} for event ${event.id} by ${req.user.email}`);
+
+    if (previousStatus === 'attending' && savedStatus !== 'attending') {
+      await promoteFromWaitlist(supabaseAdmin, event, occurrence.occurrenceDate);
+    }
+
+    const availability = await getAvailability(supabaseAdmin, event, occurrence.occurrenceDate);
+    const waitlistPosition = await getWaitlistPosition(supabaseAdmin, event, occurrence.occurrenceDate, rsvp);
+    const when = describeEventDate(event, occurrence.occurrenceDate);
+
+    if (savedStatus === 'waitlisted' && previousStatus !== 'waitlisted') {
+      await notifyOrganizer(supabaseAdmin, event, 'New waitlist registration', [
+        `${req.user.name} (${req.user.school || 'Unknown School'}) joined the waitlist for "${event.title}" on ${when}.`,
+        `${availability.waitlisted} ${availability.waitlisted === 1 ? 'person is' : 'people are'} now waiting for a seat. Raising the capacity promotes them automatically.`
+      ]);
+    } else if (savedStatus === 'attending' && previousStatus !== 'attending' && availability.remaining === 0) {
+      await notifyOrganizer(supabaseAdmin, event, 'Event full', [
+        `All ${event.capacity} seats for "${event.title}" on ${when} are now taken.`,
+        'Further registrations will go onto the waitlist.'
+      ]);
+    }
+
+    res.json({
+      success: true,
+      message: savedStatus === 'waitlisted'
+        ? `This event is full. You are number ${waitlistPosition} on the waitlist and will be registered automatically if a seat opens up.`
+        : 'RSVP saved',
+      rsvp: formatAttendee(rsvp),
+      waitlistPosition,
+      availability
+    });
+  } catch (error) {
+    console.error('Save RSVP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving RSVP'
+    });
+  }
+});
+
+// Seats are shown to guests too, so this does not require a login
+router.get('/:id/availability', optionalAuth, [
+  query('occurrenceDate').optional().isISO8601().withMessage('Occurrence date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req.params.id);
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const occurrence = resolveOccurrence(event, req.query.occurrenceDate);
+    if (occurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: occurrence.error
+      });
+    }
+
+    res.json({
+      success: true,
+      availability: await getAvailability(getSupabaseAdmin(), event, occurrence.occurrenceDate)
+    });
+  } catch (error) {
+    console.error('Fetch availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching availability'
+    });
+  }
+});
+
+// The join link is for attendees, and only from shortly before the start of
+// an occurrence the series really has
+router.get('/:id/join', auth, [
+  query('occurrenceDate').optional().isISO8601().withMessage('Occurrence date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req.params.id);
+    if (!event || !canViewEvent(req.user, event) || !event.meeting_url) {
+      return res.status(404).json({
+        success: false,
+        message: 'This event has no online meeting'
+      });
+    }
+
+    const occurrence = resolveOccurrence(event, req.query.occurrenceDate);
+    if (occurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: occurrence.error
+      });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
+    if (!canEditEvent(req.user, event)) {
+      const { data: rsvp, error } = await scopeToOccurrence(
+        getSupabaseAdmin()
+          .from('event_attendees')
+          .select('status')
+          .eq('event_id', event.id)
+          .eq('user_id', req.user.id),
+        occurrence.occurrenceDate
+      ).maybeSingle();
+
+      if (error) throw error;
+
+      if (!rsvp || rsvp.status !== 'attending') {
+        return res.status(403).json({
+          success: false,
+          message: 'RSVP as attending to get the link for this meeting'
+        });
+      }
+
+      const revealAt = linkRevealAt(event, occurrence.occurrenceDate);
+      if (new Date() < revealAt) {
+        return res.status(403).json({
+          success: false,
+          message: 'The link will be available shortly before the meeting starts',
+          revealAt: revealAt.toISOString()
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      onlineMeeting: {
+        provider: event.meeting_provider || 'other',
+        joinUrl: event.meeting_url,
+        passcode: event.meeting_passcode || null
+      }
+    });
+  } catch (error) {
+    console.error('Fetch join link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching the meeting link'
+    });
+  }
+});
+
+router.get('/:id/attendees', auth, [
+  query('occurrenceDate').optional().isISO8601().withMessage('Occurrence date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canEditEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the organizer and executives can view attendees.'
+      });
+    }
+
+    const occurrence = resolveOccurrence(event, req.query.occurrenceDate);
+    if (occurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: occurrence.error
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: rows, error } = await scopeToOccurrence(
+      supabaseAdmin
+        .from('event_attendees')
+        .select('*, user_profiles(name, email, school, position)')
+        .eq('event_id', event.id),
+      occurrence.occurrenceDate
+    ).order('responded_at', { ascending: true });
+
+    if (error) {
+      console.error('Fetch attendees error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch attendees',
+        error: error.message
+      });
+    }
+
+    const attendees = rows.map(formatAttendee);
+    const totals = { attending: 0, waitlisted: 0, not_attending: 0, maybe: 0, attended: 0 };
+    const bySchool = {};
+
+    attendees.forEach(attendee => {
+      const school = attendee.school || 'Unknown School';
+      if (!bySchool[school]) {
+        bySchool[school] = { attending: 0, waitlisted: 0, not_attending: 0, maybe: 0, attended: 0 };
+      }
+      if (attendee.status) {
+        totals[attendee.status]++;
+        bySchool[school][attendee.status]++;
+      }
+      if (attendee.attended) {
+        totals.attended++;
+        bySchool[school].attended++;
+      }
+    });
+
+    res.json({
+      success: true,
+      attendees,
+      totals,
+      bySchool
+    });
+  } catch (error) {
+    console.error('Fetch attendees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching attendees'
+    });
+  }
+});
+
+router.put('/:id/attendance', [
+  auth,
+  body('attendance').isArray({ min: 1 }).withMessage('Attendance list is required'),
+  body('attendance.*.userId').isUUID().withMessage('Valid user ID is required'),
+  body('attendance.*.attended').isBoolean().withMessage('Attended must be true or false'),
+  body('occurrenceDate').optional({ nullable: true }).isISO8601().withMessage('Occurrence date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await loadEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canEditEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the organizer and executives can record attendance.'
+      });
+    }
+
+    const occurrence = resolveOccurrence(event, req.body.occurrenceDate);
+    if (occurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: occurrence.error
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: existingRows, error: fetchError } = await scopeToOccurrence(
+      supabaseAdmin
+        .from('event_attendees')
+        .select('id, user_id')
+        .eq('event_id', event.id),
+      occurrence.occurrenceDate
+    );
+
+    if (fetchError) {
+      console.error('Record attendance error:', fetchError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record attendance',
+        error: fetchError.message
+      });
+    }
+
+    const markedAt = new Date().toISOString();
+    const failures = [];
+
+    for (const entry of req.body.attendance) {
+      const existing = existingRows.find(row => row.user_id === entry.userId);
+      const fields = {
+        attended: entry.attended,
+        attendance_marked_by: req.user.id,
+        attendance_marked_at: markedAt
+      };
+
+      // People who turn up without replying get a row with no RSVP status
+      const { error } = existing
+        ? await supabaseAdmin.from('event_attendees').update(fields).eq('id', existing.id)
+        : await supabaseAdmin.from('event_attendees').insert({
+            ...fields,
+            event_id: event.id,
+            user_id: entry.userId,
+            occurrence_date: occurrence.occurrenceDate,
+            status: null
+          });
+
+      if (error) {
+        console.error(`Record attendance error for ${entry.userId}:`, error);
+        failures.push(entry.userId);
+      }
+    }
+
+    if (failures.length === req.body.attendance.length) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record attendance'
+      });
+    }
+
+    console.log(`Attendance recorded for event ${event.id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: failures.length
+        ? `Attendance recorded, but ${failures.length} entries could not be saved`
+        : 'Attendance recorded',
+      failed: failures
+    });
+  } catch (error) {
+    console.error('Record attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording attendance'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { auth, adminAuth } = require('../middleware/auth');
+const { EVENT_TYPES, formatAttachments } = require('../utils/events');
+const { isValidTimeZone } = require('../utils/timezones');
+const { AUDIENCE_TYPES, USER_ROLES, COMMITTEES, MEMBER_SCHOOLS, audienceColumns, formatAudience } = require('../utils/audiences');
+const { MEETING_PROVIDERS, onlineMeetingColumns, formatOnlineMeeting } = require('../utils/onlineMeetings');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Up to two weeks, for multi-day conferences
+const MAX_DURATION_MINUTES = 14 * 24 * 60;
+
+const TEMPLATE_SELECT = '*, event_template_communications(communications(id, title, filename, original_name, file_size, category, is_active, access_level))';
+
+const formatTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  title: template.title,
+  type: template.type,
+  description: template.description,
+  location: template.location,
+  organizer: template.organizer,
+  time: template.time ? String(template.time).slice(0, 5) : null,
+  durationMinutes: template.duration_minutes,
+  allDay: Boolean(template.all_day),
+  timeZone: template.time_zone,
+  audience: formatAudience(template),
+  capacity: template.capacity,
+  onlineMeeting: formatOnlineMeeting(template, { includeLink: true }),
+  attachments: formatAttachments(template.event_template_communications),
+  updatedAt: template.updated_at
+});
+
+const templateValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Template name must be between 2 and 100 characters'),
+    field('title').trim().notEmpty().withMessage('Title is required'),
+    field('type').isIn(EVENT_TYPES).withMessage('Invalid event type'),
+    body('time').optional({ nullable: true, checkFalsy: true }).matches(TIME_PATTERN).withMessage('Time must be in HH:MM format'),
+    body('durationMinutes').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: MAX_DURATION_MINUTES }).withMessage('Duration must be between 1 minute and two weeks'),
+    body('allDay').optional().isBoolean().withMessage('All day must be true or false'),
+    body('timeZone').optional({ nullable: true, checkFalsy: true }).custom(isValidTimeZone).withMessage('Time zone must be an IANA zone such as Europe/Brussels'),
+    body('audience').optional({ nullable: true }).isObject().withMessage('Audience must be an object'),
+    body('audience.type').if(body('audience').exists({ values: 'null' })).isIn(AUDIENCE_TYPES).withMessage('Audience must be public, members or restricted'),
+    body('audience.schools.*').isIn(MEMBER_SCHOOLS).withMessage('Unknown school'),
+    body('audience.roles.*').isIn(USER_ROLES).withMessage('Unknown role'),
+    body('audience.committees.*').isIn(COMMITTEES).withMessage('Unknown committee'),
+    body('capacity').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 10000 }).withMessage('Capacity must be between 1 and 10000'),
+    body('onlineMeeting').optional({ nullable: true }).isObject().withMessage('Online meeting must be an object'),
+    body('onlineMeeting.provider').optional().isIn(MEETING_PROVIDERS).withMessage('Provider must be zoom, teams, meet, webex or other'),
+    body('onlineMeeting.joinUrl').optional({ nullable: true, checkFalsy: true }).isURL({ protocols: ['https'], require_protocol: true }).withMessage('Join link must be an https:// URL'),
+    body('onlineMeeting.revealMinutes').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0, max: 10080 }).withMessage('The link can be revealed at most a week before the start'),
+    body('communicationIds').optional().isArray({ max: 50 }).withMessage('Communication IDs must be a list'),
+    body('communicationIds.*').isUUID().withMessage('Valid communication ID is required')
+  ];
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Template columns for the fields present in the request body
+const templateColumns = (fields) => {
+  const columns = {};
+  if (fields.name !== undefined) columns.name = fields.name;
+  if (fields.title !== undefined) columns.title = fields.title;
+  if (fields.type !== undefined) columns.type = fields.type;
+  if (fields.description !== undefined) columns.description = fields.description || null;
+  if (fields.location !== undefined) columns.location = fields.location || null;
+  if (fields.organizer !== undefined) columns.organizer = fields.organizer || null;
+  if (fields.allDay !== undefined) columns.all_day = fields.allDay === true;
+  if (fields.time !== undefined) columns.time = fields.time || null;
+  if (fields.durationMinutes !== undefined) columns.duration_minutes = fields.durationMinutes ? parseInt(fields.durationMinutes) : null;
+  if (fields.timeZone !== undefined) columns.time_zone = fields.timeZone || null;
+  if (fields.audience !== undefined) Object.assign(columns, audienceColumns(fields.audience));
+  if (fields.capacity !== undefined) columns.capacity = fields.capacity ? parseInt(fields.capacity) : null;
+  if (fields.onlineMeeting !== undefined) Object.assign(columns, onlineMeetingColumns(fields.onlineMeeting));
+  if (columns.all_day) columns.time = null;
+  return columns;
+};
+
+// Replace the communications a template attaches
+const setTemplateCommunications = async (supabaseAdmin, templateId, communicationIds) => {
+  const { error: deleteError } = await supabaseAdmin
+    .from('event_template_communications')
+    .delete()
+    .eq('template_id', templateId);
+
+  if (deleteError) return deleteError;
+
+  const ids = [...new Set(communicationIds)];
+  if (ids.length === 0) return null;
+
+  const { error } = await supabaseAdmin
+    .from('event_template_communications')
+    .insert(ids.map(communicationId => ({ template_id: templateId, communication_id: communicationId })));
+
+  return error;
+};
+
+const loadTemplate = async (supabaseAdmin, id) => {
+  const { data: template, error } = await supabaseAdmin
+    .from('event_templates')
+    .select(TEMPLATE_SELECT)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return template;
+};
+
+const duplicateNameResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'A template with this name already exists'
+});
+
+router.get('/', auth, adminAuth, async (req, res) => {
+  try {
+    const { data: templates, error } = await getSupabaseAdmin()
+      .from('event_templates')
+      .select(TEMPLATE_SELECT)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Fetch event templates error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch event templates',
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      templates: templates.map(formatTemplate)
+    });
+  } catch (error) {
+    console.error('Fetch event templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching event templates',
+      error: error.message
+    });
+  }
+});
+
+router.post('/', [auth, adminAuth, ...templateValidators(false)], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: created, error } = await supabaseAdmin
+      .from('event_templates')
+      .insert({
+        ...templateColumns(req.body),
+        created_by: req.user.id
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return duplicateNameResponse(res);
+      console.error('Create event template error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create event template',
+        error: error.message
+      });
+    }
+
+    const linkError = await setTemplateCommunications(supabaseAdmin, created.id, req.body.communicationIds || []);
+    if (linkError) {
+      console.error('Link template communications error:', linkError);
+    }
+
+    console.log(`Event template "${req.body.name}" created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: linkError ? 'Template saved, but some documents could not be attached' : 'Template saved',
+      template: formatTemplate(await loadTemplate(supabaseAdmin, created.id))
+    });
+  } catch (error) {
+    console.error('Create event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating event template',
+      error: error.message
+    });
+  }
+});
+
+router.put('/:id', [auth, adminAuth, ...templateValidators(true)], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: updated, error } = await supabaseAdmin
+      .from('event_templates')
+      .update({
+        ...templateColumns(req.body),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .select('id');
+
+    if (error) {
+      if (error.code === '23505') return duplicateNameResponse(res);
+      console.error('Update event template error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update event template',
+        error: error.message
+      });
+    }
+
+    if (!updated || updated.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event template not found'
+      });
+    }
+
+    let linkError = null;
+    if (req.body.communicationIds !== undefined) {
+      linkError = await setTemplateCommunications(supabaseAdmin, req.params.id, req.body.communicationIds);
+      if (linkError) {
+        console.error('Link template communications error:', linkError);
+      }
+    }
+
+    console.log(`Event template ${req.params.id} updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: linkError ? 'Template saved, but some documents could not be attached' : 'Template saved',
+      template: formatTemplate(await loadTemplate(supabaseAdmin, req.params.id))
+    });
+  } catch (error) {
+    console.error('Update event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating event template',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const { data: deleted, error } = await getSupabaseAdmin()
+      .from('event_templates')
+      .delete()
+      .eq('id', req.params.id)
+      .select('id');
+
+    if (error) {
+      console.error('Delete event template error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete event template',
+        error: error.message
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event template not found'
+      });
+    }
+
+    console.log(`Event template ${req.params.id} deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    console.error('Delete event template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting event template',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
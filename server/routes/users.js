@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabase, getSupabaseAdmin } = require('../config/supabase');
 const { auth, adminAuth, adminOnly } = require('../middleware/auth');
+const { COMMITTEES } = require('../utils/audiences');
 
 const router = express.Router();
 
@@ -10,7 +11,7 @@ router.get('/', auth, adminAuth, async (req, res) => {
     const supabaseAdmin = getSupabaseAdmin();
     const { data: users, error } = await supabaseAdmin
       .from('user_profiles')
-      .select('id, email, name, role, school, position, is_active, last_login, created_at')
+      .select('id, email, name, role, school, position, committees, is_active, last_login, created_at')
       .eq('is_active', true)
       .order('created_at', { ascending: false });
 
@@ -31,6 +32,7 @@ router.get('/', auth, adminAuth, async (req, res) => {
         role: user.role,
         school: user.school,
         position: user.position,
+        committees: user.committees || [],
         isActive: user.is_active,
         lastLogin: user.last_login,
         createdAt: user.created_at
@@ -210,11 +212,13 @@ router.put('/:id', [
   body('name').optional().trim().isLength({ min: 2 }),
   body('school').optional().trim().isLength({ min: 2 }),
   body('role').optional().isIn(['member', 'executive', 'admin']),
-  body('position').optional().trim()
+  body('position').optional().trim(),
+  body('committees').optional().isArray().withMessage('Committees must be a list'),
+  body('committees.*').isIn(COMMITTEES).withMessage('Unknown committee')
 ], async (req, res) => {
   try {
     const userId = req.params.id;
-    const { name, school, role, position, is_active } = req.body;
+    const { name, school, role, position, committees, is_active } = req.body;
 
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -251,6 +255,7 @@ router.put('/:id', [
     if (school !== undefined) updates.school = school;
     if (role !== undefined) updates.role = role;
     if (position !== undefined) updates.position = position;
+    if (committees !== undefined) updates.committees = [...new Set(committees)];
     if (is_active !== undefined) updates.is_active = is_active;
 
     const { data: updatedUser, error: updateError } = await supabaseAdmin
@@ -280,6 +285,7 @@ router.put('/:id', [
         role: updatedUser.role,
         school: updatedUser.school,
         position: updatedUser.position,
+        committees: updatedUser.committees || [],
         isActive: updatedUser.is_active
       }
     });
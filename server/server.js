@@ -3,11 +3,27 @@ const cookieParser = require('cookie-parser');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, query: queryParam, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { uploadFile, deleteFile } = require('./utils/fileStorage');
+const { deleteFile, getSignedUrl } = require('./utils/fileStorage');
+const { FILE_TYPES, allowedFileTypes, isAllowedFilename, contentTypeFor, isInline, unsupportedTypeError, verifyUpload } = require('./utils/fileTypes');
+const { COMMUNICATION_CATEGORIES, formatCommunication, createCommunication, createCommunicationFromBuffer, addCommunicationVersion, listCommunicationVersions, indexPendingCommunications } = require('./utils/communications');
+const { searchCommunications } = require('./utils/communicationSearch');
+const { ACCESS_LEVELS, PUBLICATION_STATUSES, canManageCommunications, accessibleLevels, onlyPublished, canAccessCommunication } = require('./utils/communicationAccess');
+const { FREQUENCIES, addDays, parseRule, buildRule, expandEvents } = require('./utils/recurrence');
+const { EVENT_TYPES, applyEventVisibility, applyEventFilters, encodeCursor, decodeCursor, canViewEvent, canEditEvent, formatAttachments, formatEvent, validateEventSpan } = require('./utils/events');
+const { buildCalendar, parseCalendar } = require('./utils/ical');
+const { isValidTimeZone, schoolTimeZone } = require('./utils/timezones');
+const { fillFromWaitlist } = require('./utils/registrations');
+const { AUDIENCE_TYPES, USER_ROLES, COMMITTEES, MEMBER_SCHOOLS, audienceColumns } = require('./utils/audiences');
+const { EVENT_STATUSES, diffEvent, revisionAction, recordRevision, recordRevisions } = require('./utils/eventHistory');
+const { MEETING_PROVIDERS, onlineMeetingColumns } = require('./utils/onlineMeetings');
+const { buildAgendaCsv, buildAgendaPdf } = require('./utils/agendaExport');
+const { affectsConflicts, findConflicts } = require('./utils/conflicts');
+const { clearQueuedReminders, copySeriesAttachments, findMinutes, minutesChanges, moveOccurrenceRecords, restoreOccurrenceRecords, deleteOccurrenceRecords } = require('./utils/occurrences');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const validateEnv = require('./config/validateEnv');
@@ -17,10 +33,19 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 const { supabase, getSupabaseAdmin } = require('./config/supabase');
-const { auth, optionalAuth, adminAuth } = require('./middleware/auth');
+const { auth, optionalAuth, feedTokenAuth, adminAuth } = require('./middleware/auth');
 
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const rsvpRoutes = require('./routes/rsvp');
+const reminderRoutes = require('./routes/reminders');
+const minutesRoutes = require('./routes/minutes');
+const actionItemRoutes = require('./routes/actionItems');
+const pollRoutes = require('./routes/polls');
+const holidayRoutes = require('./routes/holidays');
+const templateRoutes = require('./routes/templates');
+const historyRoutes = require('./routes/history');
+const { startReminderWorker } = require('./workers/reminderWorker');
 
 app.use(helmet({
   contentSecurityPolicy: process.env.NODE_ENV === 'production' ? undefined : false,
@@ -90,28 +115,86 @@ app.use(cors({
 }));
 
 app.options('*', cors());
+// The communication a stored file belongs to, as its current file or an earlier version
+const findFileCommunication = async (filename) => {
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: current, error } = await supabaseAdmin
+    .from('communications')
+    .select('id, is_active, access_level, publish_date, expires_at')
+    .eq('filename', filename)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (current) return current;
+
+  const { data: version, error: versionError } = await supabaseAdmin
+    .from('communication_versions')
+    .select('communications(id, is_active, access_level, publish_date, expires_at)')
+    .eq('filename', filename)
+    .maybeSingle();
+
+  if (versionError) throw versionError;
+  return version ? version.communications : null;
+};
+
+// Files are served at their communication's access level. Files that belong
+// to no communication (documents shipped with the site) are public. Without a
+// local copy the viewer is sent to a short-lived signed URL on the private bucket.
 app.get('/api/files/:filename', optionalAuth, async (req, res) => {
-  try {
-    const { filename } = req.params;
-    const { download } = req.query;
-    const filePath = path.join(__dirname, 'data/documents', filename);
+  const { filename } = req.params;
+  const { download } = req.query;
 
-    await fs.access(filePath);
+  if (filename !== path.basename(filename)) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
 
-    res.setHeader('Content-Type', 'application/pdf');
-    if (download === 'true') {
-      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    } else {
-      res.setHeader('Content-Disposition', 'inline');
+  try {
+    const communication = await findFileCommunication(filename);
+    if (communication && !canAccessCommunication(req.user, communication)) {
+      return res.status(req.user ? 403 : 401).json({
+        success: false,
+        message: req.user
+          ? 'You do not have access to this document'
+          : 'Please sign in to view this document'
+      });
     }
-    res.sendFile(filePath);
   } catch (error) {
-    console.error('File access error:', error);
-    res.status(404).json({
+    console.error('File access check error:', error);
+    return res.status(500).json({
       success: false,
-      message: 'File not found'
+      message: 'Failed to check access to the file',
+      error: error.message
     });
   }
+
+  const filePath = path.join(__dirname, 'data/documents', filename);
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    try {
+      return res.redirect(await getSignedUrl(filename));
+    } catch (signError) {
+      console.error('File access error:', signError);
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+  }
+
+  res.setHeader('Content-Type', contentTypeFor(filename));
+  // Only types browsers display safely are shown inline
+  if (download === 'true' || !isInline(filename)) {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  } else {
+    res.setHeader('Content-Disposition', 'inline');
+  }
+  // Restricted documents must not be kept by shared caches
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.sendFile(filePath);
 });
 
 app.use('/api/images', express.static(path.join(__dirname, 'data/images')));
@@ -133,11 +216,12 @@ const storage = multer.diskStorage({
   }
 });
 
+// The extension is only a first check; verifyUpload then checks the contents
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/pdf') {
+  if (isAllowedFilename(file.originalname)) {
     cb(null, true);
   } else {
-    cb(new Error('Only PDF files are allowed'), false);
+    cb(unsupportedTypeError(), false);
   }
 };
 
@@ -149,39 +233,210 @@ const upload = multer({
   }
 });
 
+const communicationValidators = [
+  body('title').trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
+  body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+  body('category').isIn(COMMUNICATION_CATEGORIES).withMessage('Invalid category'),
+  body('accessLevel').optional({ checkFalsy: true }).isIn(ACCESS_LEVELS).withMessage('Access level must be public, members or executives'),
+  body('publishDate').optional({ checkFalsy: true }).isISO8601().withMessage('Publish date must be a valid date'),
+  body('expiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Unpublish date must be a valid date')
+    .custom((value, { req }) => {
+      const publishDate = req.body.publishDate ? new Date(req.body.publishDate) : new Date();
+      if (new Date(value) <= publishDate) throw new Error('The unpublish date must be after the publish date');
+      return true;
+    })
+];
+
+const calendarFileFilter = (req, file, cb) => {
+  const isCalendar = file.mimetype === 'text/calendar' ||
+                     path.extname(file.originalname).toLowerCase() === '.ics';
+  if (isCalendar) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only iCalendar (.ics) files are allowed'), false);
+  }
+};
+
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: calendarFileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024
+  }
+});
+
 app.use('/api/auth/login', loginLimiter);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/events/reminders', reminderRoutes);
+app.use('/api/events', rsvpRoutes);
+app.use('/api/events', minutesRoutes);
+app.use('/api/events', historyRoutes);
+app.use('/api/action-items', actionItemRoutes);
+app.use('/api/polls', pollRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/event-templates', templateRoutes);
 
 console.log('Registering Events routes...');
-app.get('/api/events', optionalAuth, async (req, res) => {
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const endTimeValidators = [
+  body('allDay').optional().isBoolean().withMessage('All day must be true or false'),
+  body('endDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid end date is required'),
+  body('endTime').optional({ nullable: true, checkFalsy: true }).matches(TIME_PATTERN).withMessage('End time must be in HH:MM format'),
+  body('timeZone').optional({ nullable: true, checkFalsy: true }).custom(isValidTimeZone).withMessage('Time zone must be an IANA zone such as Europe/Brussels')
+];
+
+const audienceValidators = [
+  body('audience').optional({ nullable: true }).isObject().withMessage('Audience must be an object'),
+  body('audience.type').if(body('audience').exists({ values: 'null' })).isIn(AUDIENCE_TYPES).withMessage('Audience must be public, members or restricted'),
+  body('audience.schools').optional().isArray().withMessage('Audience schools must be a list'),
+  body('audience.schools.*').isIn(MEMBER_SCHOOLS).withMessage('Unknown school'),
+  body('audience.roles').optional().isArray().withMessage('Audience roles must be a list'),
+  body('audience.roles.*').isIn(USER_ROLES).withMessage('Unknown role'),
+  body('audience.committees').optional().isArray().withMessage('Audience committees must be a list'),
+  body('audience.committees.*').isIn(COMMITTEES).withMessage('Unknown committee'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false')
+];
+
+const registrationValidators = [
+  body('capacity').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 10000 }).withMessage('Capacity must be between 1 and 10000'),
+  body('registrationDeadline').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Registration deadline must be a valid date')
+];
+
+const onlineMeetingValidators = [
+  body('onlineMeeting').optional({ nullable: true }).isObject().withMessage('Online meeting must be an object'),
+  body('onlineMeeting.provider').optional().isIn(MEETING_PROVIDERS).withMessage('Provider must be zoom, teams, meet, webex or other'),
+  body('onlineMeeting.joinUrl').optional({ nullable: true, checkFalsy: true }).isURL({ protocols: ['https'], require_protocol: true }).withMessage('Join link must be an https:// URL'),
+  body('onlineMeeting.passcode').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Passcode is too long'),
+  body('onlineMeeting.revealMinutes').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0, max: 10080 }).withMessage('The link can be revealed at most a week before the start')
+];
+
+const statusValidators = [
+  body('status').optional().isIn(EVENT_STATUSES).withMessage('Status must be scheduled, postponed or cancelled'),
+  body('statusNote').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Status note is too long')
+];
+
+const recurrenceValidators = [
+  body('recurrence').optional({ nullable: true }).isObject().withMessage('Recurrence must be an object'),
+  body('recurrence.frequency').optional().isIn(FREQUENCIES).withMessage('Recurrence frequency must be daily, weekly or monthly'),
+  body('recurrence.interval').optional({ nullable: true }).isInt({ min: 1, max: 99 }).withMessage('Recurrence interval must be between 1 and 99'),
+  body('recurrence.until').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Recurrence end date must be a valid date'),
+  body('recurrence.count').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 500 }).withMessage('Recurrence count must be between 1 and 500'),
+  body('recurrenceExceptions').optional().isArray().withMessage('Recurrence exceptions must be a list of dates'),
+  body('recurrenceExceptions.*').optional().isISO8601().withMessage('Recurrence exceptions must be valid dates')
+];
+
+const conflictValidators = [
+  body('ignoreConflicts').optional().isBoolean().withMessage('ignoreConflicts must be true or false')
+];
+
+/**
+ * Overlapping events with the same audience or organizer, unless the client
+ * asked to save anyway. The check is advisory, so a failed lookup lets the save through.
+ */
+const checkConflicts = async (req, candidate, excludeIds = []) => {
+  if (req.body.ignoreConflicts === true) return [];
+
   try {
-    const userRole = req.user ? req.user.role : 'guest';
-    const userEmail = req.user ? req.user.email : 'anonymous';
+    return await findConflicts(getSupabaseAdmin(), candidate, req.user, excludeIds);
+  } catch (error) {
+    console.error('Conflict check error:', error);
+    return [];
+  }
+};
 
-    console.log(`GET /api/events called by: ${userEmail} (${userRole})`);
+const sendConflicts = (res, conflicts) => res.status(409).json({
+  success: false,
+  conflict: true,
+  message: `This event overlaps ${conflicts.length === 1 ? 'another event' : `${conflicts.length} other events`} with the same audience or organizer`,
+  conflicts
+});
 
-    const { startDate, endDate, type, month, year } = req.query;
+const EVENT_ATTACHMENTS_SELECT = 'event_communications(communications(id, title, filename, original_name, file_size, category, is_active, access_level, publish_date, expires_at))';
+
+// Filters shared by listing, search and export; field is queryParam or body
+const eventFilterChecks = (field) => [
+  field('q').optional().trim().isLength({ max: 200 }).withMessage('Search text is too long'),
+  field('type').optional().isIn([...EVENT_TYPES, 'all']).withMessage('Invalid event type'),
+  field('school').optional({ checkFalsy: true }).isIn(MEMBER_SCHOOLS).withMessage('Unknown school'),
+  field('createdBy').optional({ checkFalsy: true }).custom(value => value === 'me' || /^[0-9a-f-]{36}$/i.test(value)).withMessage('createdBy must be a user ID or "me"'),
+  field('status').optional({ checkFalsy: true }).custom(value => String(value).split(',').every(status => EVENT_STATUSES.includes(status))).withMessage('Status must be scheduled, postponed or cancelled')
+];
+
+const eventFilterValidators = eventFilterChecks(queryParam);
+
+const eventRangeChecks = (field) => [
+  field('startDate').optional().isISO8601().withMessage('startDate must be a valid date'),
+  field('endDate').optional().isISO8601().withMessage('endDate must be a valid date'),
+  field('month').optional().isInt({ min: 1, max: 12 }).withMessage('month must be between 1 and 12'),
+  field('year').optional().isInt({ min: 1970, max: 9999 }).withMessage('year must be a valid year')
+];
+
+// The date window asked for with startDate/endDate or month/year, if any
+const resolveEventRange = ({ startDate, endDate, month, year }) => {
+  if (startDate && endDate) {
+    return { rangeStart: startDate.slice(0, 10), rangeEnd: endDate.slice(0, 10) };
+  }
+  if (month && year) {
+    return {
+      rangeStart: `${year}-${String(month).padStart(2, '0')}-01`,
+      rangeEnd: new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0]
+    };
+  }
+  return { rangeStart: null, rangeEnd: null };
+};
 
-    let query = supabase.from('events').select('*');
+/**
+ * Events the viewer can see that match the filters, with recurring series
+ * expanded into occurrences when a date window is given.
+ */
+const fetchEventOccurrences = async (filters, user, { rangeStart, rangeEnd }) => {
+  // Visibility is applied below, so read with the service role rather than the viewer's RLS
+  let query = getSupabaseAdmin().from('events').select(`*, ${EVENT_ATTACHMENTS_SELECT}`);
+
+  // Multi-day events and series that started before the window may still overlap it
+  if (rangeStart) {
+    query = query.or(
+      `and(date.gte.${rangeStart},date.lte.${rangeEnd}),` +
+      `and(date.lte.${rangeEnd},end_date.gte.${rangeStart}),` +
+      `and(recurrence_rule.not.is.null,date.lte.${rangeEnd})`
+    );
+  }
 
-    if (startDate && endDate) {
-      query = query.gte('date', startDate).lte('date', endDate);
-    } else if (month && year) {
-      const start = new Date(year, month - 1, 1).toISOString().split('T')[0];
-      const end = new Date(year, month, 0).toISOString().split('T')[0];
-      query = query.gte('date', start).lte('date', end);
-    }
+  query = applyEventFilters(query, filters, user);
+  query = applyEventVisibility(query, user);
 
-    if (type && type !== 'all') {
-      query = query.eq('type', type);
-    }
+  const { data: events, error } = await query.order('date', { ascending: true });
+  if (error) return { error };
 
-    if (!req.user || req.user.role === 'member') {
-      query = query.eq('is_public', true);
+  return {
+    events,
+    occurrences: rangeStart ? expandEvents(events, rangeStart, rangeEnd) : events
+  };
+};
+
+app.get('/api/events', optionalAuth, [
+  ...eventRangeChecks(queryParam),
+  ...eventFilterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    const { data: events, error } = await query.order('date', { ascending: true });
+    const userRole = req.user ? req.user.role : 'guest';
+    const userEmail = req.user ? req.user.email : 'anonymous';
+
+    console.log(`GET /api/events called by: ${userEmail} (${userRole})`);
+
+    const { events, occurrences, error } = await fetchEventOccurrences(req.query, req.user, resolveEventRange(req.query));
 
     if (error) {
       console.error('Error fetching events:', error);
@@ -192,24 +447,11 @@ app.get('/api/events', optionalAuth, async (req, res) => {
       });
     }
 
-    console.log(`Found ${events.length} events`);
+    console.log(`Found ${events.length} events (${occurrences.length} occurrences)`);
 
     res.json({
       success: true,
-      events: events.map(event => ({
-        id: event.id,
-        title: event.title,
-        type: event.type,
-        date: event.date,
-        time: event.time,
-        location: event.location,
-        description: event.description,
-        organizer: event.organizer,
-        isPublic: event.is_public,
-        canEdit: req.user ? (req.user.role === 'admin' || req.user.role === 'executive' || event.created_by === req.user.id) : false,
-        createdAt: event.created_at,
-        updatedAt: event.updated_at
-      }))
+      events: occurrences.map(event => formatEvent(event, req.user))
     });
   } catch (error) {
     console.error('Error fetching events:', error);
@@ -221,12 +463,197 @@ app.get('/api/events', optionalAuth, async (req, res) => {
   }
 });
 
-app.post('/api/events', [
+// Without an endDate, search runs this far past startDate (or today) for series that never end
+const SEARCH_HORIZON_DAYS = 366;
+
+/**
+ * Full-text search over title, description, location and organizer, with the
+ * same filters as GET /api/events. Series are expanded into their occurrences
+ * inside the date window, so a series that has ended before startDate is left
+ * out. Results are ordered by date, a page at a time.
+ */
+app.get('/api/events/search', optionalAuth, [
+  queryParam('startDate').optional().isISO8601().withMessage('startDate must be a valid date'),
+  queryParam('endDate').optional().isISO8601().withMessage('endDate must be a valid date'),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  queryParam('cursor').optional().custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor'),
+  ...eventFilterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { cursor } = req.query;
+    const startDate = req.query.startDate ? req.query.startDate.slice(0, 10) : null;
+    const endDate = req.query.endDate ? req.query.endDate.slice(0, 10) : null;
+    const limit = parseInt(req.query.limit) || 25;
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    const searchQuery = () => {
+      let query = getSupabaseAdmin().from('events').select(`*, ${EVENT_ATTACHMENTS_SELECT}`);
+      if (endDate) query = query.lte('date', endDate);
+      query = applyEventFilters(query, req.query, req.user);
+      return applyEventVisibility(query, req.user);
+    };
+
+    // One-off events page in the database; one extra row tells us whether there is another page
+    let singlesQuery = searchQuery().is('recurrence_rule', null);
+    if (startDate) {
+      singlesQuery = singlesQuery.or(`date.gte.${startDate},end_date.gte.${startDate}`);
+    }
+    if (after) {
+      singlesQuery = singlesQuery.or(`date.gt.${after.date},and(date.eq.${after.date},id.gt.${after.id})`);
+    }
+
+    // Series are expanded here, so every matching series is read and its
+    // occurrences paged together with the one-off events
+    const [singlesResult, seriesResult] = await Promise.all([
+      singlesQuery
+        .order('date', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(limit + 1),
+      searchQuery().not('recurrence_rule', 'is', null)
+    ]);
+
+    const error = singlesResult.error || seriesResult.error;
+    if (error) {
+      console.error('Error searching events:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to search events',
+        error: error.message
+      });
+    }
+
+    const horizon = endDate || addDays(startDate || new Date().toISOString().split('T')[0], SEARCH_HORIZON_DAYS);
+    const occurrences = seriesResult.data
+      .flatMap(event => expandEvents([event], startDate || event.date, horizon))
+      .filter(occurrence => !after || occurrence.date > after.date ||
+        (occurrence.date === after.date && occurrence.id > after.id));
+
+    const events = [...singlesResult.data, ...occurrences].sort((a, b) =>
+      String(a.date).slice(0, 10).localeCompare(String(b.date).slice(0, 10)) || a.id.localeCompare(b.id)
+    );
+
+    const page = events.slice(0, limit);
+    const hasMore = events.length > limit;
+
+    res.json({
+      success: true,
+      events: page.map(event => formatEvent(event, req.user)),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('Error searching events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching events',
+      error: error.message
+    });
+  }
+});
+
+// An export always covers a date window, so it prints what the agenda shows
+const exportRangeCheck = (field) => field('endDate').custom((value, { req }) => {
+  const params = field === body ? req.body : req.query;
+  const { rangeStart, rangeEnd } = resolveEventRange(params);
+  if (!rangeStart) throw new Error('Choose a date range (startDate and endDate, or month and year)');
+  if (rangeEnd < rangeStart) throw new Error('endDate cannot be before startDate');
+  if (new Date(rangeEnd) - new Date(rangeStart) > 2 * 366 * 86400000) throw new Error('Exports cover at most two years');
+  return true;
+});
+
+const describeAgendaExport = (filters, { rangeStart, rangeEnd }) => {
+  const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+  });
+
+  return [
+    `${formatDay(rangeStart)} - ${formatDay(rangeEnd)}`,
+    filters.type && filters.type !== 'all' ? `${filters.type.charAt(0).toUpperCase()}${filters.type.slice(1)}s` : null,
+    filters.school || null,
+    filters.status ? `Status: ${String(filters.status).split(',').join(', ')}` : null,
+    filters.q ? `Matching "${filters.q}"` : null
+  ].filter(Boolean).join('  |  ');
+};
+
+const loadAgendaExport = async (filters, user) => {
+  const range = resolveEventRange(filters);
+  const { occurrences, error } = await fetchEventOccurrences(filters, user, range);
+  if (error) return { error };
+
+  const byStart = (a, b) => String(a.date).localeCompare(String(b.date)) ||
+    String(a.all_day ? '' : a.time || '').localeCompare(String(b.all_day ? '' : b.time || ''));
+
+  return {
+    occurrences: [...occurrences].sort(byStart),
+    subtitle: describeAgendaExport(filters, range),
+    filename: `agenda-${range.rangeStart}-to-${range.rangeEnd}`
+  };
+};
+
+app.get('/api/events/export', optionalAuth, [
+  queryParam('format').isIn(['pdf', 'csv']).withMessage('Format must be pdf or csv'),
+  ...eventRangeChecks(queryParam),
+  exportRangeCheck(queryParam),
+  ...eventFilterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const agenda = await loadAgendaExport(req.query, req.user);
+    if (agenda.error) {
+      console.error('Error exporting agenda:', agenda.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export agenda',
+        error: agenda.error.message
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${agenda.filename}.csv"`);
+      return res.send(buildAgendaCsv(agenda.occurrences));
+    }
+
+    const pdf = await buildAgendaPdf(agenda.occurrences, { subtitle: agenda.subtitle });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${agenda.filename}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error exporting agenda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting agenda',
+      error: error.message
+    });
+  }
+});
+
+// Stores the agenda PDF as a communication, e.g. for a school council mailing
+app.post('/api/events/export/communication', [
   auth,
-  body('title').notEmpty().withMessage('Title is required'),
-  body('type').isIn(['meeting', 'webinar', 'conference', 'deadline']).withMessage('Invalid event type'),
-  body('date').isISO8601().withMessage('Valid date is required'),
-  body('time').notEmpty().withMessage('Time is required').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Time must be in HH:MM format')
+  adminAuth,
+  body('title').optional({ checkFalsy: true }).trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  body('category').optional().isIn(COMMUNICATION_CATEGORIES).withMessage('Invalid category'),
+  body('accessLevel').optional().isIn(ACCESS_LEVELS).withMessage('Access level must be public, members or executives'),
+  ...eventRangeChecks(body),
+  exportRangeCheck(body),
+  ...eventFilterChecks(body)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -238,71 +665,965 @@ app.post('/api/events', [
       });
     }
 
-    const { title, type, date, time, location, description, organizer, isPublic } = req.body;
+    const agenda = await loadAgendaExport(req.body, req.user);
+    if (agenda.error) {
+      console.error('Error exporting agenda:', agenda.error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export agenda',
+        error: agenda.error.message
+      });
+    }
+
+    const title = req.body.title || 'InterParents Agenda';
+    const pdf = await buildAgendaPdf(agenda.occurrences, { title, subtitle: agenda.subtitle });
+
+    const { communication, error } = await createCommunicationFromBuffer(
+      pdf,
+      `${agenda.filename}.pdf`,
+      'application/pdf',
+      {
+        title: `${title} (${agenda.subtitle.split('  |  ')[0]})`,
+        description: `${agenda.occurrences.length} event${agenda.occurrences.length === 1 ? '' : 's'}: ${agenda.subtitle}`,
+        category: req.body.category || 'Other',
+        accessLevel: req.body.accessLevel
+      },
+      req.user
+    );
 
-    const supabaseAdmin = getSupabaseAdmin();
-    const { data: event, error } = await supabaseAdmin
+    if (error) {
+      console.error('Store agenda error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to store the agenda as a communication',
+        error: error.message
+      });
+    }
+
+    console.log(`Agenda stored as communication ${communication.id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Agenda saved as a communication',
+      communication: formatCommunication(communication)
+    });
+  } catch (error) {
+    console.error('Store agenda error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while storing the agenda',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/events/calendar.ics', feedTokenAuth, async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    // Keep a year of history so recently past meetings stay in subscribers' calendars
+    const historyStart = new Date();
+    historyStart.setFullYear(historyStart.getFullYear() - 1);
+
+    let query = getSupabaseAdmin()
       .from('events')
-      .insert({
-        title,
-        type,
-        date,
-        time,
-        location,
-        description,
-        organizer,
-        is_public: isPublic !== false,
-        created_by: req.user.id,
-        school: req.user.school
-      })
-      .select()
+      .select('*')
+      .or(`date.gte.${historyStart.toISOString().split('T')[0]},recurrence_rule.not.is.null`);
+
+    if (type && type !== 'all') {
+      query = query.eq('type', type);
+    }
+
+    query = applyEventVisibility(query, req.user);
+
+    const { data: events, error } = await query.order('date', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching calendar feed events:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to build calendar feed',
+        error: error.message
+      });
+    }
+
+    const calendarName = type && type !== 'all'
+      ? `InterParents ${type.charAt(0).toUpperCase() + type.slice(1)}s`
+      : 'InterParents';
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="interparents.ics"');
+    res.setHeader('Cache-Control', req.user ? 'private, max-age=900' : 'public, max-age=900');
+    res.send(buildCalendar(events, { name: calendarName }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar feed'
+    });
+  }
+});
+
+const buildFeedUrls = (req, token) => {
+  const feedUrl = `${req.protocol}://${req.get('host')}/api/events/calendar.ics${token ? `?token=${token}` : ''}`;
+  return {
+    feedUrl,
+    webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+  };
+};
+
+const issueFeedToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  const supabaseAdmin = getSupabaseAdmin();
+  const { error } = await supabaseAdmin
+    .from('user_profiles')
+    .update({ calendar_token: token })
+    .eq('id', userId);
+
+  if (error) throw error;
+  return token;
+};
+
+app.get('/api/events/feed', auth, async (req, res) => {
+  try {
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: profile, error } = await supabaseAdmin
+      .from('user_profiles')
+      .select('calendar_token')
+      .eq('id', req.user.id)
       .single();
 
     if (error) {
-      console.error('Error creating event:', error);
+      console.error('Error fetching calendar feed token:', error);
       return res.status(500).json({
         success: false,
-        message: 'Failed to create event',
+        message: 'Failed to fetch calendar feed',
         error: error.message
       });
     }
 
-    console.log(`Event created successfully: ${event.id}`);
+    const token = profile.calendar_token || await issueFeedToken(req.user.id);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Event created successfully',
-      event: {
-        id: event.id,
-        title: event.title,
-        type: event.type,
-        date: event.date,
-        time: event.time,
-        location: event.location,
-        description: event.description,
-        organizer: event.organizer,
-        isPublic: event.is_public,
-        canEdit: true,
-        createdAt: event.created_at,
-        updatedAt: event.updated_at
-      }
+      ...buildFeedUrls(req, token),
+      publicFeedUrl: buildFeedUrls(req).feedUrl
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calendar feed'
+    });
+  }
+});
+
+app.post('/api/events/feed/reset', auth, async (req, res) => {
+  try {
+    const token = await issueFeedToken(req.user.id);
+
+    console.log(`Calendar feed token reset for: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed link reset. Update your calendar subscriptions with the new link.',
+      ...buildFeedUrls(req, token)
+    });
+  } catch (error) {
+    console.error('Error resetting calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting calendar feed'
+    });
+  }
+});
+
+const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const inferEventType = (event) => {
+  const categoryMatch = EVENT_TYPES.find(type => (event.categories || []).includes(type));
+  if (categoryMatch) return categoryMatch;
+
+  const title = normalizeTitle(event.title);
+  return EVENT_TYPES.find(type => title.includes(type)) || 'meeting';
+};
+
+// Match imported events to existing rows by iCalendar UID, or by same day and title
+const findDuplicateEvents = async (candidates) => {
+  const supabaseAdmin = getSupabaseAdmin();
+  const dates = candidates.map(event => event.date).sort();
+  const uids = candidates.map(event => event.uid).filter(Boolean);
+
+  const { data: sameDates, error } = await supabaseAdmin
+    .from('events')
+    .select('id, title, date, time, import_uid')
+    .gte('date', dates[0])
+    .lte('date', dates[dates.length - 1]);
+
+  if (error) throw error;
+
+  let sameUids = [];
+  if (uids.length > 0) {
+    const { data, error: uidError } = await supabaseAdmin
+      .from('events')
+      .select('id, title, date, time, import_uid')
+      .in('import_uid', uids);
+
+    if (uidError) throw uidError;
+    sameUids = data;
+  }
+
+  return candidates.map(candidate => {
+    const match = sameUids.find(existing => candidate.uid && existing.import_uid === candidate.uid) ||
+      sameDates.find(existing =>
+        existing.date === candidate.date &&
+        normalizeTitle(existing.title) === normalizeTitle(candidate.title)
+      );
+
+    return match ? { id: match.id, title: match.title, date: match.date, time: match.time } : null;
+  });
+};
+
+app.post('/api/events/import/preview', auth, adminAuth, calendarUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'iCalendar (.ics) file is required'
+      });
+    }
+
+    // Floating and UTC times are read in the importer's school zone
+    const parsedEvents = parseCalendar(req.file.buffer.toString('utf8'), {
+      timeZone: schoolTimeZone(req.user.school)
+    });
+
+    if (parsedEvents.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No events were found in this file'
+      });
+    }
+
+    const duplicates = await findDuplicateEvents(parsedEvents);
+
+    console.log(`Import preview by ${req.user.email}: ${parsedEvents.length} events, ${duplicates.filter(Boolean).length} duplicates`);
+
+    res.json({
+      success: true,
+      events: parsedEvents.map((event, index) => {
+        const recurrence = parseRule(event.rrule);
+        const warnings = [];
+
+        if (event.rrule && !recurrence) {
+          warnings.push('Unsupported repeat rule; only the first occurrence will be imported');
+        } else if (event.rrule && /BY[A-Z]+=/.test(event.rrule)) {
+          warnings.push('Repeat rule simplified to a plain daily/weekly/monthly repeat');
+        }
+
+        return {
+          uid: event.uid,
+          title: event.title,
+          type: inferEventType(event),
+          date: event.date,
+          time: event.time,
+          endDate: event.endDate,
+          endTime: event.endTime,
+          allDay: event.allDay,
+          timeZone: event.timeZone,
+          location: event.location,
+          description: event.description,
+          organizer: event.organizer,
+          recurrence,
+          recurrenceExceptions: recurrence ? event.exceptions : [],
+          duplicateOf: duplicates[index],
+          warnings
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error previewing event import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reading calendar file'
+    });
+  }
+});
+
+app.post('/api/events/import', [
+  auth,
+  adminAuth,
+  body('events').isArray({ min: 1, max: 200 }).withMessage('Between 1 and 200 events can be imported at once'),
+  body('events.*.title').notEmpty().withMessage('Title is required'),
+  body('events.*.type').isIn(EVENT_TYPES).withMessage('Invalid event type'),
+  body('events.*.date').isISO8601().withMessage('Valid date is required'),
+  body('events.*.time').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('Time must be in HH:MM format'),
+  body('events.*.endDate').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required'),
+  body('events.*.endTime').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('End time must be in HH:MM format'),
+  body('events.*.timeZone').optional({ nullable: true }).custom(isValidTimeZone).withMessage('Time zone must be an IANA zone such as Europe/Brussels'),
+  body('events.*.recurrence.frequency').optional().isIn(FREQUENCIES).withMessage('Invalid recurrence frequency'),
+  body('events.*.recurrenceExceptions').optional().isArray().withMessage('Recurrence exceptions must be a list of dates'),
+  ...audienceValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { events, audience, isPublic } = req.body;
+
+    // Re-check in case the calendar changed since the preview; force overrides a known duplicate
+    const duplicates = await findDuplicateEvents(events);
+    const toCreate = events.filter((event, index) => !duplicates[index] || event.force === true);
+
+    if (toCreate.length === 0) {
+      return res.json({
+        success: true,
+        message: 'All selected events already exist in the calendar',
+        created: 0,
+        skipped: events.length,
+        events: []
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: created, error } = await supabaseAdmin
+      .from('events')
+      .insert(toCreate.map(event => ({
+        title: event.title,
+        type: event.type,
+        date: event.date,
+        time: event.allDay ? null : (event.time || null),
+        end_date: event.endDate || null,
+        end_time: event.allDay ? null : (event.endTime || null),
+        all_day: event.allDay === true || !event.time,
+        time_zone: event.timeZone || schoolTimeZone(req.user.school),
+        location: event.location || null,
+        description: event.description || null,
+        organizer: event.organizer || null,
+        ...audienceColumns(audience, isPublic),
+        recurrence_rule: buildRule(event.recurrence),
+        recurrence_exceptions: event.recurrence ? (event.recurrenceExceptions || []) : [],
+        import_uid: event.uid || null,
+        created_by: req.user.id,
+        school: req.user.school
+      })))
+      .select();
+
+    if (error) {
+      console.error('Error importing events:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to import events',
+        error: error.message
+      });
+    }
+
+    await recordRevisions(supabaseAdmin, req.user, created.map(event => ({ eventId: event.id, action: 'created' })));
+
+    console.log(`Imported ${created.length} events by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} event${created.length === 1 ? '' : 's'}`,
+      created: created.length,
+      skipped: events.length - toCreate.length,
+      events: created.map(event => formatEvent(event, req.user))
+    });
+  } catch (error) {
+    console.error('Error importing events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing events'
+    });
+  }
+});
+
+app.post('/api/events', [
+  auth,
+  body('title').notEmpty().withMessage('Title is required'),
+  body('type').isIn(EVENT_TYPES).withMessage('Invalid event type'),
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('time').if((value, { req }) => req.body.allDay !== true).notEmpty().withMessage('Time is required').matches(TIME_PATTERN).withMessage('Time must be in HH:MM format'),
+  ...endTimeValidators,
+  ...audienceValidators,
+  ...registrationValidators,
+  ...onlineMeetingValidators,
+  ...recurrenceValidators,
+  ...conflictValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, type, date, time, endDate, endTime, allDay, timeZone, location, description, organizer, audience, isPublic, capacity, registrationDeadline, onlineMeeting, recurrence, recurrenceExceptions } = req.body;
+
+    const newEvent = {
+      title,
+      type,
+      date,
+      time: allDay ? null : time,
+      end_date: endDate || null,
+      end_time: allDay ? null : (endTime || null),
+      all_day: allDay === true,
+      time_zone: timeZone || schoolTimeZone(req.user.school),
+      location,
+      description,
+      organizer,
+      ...audienceColumns(audience, isPublic),
+      capacity: capacity ? parseInt(capacity) : null,
+      registration_deadline: registrationDeadline || null,
+      ...onlineMeetingColumns(onlineMeeting),
+      recurrence_rule: buildRule(recurrence),
+      recurrence_exceptions: recurrenceExceptions || [],
+      created_by: req.user.id,
+      school: req.user.school
+    };
+
+    const spanError = validateEventSpan(newEvent);
+    if (spanError) {
+      return res.status(400).json({
+        success: false,
+        message: spanError
+      });
+    }
+
+    const conflicts = await checkConflicts(req, newEvent);
+    if (conflicts.length) {
+      return sendConflicts(res, conflicts);
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: event, error } = await supabaseAdmin
+      .from('events')
+      .insert(newEvent)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating event:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create event',
+        error: error.message
+      });
+    }
+
+    await recordRevision(supabaseAdmin, req.user, { eventId: event.id, action: 'created' });
+
+    console.log(`Event created successfully: ${event.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Event created successfully',
+      event: formatEvent(event, req.user)
+    });
+  } catch (error) {
+    console.error('Error creating event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating event',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/events/:id', [
+  auth,
+  body('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  body('type').optional().isIn(EVENT_TYPES).withMessage('Invalid event type'),
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('time').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('Time must be in HH:MM format'),
+  ...endTimeValidators,
+  body('scope').optional().isIn(['series', 'occurrence']).withMessage('Scope must be series or occurrence'),
+  body('occurrenceDate').optional().isISO8601().withMessage('Occurrence date must be a valid date'),
+  ...statusValidators,
+  ...audienceValidators,
+  ...registrationValidators,
+  ...onlineMeetingValidators,
+  ...recurrenceValidators,
+  ...conflictValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { data: event, error: fetchError } = await getSupabaseAdmin()
+      .from('events')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canEditEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only edit your own events.'
+      });
+    }
+
+    const updates = {};
+    const { title, type, status, statusNote, date, time, endDate, endTime, allDay, timeZone, location, description, organizer, audience, isPublic, capacity, registrationDeadline, onlineMeeting, recurrence, recurrenceExceptions, scope, occurrenceDate } = req.body;
+
+    if (title !== undefined) updates.title = title;
+    if (type !== undefined) updates.type = type;
+    if (status !== undefined) updates.status = status;
+    if (statusNote !== undefined) updates.status_note = statusNote || null;
+    if (status === 'scheduled' && statusNote === undefined) updates.status_note = null;
+    if (date !== undefined) updates.date = date;
+    if (time !== undefined) updates.time = time;
+    if (endDate !== undefined) updates.end_date = endDate || null;
+    if (endTime !== undefined) updates.end_time = endTime || null;
+    if (allDay !== undefined) updates.all_day = allDay;
+    if (timeZone) updates.time_zone = timeZone;
+    if (updates.all_day) {
+      updates.time = null;
+      updates.end_time = null;
+    }
+    if (location !== undefined) updates.location = location;
+    if (description !== undefined) updates.description = description;
+    if (organizer !== undefined) updates.organizer = organizer;
+    if (audience || isPublic !== undefined) Object.assign(updates, audienceColumns(audience, isPublic));
+    if (capacity !== undefined) updates.capacity = capacity ? parseInt(capacity) : null;
+    if (registrationDeadline !== undefined) updates.registration_deadline = registrationDeadline || null;
+    if (onlineMeeting !== undefined) Object.assign(updates, onlineMeetingColumns(onlineMeeting));
+
+    const supabaseAdmin = getSupabaseAdmin();
+
+    if (scope === 'occurrence') {
+      if (!event.recurrence_rule || !occurrenceDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'An occurrence date of a recurring event is required to edit a single occurrence'
+        });
+      }
+
+      const originalDate = occurrenceDate.slice(0, 10);
+      const occurrence = expandEvents([event], originalDate, originalDate)
+        .find(candidate => candidate.date === originalDate);
+
+      if (!occurrence) {
+        return res.status(400).json({
+          success: false,
+          message: 'The series has no occurrence on that date'
+        });
+      }
+
+      const detached = {
+        title: event.title,
+        type: event.type,
+        status: event.status,
+        status_note: event.status_note,
+        time: event.time,
+        end_date: occurrence.end_date,
+        end_time: event.end_time,
+        all_day: event.all_day,
+        time_zone: event.time_zone,
+        location: event.location,
+        description: event.description,
+        organizer: event.organizer,
+        audience: event.audience,
+        audience_schools: event.audience_schools,
+        audience_roles: event.audience_roles,
+        audience_committees: event.audience_committees,
+        capacity: event.capacity,
+        registration_deadline: event.registration_deadline,
+        meeting_provider: event.meeting_provider,
+        meeting_url: event.meeting_url,
+        meeting_passcode: event.meeting_passcode,
+        meeting_reveal_minutes: event.meeting_reveal_minutes,
+        created_by: event.created_by,
+        school: event.school,
+        ...updates,
+        date: updates.date || originalDate,
+        recurrence_rule: null,
+        recurrence_exceptions: [],
+        recurrence_parent_id: event.id,
+        recurrence_date: originalDate
+      };
+
+      const spanError = validateEventSpan(detached);
+      if (spanError) {
+        return res.status(400).json({
+          success: false,
+          message: spanError
+        });
+      }
+
+      const seriesOccurrence = { ...event, ...occurrence, recurrence_rule: null, recurrence_exceptions: [] };
+      if (affectsConflicts(seriesOccurrence, detached)) {
+        const conflicts = await checkConflicts(req, detached, [event.id]);
+        if (conflicts.length) {
+          return sendConflicts(res, conflicts);
+        }
+      }
+
+      // Detach the occurrence into its own row, then hide it from the series
+      const { data: detachedEvent, error: detachError } = await supabaseAdmin
+        .from('events')
+        .insert(detached)
+        .select()
+        .single();
+
+      if (detachError) {
+        console.error('Error detaching event occurrence:', detachError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update event occurrence',
+          error: detachError.message
+        });
+      }
+
+      const attachError = await copySeriesAttachments(supabaseAdmin, event.id, detachedEvent.id);
+      if (attachError) {
+        console.error('Error copying series attachments:', attachError);
+        await supabaseAdmin.from('events').delete().eq('id', detachedEvent.id);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update event occurrence',
+          error: attachError.message
+        });
+      }
+
+      // RSVPs and minutes of the occurrence follow it, or the detach is undone
+      const moveError = await moveOccurrenceRecords(supabaseAdmin, event.id, originalDate, detachedEvent.id);
+      if (moveError) {
+        console.error('Error moving occurrence records:', moveError);
+        await supabaseAdmin.from('events').delete().eq('id', detachedEvent.id);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update event occurrence',
+          error: moveError.message
+        });
+      }
+
+      const { error: exceptionError } = await supabaseAdmin
+        .from('events')
+        .update({ recurrence_exceptions: [...(event.recurrence_exceptions || []), originalDate] })
+        .eq('id', event.id);
+
+      if (exceptionError) {
+        console.error('Error excluding event occurrence:', exceptionError);
+        await restoreOccurrenceRecords(supabaseAdmin, event.id, originalDate, detachedEvent.id);
+        await supabaseAdmin.from('events').delete().eq('id', detachedEvent.id);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update event occurrence',
+          error: exceptionError.message
+        });
+      }
+
+      await clearQueuedReminders(supabaseAdmin, event.id, originalDate);
+
+      // Compare with the occurrence as the series showed it
+      await recordRevision(supabaseAdmin, req.user, {
+        eventId: detachedEvent.id,
+        occurrenceDate: originalDate,
+        action: revisionAction(event, detachedEvent),
+        changes: diffEvent({
+          ...event,
+          date: originalDate,
+          end_date: occurrence.end_date,
+          recurrence_rule: null,
+          recurrence_exceptions: []
+        }, detachedEvent)
+      });
+
+      console.log(`Event occurrence ${originalDate} of ${event.id} detached as ${detachedEvent.id}`);
+
+      return res.json({
+        success: true,
+        message: 'Event occurrence updated successfully',
+        event: formatEvent(detachedEvent, req.user)
+      });
+    }
+
+    if (recurrence !== undefined) updates.recurrence_rule = buildRule(recurrence);
+    if (recurrenceExceptions !== undefined) updates.recurrence_exceptions = recurrenceExceptions;
+
+    const spanError = validateEventSpan({ ...event, ...updates });
+    if (spanError) {
+      return res.status(400).json({
+        success: false,
+        message: spanError
+      });
+    }
+
+    if (affectsConflicts(event, { ...event, ...updates })) {
+      const conflicts = await checkConflicts(req, { ...event, ...updates }, [event.id]);
+      if (conflicts.length) {
+        return sendConflicts(res, conflicts);
+      }
+    }
+
+    const { data: updatedEvent, error: updateError } = await supabaseAdmin
+      .from('events')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('Error updating event:', updateError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update event',
+        error: updateError.message
+      });
+    }
+
+    await recordRevision(supabaseAdmin, req.user, {
+      eventId: updatedEvent.id,
+      action: revisionAction(event, updatedEvent),
+      changes: diffEvent(event, updatedEvent)
+    });
+
+    console.log(`Event updated successfully: ${updatedEvent.id}`);
+
+    // New seats go to the people already waiting for them
+    const seatsAdded = updates.capacity !== undefined &&
+      (!updatedEvent.capacity || (event.capacity && updatedEvent.capacity > event.capacity));
+    if (seatsAdded) {
+      await fillFromWaitlist(supabaseAdmin, updatedEvent).catch(error => {
+        console.error('Waitlist promotion error:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Event updated successfully',
+      event: formatEvent(updatedEvent, req.user)
+    });
+  } catch (error) {
+    console.error('Error updating event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating event'
+    });
+  }
+});
+
+app.delete('/api/events/:id', auth, async (req, res) => {
+  try {
+    const { data: event, error: fetchError } = await getSupabaseAdmin()
+      .from('events')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!canEditEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only delete your own events.'
+      });
+    }
+
+    const supabaseAdmin = getSupabaseAdmin();
+    const { scope, occurrenceDate } = req.query;
+
+    if (scope === 'occurrence') {
+      if (!event.recurrence_rule || !occurrenceDate || !/^\d{4}-\d{2}-\d{2}/.test(occurrenceDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'An occurrence date of a recurring event is required to delete a single occurrence'
+        });
+      }
+
+      const deletedDate = occurrenceDate.slice(0, 10);
+      if (!expandEvents([event], deletedDate, deletedDate).some(candidate => candidate.date === deletedDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The series has no occurrence on that date'
+        });
+      }
+
+      const { error: exceptionError } = await supabaseAdmin
+        .from('events')
+        .update({ recurrence_exceptions: [...(event.recurrence_exceptions || []), occurrenceDate.slice(0, 10)] })
+        .eq('id', event.id);
+
+      if (exceptionError) {
+        console.error('Error deleting event occurrence:', exceptionError);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to delete event occurrence',
+          error: exceptionError.message
+        });
+      }
+
+      // The occurrence's RSVPs, waitlist and minutes go with it; if they cannot, it is put back
+      const { changes: removedRecords, error: recordsError } = await deleteOccurrenceRecords(supabaseAdmin, event.id, occurrenceDate.slice(0, 10));
+      if (recordsError) {
+        console.error('Error deleting occurrence records:', recordsError);
+        await supabaseAdmin
+          .from('events')
+          .update({ recurrence_exceptions: event.recurrence_exceptions || [] })
+          .eq('id', event.id);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to delete event occurrence',
+          error: recordsError.message
+        });
+      }
+
+      await clearQueuedReminders(supabaseAdmin, event.id, occurrenceDate.slice(0, 10));
+
+      await recordRevision(supabaseAdmin, req.user, {
+        eventId: event.id,
+        occurrenceDate: occurrenceDate.slice(0, 10),
+        action: 'deleted',
+        changes: removedRecords
+      });
+
+      console.log(`Event occurrence ${occurrenceDate} of ${event.id} deleted`);
+
+      return res.json({
+        success: true,
+        message: 'Event occurrence deleted successfully'
+      });
+    }
+
+    // Occurrences detached from a series are deleted with it (ON DELETE CASCADE)
+    const { data: detachedEvents, error: detachedError } = await supabaseAdmin
+      .from('events')
+      .select('id, title, date, recurrence_date')
+      .eq('recurrence_parent_id', event.id);
+
+    if (detachedError) {
+      console.error('Error deleting event:', detachedError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete event',
+        error: detachedError.message
+      });
+    }
+
+    // Their minutes go too, so the deletion records which there were
+    const { data: minutes, error: minutesError } = await findMinutes(supabaseAdmin, [event.id, ...detachedEvents.map(detached => detached.id)]);
+
+    if (minutesError) {
+      console.error('Error deleting event:', minutesError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete event',
+        error: minutesError.message
+      });
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('events')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (deleteError) {
+      console.error('Error deleting event:', deleteError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to delete event',
+        error: deleteError.message
+      });
+    }
+
+    // The history outlives the event, so record what was removed
+    await recordRevisions(supabaseAdmin, req.user, [event, ...detachedEvents].map(deleted => ({
+      eventId: deleted.id,
+      occurrenceDate: deleted.recurrence_date || null,
+      action: 'deleted',
+      changes: [
+        { field: 'title', from: deleted.title, to: null },
+        { field: 'date', from: deleted.date, to: null },
+        ...minutesChanges(minutes.filter(row => row.event_id === deleted.id))
+      ]
+    })));
+
+    console.log(`Event deleted successfully: ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'Event deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting event'
+    });
+  }
+});
+
+const loadEditableEvent = async (req, res) => {
+  const { data: event, error } = await getSupabaseAdmin()
+    .from('events')
+    .select('*')
+    .eq('id', req.params.id)
+    .single();
+
+  if (error || !event) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
     });
-  } catch (error) {
-    console.error('Error creating event:', error);
-    res.status(500).json({
+    return null;
+  }
+
+  if (!canEditEvent(req.user, event)) {
+    res.status(403).json({
       success: false,
-      message: 'Server error while creating event',
-      error: error.message
+      message: 'Access denied. You can only edit your own events.'
     });
+    return null;
   }
-});
 
-app.put('/api/events/:id', [
+  return event;
+};
+
+const fetchEventAttachments = async (eventId) => {
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: event, error } = await supabaseAdmin
+    .from('events')
+    .select(`id, ${EVENT_ATTACHMENTS_SELECT}`)
+    .eq('id', eventId)
+    .single();
+
+  if (error) throw error;
+  return formatAttachments(event.event_communications);
+};
+
+app.put('/api/events/:id/communications', [
   auth,
-  body('title').optional().notEmpty().withMessage('Title cannot be empty'),
-  body('type').optional().isIn(['meeting', 'webinar', 'conference', 'deadline']).withMessage('Invalid event type'),
-  body('date').optional().isISO8601().withMessage('Valid date is required'),
-  body('time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Time must be in HH:MM format')
+  adminAuth,
+  body('communicationIds').isArray({ max: 50 }).withMessage('Communication IDs must be a list'),
+  body('communicationIds.*').isUUID().withMessage('Valid communication ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -314,140 +1635,161 @@ app.put('/api/events/:id', [
       });
     }
 
-    const { data: event, error: fetchError } = await supabase
-      .from('events')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
+    const event = await loadEditableEvent(req, res);
+    if (!event) return;
 
-    if (fetchError || !event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
+    const communicationIds = [...new Set(req.body.communicationIds)];
+    const supabaseAdmin = getSupabaseAdmin();
 
-    const canEdit = req.user.role === 'admin' ||
-                    req.user.role === 'executive' ||
-                    event.created_by === req.user.id;
+    const { data: existingLinks, error: fetchError } = await supabaseAdmin
+      .from('event_communications')
+      .select('communication_id')
+      .eq('event_id', event.id);
 
-    if (!canEdit) {
-      return res.status(403).json({
+    if (fetchError) {
+      console.error('Error linking communications:', fetchError);
+      return res.status(500).json({
         success: false,
-        message: 'Access denied. You can only edit your own events.'
+        message: 'Failed to update event attachments',
+        error: fetchError.message
       });
     }
 
-    const updates = {};
-    const { title, type, date, time, location, description, organizer, isPublic } = req.body;
-
-    if (title !== undefined) updates.title = title;
-    if (type !== undefined) updates.type = type;
-    if (date !== undefined) updates.date = date;
-    if (time !== undefined) updates.time = time;
-    if (location !== undefined) updates.location = location;
-    if (description !== undefined) updates.description = description;
-    if (organizer !== undefined) updates.organizer = organizer;
-    if (isPublic !== undefined) updates.is_public = isPublic;
-
-    const supabaseAdmin = getSupabaseAdmin();
-    const { data: updatedEvent, error: updateError } = await supabaseAdmin
-      .from('events')
-      .update(updates)
-      .eq('id', req.params.id)
-      .select()
-      .single();
+    const existingIds = existingLinks.map(link => link.communication_id);
+    const toRemove = existingIds.filter(id => !communicationIds.includes(id));
+    const toAdd = communicationIds.filter(id => !existingIds.includes(id));
+
+    if (toRemove.length > 0) {
+      const { error } = await supabaseAdmin
+        .from('event_communications')
+        .delete()
+        .eq('event_id', event.id)
+        .in('communication_id', toRemove);
+
+      if (error) {
+        console.error('Error unlinking communications:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to update event attachments',
+          error: error.message
+        });
+      }
+    }
 
-    if (updateError) {
-      console.error('Error updating event:', updateError);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to update event',
-        error: updateError.message
-      });
+    if (toAdd.length > 0) {
+      const { error } = await supabaseAdmin
+        .from('event_communications')
+        .insert(toAdd.map(communicationId => ({
+          event_id: event.id,
+          communication_id: communicationId,
+          linked_by: req.user.id
+        })));
+
+      if (error) {
+        console.error('Error linking communications:', error);
+        return res.status(error.code === '23503' ? 400 : 500).json({
+          success: false,
+          message: error.code === '23503'
+            ? 'One or more communications no longer exist'
+            : 'Failed to update event attachments',
+          error: error.message
+        });
+      }
     }
 
-    console.log(`Event updated successfully: ${updatedEvent.id}`);
+    console.log(`Event ${event.id} attachments updated by ${req.user.email}: +${toAdd.length} -${toRemove.length}`);
 
     res.json({
       success: true,
-      message: 'Event updated successfully',
-      event: {
-        id: updatedEvent.id,
-        title: updatedEvent.title,
-        type: updatedEvent.type,
-        date: updatedEvent.date,
-        time: updatedEvent.time,
-        location: updatedEvent.location,
-        description: updatedEvent.description,
-        organizer: updatedEvent.organizer,
-        isPublic: updatedEvent.is_public,
-        canEdit: true,
-        createdAt: updatedEvent.created_at,
-        updatedAt: updatedEvent.updated_at
-      }
+      message: 'Event attachments updated',
+      attachments: await fetchEventAttachments(event.id)
     });
   } catch (error) {
-    console.error('Error updating event:', error);
+    console.error('Error linking communications:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating event'
+      message: 'Server error while updating event attachments'
     });
   }
 });
 
-app.delete('/api/events/:id', auth, async (req, res) => {
+app.post('/api/events/:id/communications', auth, adminAuth, upload.single('pdf'), verifyUpload, communicationValidators, async (req, res) => {
+  let communicationCreated = false;
   try {
-    const { data: event, error: fetchError } = await supabase
-      .from('events')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(console.error);
+      }
+      return res.status(400).json({
+        success: false,
+        message: errors.array().map(err => err.msg).join('. '),
+        errors: errors.array()
+      });
+    }
 
-    if (fetchError || !event) {
-      return res.status(404).json({
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'Event not found'
+        message: 'A file is required'
       });
     }
 
-    const canDelete = req.user.role === 'admin' ||
-                      req.user.role === 'executive' ||
-                      event.created_by === req.user.id;
+    const event = await loadEditableEvent(req, res);
+    if (!event) {
+      await fs.unlink(req.file.path).catch(console.error);
+      return;
+    }
+
+    const { communication, error } = await createCommunication(req.file, req.body, req.user);
 
-    if (!canDelete) {
-      return res.status(403).json({
+    if (error) {
+      console.error('Upload event attachment error:', error);
+      return res.status(500).json({
         success: false,
-        message: 'Access denied. You can only delete your own events.'
+        message: 'Failed to upload communication',
+        error: error.message
       });
     }
 
+    communicationCreated = true;
+
     const supabaseAdmin = getSupabaseAdmin();
-    const { error: deleteError } = await supabaseAdmin
-      .from('events')
-      .delete()
-      .eq('id', req.params.id);
+    const { error: linkError } = await supabaseAdmin
+      .from('event_communications')
+      .insert({
+        event_id: event.id,
+        communication_id: communication.id,
+        linked_by: req.user.id
+      });
 
-    if (deleteError) {
-      console.error('Error deleting event:', deleteError);
+    if (linkError) {
+      console.error('Link event attachment error:', linkError);
       return res.status(500).json({
         success: false,
-        message: 'Failed to delete event',
-        error: deleteError.message
+        message: 'The communication was uploaded but could not be linked to the event',
+        error: linkError.message,
+        communication: formatCommunication(communication)
       });
     }
 
-    console.log(`Event deleted successfully: ${req.params.id}`);
+    console.log(`Communication ${communication.id} uploaded for event ${event.id} by ${req.user.email}`);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Event deleted successfully'
+      message: 'Communication uploaded and linked to the event',
+      communication: formatCommunication(communication),
+      attachments: await fetchEventAttachments(event.id)
     });
   } catch (error) {
-    console.error('Error deleting event:', error);
+    // Once the communication exists its file belongs to it
+    if (req.file && !communicationCreated) {
+      await fs.unlink(req.file.path).catch(console.error);
+    }
+    console.error('Upload event attachment error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting event'
+      message: 'Server error while uploading attachment'
     });
   }
 });
@@ -456,13 +1798,42 @@ console.log('Events routes registered successfully');
 
 console.log('Registering Communications routes...');
 
-app.get('/api/communications', async (req, res) => {
+// Published communications by default. Admins and executives can ask for
+// `status=scheduled` (soonest first), `expired` or `all`.
+app.get('/api/communications', optionalAuth, [
+  queryParam('status').optional().isIn([...PUBLICATION_STATUSES, 'all']).withMessage('Status must be scheduled, published, expired or all')
+], async (req, res) => {
   try {
-    const { data: communications, error } = await supabase
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const status = req.query.status || 'published';
+    if (status !== 'published' && !canManageCommunications(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and executives can see unpublished communications'
+      });
+    }
+
+    const now = new Date().toISOString();
+    let query = getSupabaseAdmin()
       .from('communications')
-      .select('*')
+      .select('*, event_communications(events(id, title, date, created_by, audience, audience_schools, audience_roles, audience_committees))')
       .eq('is_active', true)
-      .order('publish_date', { ascending: false });
+      .in('access_level', accessibleLevels(req.user));
+
+    if (status === 'published') query = onlyPublished(query);
+    if (status === 'scheduled') query = query.gt('publish_date', now);
+    if (status === 'expired') query = query.lte('expires_at', now);
+
+    const { data: communications, error } = await query
+      .order('publish_date', { ascending: status === 'scheduled' });
 
     if (error) {
       console.error('Get communications error:', error);
@@ -476,16 +1847,12 @@ app.get('/api/communications', async (req, res) => {
     res.json({
       success: true,
       communications: communications.map(comm => ({
-        id: comm.id,
-        title: comm.title,
-        description: comm.description,
-        filename: comm.filename,
-        originalName: comm.original_name,
-        fileSize: comm.file_size,
-        category: comm.category,
-        publishDate: comm.publish_date,
-        isActive: comm.is_active,
-        createdAt: comm.created_at
+        ...formatCommunication(comm),
+        // Only events the viewer could open in the calendar are linked
+        events: (comm.event_communications || [])
+          .map(link => link.events)
+          .filter(event => event && canViewEvent(req.user, event))
+          .map(event => ({ id: event.id, title: event.title, date: event.date }))
       }))
     });
   } catch (error) {
@@ -497,11 +1864,77 @@ app.get('/api/communications', async (req, res) => {
   }
 });
 
-app.post('/api/communications', auth, adminAuth, upload.single('pdf'), [
-  body('title').trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
-  body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
-  body('category').isIn(['JTC', 'BOG', 'Policy', 'Report', 'Memo', 'Other']).withMessage('Invalid category')
+// The file types uploads accept, for the upload forms
+app.get('/api/communications/file-types', (req, res) => {
+  res.json({
+    success: true,
+    types: allowedFileTypes().map(type => ({
+      type,
+      label: FILE_TYPES[type].label,
+      mimetype: FILE_TYPES[type].mimetype,
+      extensions: FILE_TYPES[type].extensions
+    })),
+    maxFileSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB) || 10
+  });
+});
+
+/**
+ * Search titles, descriptions and the text of PDFs. Each result lists the
+ * pages that matched with highlighted excerpts (HTML, page text escaped).
+ */
+app.get('/api/communications/search', optionalAuth, [
+  queryParam('q').trim().isLength({ min: 2, max: 200 }).withMessage('Search text must be between 2 and 200 characters'),
+  queryParam('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
 ], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const results = await searchCommunications(getSupabaseAdmin(), req.query.q, parseInt(req.query.limit) || 20, req.user);
+
+    res.json({
+      success: true,
+      communications: results
+    });
+  } catch (error) {
+    console.error('Search communications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search communications',
+      error: error.message
+    });
+  }
+});
+
+// Extract the text of communications uploaded before search covered PDF
+// contents; call again while `remaining` is above zero
+app.post('/api/communications/reindex', auth, adminAuth, async (req, res) => {
+  try {
+    const results = await indexPendingCommunications(10);
+
+    console.log(`Indexed text of ${results.indexed} communications for ${req.user.email} (${results.remaining} remaining)`);
+
+    res.json({
+      success: true,
+      ...results
+    });
+  } catch (error) {
+    console.error('Reindex communications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to index communications',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/communications', auth, adminAuth, upload.single('pdf'), verifyUpload, communicationValidators, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -519,33 +1952,13 @@ app.post('/api/communications', auth, adminAuth, upload.single('pdf'), [
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'PDF file is required'
+        message: 'A file is required'
       });
     }
 
-    const { title, description, category, publishDate } = req.body;
-
-    const uploadResult = await uploadFile(req.file);
-
-    const supabaseAdmin = getSupabaseAdmin();
-    const { data: communication, error } = await supabaseAdmin
-      .from('communications')
-      .insert({
-        title,
-        description,
-        filename: req.file.filename,
-        original_name: req.file.originalname,
-        file_size: req.file.size,
-        category,
-        publish_date: publishDate ? new Date(publishDate).toISOString() : new Date().toISOString(),
-        uploaded_by: req.user.id,
-        supabase_url: uploadResult.supabaseUrl
-      })
-      .select()
-      .single();
+    const { communication, error } = await createCommunication(req.file, req.body, req.user);
 
     if (error) {
-      await fs.unlink(req.file.path).catch(console.error);
       console.error('Upload communication error:', error);
       return res.status(500).json({
         success: false,
@@ -554,24 +1967,10 @@ app.post('/api/communications', auth, adminAuth, upload.single('pdf'), [
       });
     }
 
-    if (!uploadResult.supabaseSuccess) {
-      console.warn(`File uploaded to local only: ${uploadResult.errors.join(', ')}`);
-    }
-
     res.status(201).json({
       success: true,
       message: 'Communication uploaded successfully',
-      communication: {
-        id: communication.id,
-        title: communication.title,
-        description: communication.description,
-        filename: communication.filename,
-        originalName: communication.original_name,
-        fileSize: communication.file_size,
-        category: communication.category,
-        publishDate: communication.publish_date,
-        createdAt: communication.created_at
-      }
+      communication: formatCommunication(communication)
     });
 
   } catch (error) {
@@ -586,14 +1985,56 @@ app.post('/api/communications', auth, adminAuth, upload.single('pdf'), [
   }
 });
 
-app.put('/api/communications/:id', auth, adminAuth, [
+// Versions of a communication, newest first. Earlier files stay available
+// through /api/files under their own filenames.
+app.get('/api/communications/:id/versions', optionalAuth, async (req, res) => {
+  try {
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: communication, error: fetchError } = await supabaseAdmin
+      .from('communications')
+      .select('id, is_active, access_level, publish_date, expires_at')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError || !communication || !canAccessCommunication(req.user, communication)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Communication not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      versions: await listCommunicationVersions(supabaseAdmin, communication.id)
+    });
+  } catch (error) {
+    console.error('Get communication versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch communication versions',
+      error: error.message
+    });
+  }
+});
+
+// Metadata changes, and optionally a replacement file sent as `pdf` that
+// becomes the communication's next version
+app.put('/api/communications/:id', auth, adminAuth, upload.single('pdf'), verifyUpload, [
   body('title').optional().trim().isLength({ min: 3 }),
   body('description').optional().trim().isLength({ min: 10 }),
-  body('category').optional().isIn(['JTC', 'BOG', 'Policy', 'Report', 'Memo', 'Other'])
+  body('category').optional().isIn(COMMUNICATION_CATEGORIES),
+  body('accessLevel').optional().isIn(ACCESS_LEVELS).withMessage('Access level must be public, members or executives'),
+  body('publishDate').optional().isISO8601().withMessage('Publish date must be a valid date'),
+  body('expiresAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Unpublish date must be a valid date'),
+  body('versionNote').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 500 }).withMessage('Version note must be at most 500 characters')
 ], async (req, res) => {
+  let versionAdded = false;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(console.error);
+      }
       return res.status(400).json({
         success: false,
         message: 'Invalid input data',
@@ -601,57 +2042,99 @@ app.put('/api/communications/:id', auth, adminAuth, [
       });
     }
 
-    const { data: existingComm, error: fetchError } = await supabase
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: existingComm, error: fetchError } = await supabaseAdmin
       .from('communications')
       .select('*')
       .eq('id', req.params.id)
       .single();
 
     if (fetchError || !existingComm) {
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(console.error);
+      }
       return res.status(404).json({
         success: false,
         message: 'Communication not found'
       });
     }
 
+    const publishFrom = req.body.publishDate !== undefined ? req.body.publishDate : existingComm.publish_date;
+    const publishUntil = req.body.expiresAt !== undefined ? req.body.expiresAt : existingComm.expires_at;
+    if (publishUntil && new Date(publishUntil) <= new Date(publishFrom)) {
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(console.error);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'The unpublish date must be after the publish date'
+      });
+    }
+
+    let communication = existingComm;
+    if (req.file) {
+      const { communication: versioned, error } = await addCommunicationVersion(existingComm, req.file, req.body.versionNote, req.user);
+
+      if (error) {
+        console.error('Upload communication version error:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to upload the new version',
+          error: error.message
+        });
+      }
+
+      versionAdded = true;
+      communication = versioned;
+      console.log(`Communication ${communication.id} updated to version ${communication.current_version} by ${req.user.email}`);
+    }
+
     const updates = {};
-    const { title, description, category, publishDate } = req.body;
+    const { title, description, category, publishDate, expiresAt, accessLevel } = req.body;
 
     if (title !== undefined) updates.title = title;
     if (description !== undefined) updates.description = description;
     if (category !== undefined) updates.category = category;
+    if (accessLevel !== undefined) updates.access_level = accessLevel;
     if (publishDate !== undefined) updates.publish_date = new Date(publishDate).toISOString();
+    // An empty unpublish date keeps the communication up indefinitely
+    if (expiresAt !== undefined) updates.expires_at = expiresAt ? new Date(expiresAt).toISOString() : null;
+
+    if (Object.keys(updates).length > 0) {
+      const { data: updatedComm, error: updateError } = await supabaseAdmin
+        .from('communications')
+        .update(updates)
+        .eq('id', req.params.id)
+        .select()
+        .single();
+
+      if (updateError) {
+        console.error('Update communication error:', updateError);
+        return res.status(500).json({
+          success: false,
+          message: versionAdded
+            ? 'The new version was uploaded but the details could not be updated'
+            : 'Failed to update communication',
+          error: updateError.message
+        });
+      }
 
-    const supabaseAdmin = getSupabaseAdmin();
-    const { data: updatedComm, error: updateError } = await supabaseAdmin
-      .from('communications')
-      .update(updates)
-      .eq('id', req.params.id)
-      .select()
-      .single();
-
-    if (updateError) {
-      console.error('Update communication error:', updateError);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to update communication',
-        error: updateError.message
-      });
+      communication = updatedComm;
     }
 
     res.json({
       success: true,
-      message: 'Communication updated successfully',
-      communication: {
-        id: updatedComm.id,
-        title: updatedComm.title,
-        description: updatedComm.description,
-        category: updatedComm.category,
-        publishDate: updatedComm.publish_date
-      }
+      message: versionAdded
+        ? `Version ${communication.current_version} uploaded successfully`
+        : 'Communication updated successfully',
+      communication: formatCommunication(communication)
     });
 
   } catch (error) {
+    // Once recorded as a version the file belongs to the communication
+    if (req.file && !versionAdded) {
+      await fs.unlink(req.file.path).catch(console.error);
+    }
     console.error('Update communication error:', error);
     res.status(500).json({
       success: false,
@@ -662,7 +2145,8 @@ app.put('/api/communications/:id', auth, adminAuth, [
 
 app.delete('/api/communications/:id', auth, adminAuth, async (req, res) => {
   try {
-    const { data: communication, error: fetchError } = await supabase
+    const supabaseAdmin = getSupabaseAdmin();
+    const { data: communication, error: fetchError } = await supabaseAdmin
       .from('communications')
       .select('*')
       .eq('id', req.params.id)
@@ -675,13 +2159,20 @@ app.delete('/api/communications/:id', auth, adminAuth, async (req, res) => {
       });
     }
 
-    const deleteResult = await deleteFile(communication.filename);
+    const { data: versions } = await supabaseAdmin
+      .from('communication_versions')
+      .select('filename')
+      .eq('communication_id', communication.id);
 
-    if (!deleteResult.localSuccess && !deleteResult.supabaseSuccess) {
-      console.error('Failed to delete file from both storages:', deleteResult.errors);
+    const filenames = new Set([communication.filename, ...(versions || []).map(version => version.filename)]);
+    for (const filename of filenames) {
+      const deleteResult = await deleteFile(filename);
+
+      if (!deleteResult.localSuccess && !deleteResult.supabaseSuccess) {
+        console.error('Failed to delete file from both storages:', deleteResult.errors);
+      }
     }
 
-    const supabaseAdmin = getSupabaseAdmin();
     const { error: deleteError } = await supabaseAdmin
       .from('communications')
       .delete()
@@ -750,10 +2241,17 @@ app.use((err, req, res, next) => {
     }
   }
 
-  if (err.message === 'Only PDF files are allowed') {
+  if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  if (err.message === 'Only iCalendar (.ics) files are allowed') {
     return res.status(400).json({
       success: false,
-      message: 'Only PDF files are allowed'
+      message: 'Only iCalendar (.ics) files are allowed'
     });
   }
 
@@ -802,6 +2300,11 @@ const startServer = async () => {
     console.log(`Authentication: Supabase Auth`);
     console.log(`Database: Supabase PostgreSQL (100% Supabase)`);
     console.log('='.repeat(60));
+
+    // Run the worker separately with `npm run reminders` when several API instances are deployed
+    if (process.env.REMINDERS_ENABLED === 'true') {
+      startReminderWorker();
+    }
   });
 };
 
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCalendar, parseCalendar } = require('../utils/ical');
+const { parseRule, expandOccurrences } = require('../utils/recurrence');
+
+const series = (overrides) => ({
+  id: '00000000-0000-0000-0000-000000000001',
+  title: 'Board meeting',
+  type: 'meeting',
+  date: '2026-01-05',
+  recurrence_rule: 'FREQ=WEEKLY;UNTIL=20260126',
+  recurrence_exceptions: [],
+  ...overrides
+});
+
+const roundTrip = (event) => {
+  const calendar = buildCalendar([event]);
+  const [parsed] = parseCalendar(calendar);
+  return { calendar, parsed };
+};
+
+test('timed series end with a UTC UNTIL at midnight in their zone', () => {
+  const { calendar } = roundTrip(series({ time: '23:30', time_zone: 'Europe/Brussels' }));
+  assert.match(calendar, /RRULE:FREQ=WEEKLY;UNTIL=20260126T225959Z\r\n/);
+});
+
+test('all-day series keep UNTIL as a date', () => {
+  const { calendar } = roundTrip(series({ all_day: true }));
+  assert.match(calendar, /RRULE:FREQ=WEEKLY;UNTIL=20260126\r\n/);
+});
+
+for (const timeZone of ['Europe/Brussels', 'America/New_York', 'Asia/Tokyo']) {
+  test(`a timed series exported in ${timeZone} parses back with the same occurrences`, () => {
+    const event = series({ time: '23:30', time_zone: timeZone });
+    const { parsed } = roundTrip(event);
+
+    assert.strictEqual(parsed.date, event.date);
+    assert.strictEqual(parsed.time, event.time);
+    assert.strictEqual(parsed.timeZone, timeZone);
+    assert.strictEqual(parseRule(parsed.rrule).until, '2026-01-26');
+    assert.deepStrictEqual(
+      expandOccurrences(parsed.date, parsed.rrule, '2026-01-01', '2026-12-31'),
+      expandOccurrences(event.date, event.recurrence_rule, '2026-01-01', '2026-12-31')
+    );
+  });
+}
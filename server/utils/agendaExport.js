@@ -0,0 +1,114 @@
+const PDFDocument = require('pdfkit');
+
+const STATUS_LABELS = {
+  postponed: 'POSTPONED',
+  cancelled: 'CANCELLED'
+};
+
+const CSV_COLUMNS = [
+  ['Date', event => String(event.date).slice(0, 10)],
+  ['End date', event => event.end_date ? String(event.end_date).slice(0, 10) : ''],
+  ['Start time', event => event.all_day || !event.time ? '' : String(event.time).slice(0, 5)],
+  ['End time', event => event.all_day || !event.end_time ? '' : String(event.end_time).slice(0, 5)],
+  ['Time zone', event => event.time_zone || ''],
+  ['Title', event => event.title],
+  ['Type', event => event.type],
+  ['Status', event => event.status || 'scheduled'],
+  ['Location', event => event.location || ''],
+  ['Organizer', event => event.organizer || ''],
+  ['Description', event => event.description || '']
+];
+
+const formatDate = (value, options = { weekday: 'short', day: 'numeric', month: 'short' }) => {
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-GB', { ...options, timeZone: 'UTC' });
+};
+
+const formatTime = (event) => {
+  if (event.all_day || !event.time) return 'All day';
+  const start = String(event.time).slice(0, 5);
+  const end = event.end_time && !event.end_date ? ` - ${String(event.end_time).slice(0, 5)}` : '';
+  return `${start}${end}`;
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Event occurrences (snake_case rows, already expanded and sorted) as CSV.
+ * Starts with a byte order mark so Excel opens it as UTF-8.
+ */
+function buildAgendaCsv(events) {
+  const lines = [
+    CSV_COLUMNS.map(([header]) => header).join(','),
+    ...events.map(event => CSV_COLUMNS.map(([, value]) => csvCell(value(event))).join(','))
+  ];
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Printable agenda grouped by month. subtitle describes the date range and
+ * filters, so a printout says what it covers.
+ */
+function buildAgendaPdf(events, { title = 'InterParents Agenda', subtitle = '' } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(title);
+    if (subtitle) {
+      doc.font('Helvetica').fontSize(10).fillColor('#555555').text(subtitle);
+      doc.fillColor('#000000');
+    }
+
+    if (events.length === 0) {
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(11).text('No events in this period.');
+    }
+
+    let currentMonth = null;
+    events.forEach(event => {
+      const month = String(event.date).slice(0, 7);
+      if (month !== currentMonth) {
+        currentMonth = month;
+        doc.moveDown(0.8);
+        doc.font('Helvetica-Bold').fontSize(13).fillColor('#1f3a5f')
+          .text(formatDate(`${month}-01`, { month: 'long', year: 'numeric' }));
+        doc.moveDown(0.3);
+        doc.fillColor('#000000');
+      }
+
+      const dateLabel = event.end_date && String(event.end_date).slice(0, 10) !== String(event.date).slice(0, 10)
+        ? `${formatDate(event.date)} - ${formatDate(event.end_date)}`
+        : formatDate(event.date);
+      const status = STATUS_LABELS[event.status];
+
+      doc.font('Helvetica-Bold').fontSize(11)
+        .text(`${dateLabel}   ${status ? `[${status}] ` : ''}${event.title}`);
+      doc.font('Helvetica').fontSize(9.5).fillColor('#555555').text([
+        formatTime(event),
+        event.time_zone && event.time && !event.all_day ? event.time_zone : null,
+        event.location,
+        event.organizer ? `Organized by ${event.organizer}` : null
+      ].filter(Boolean).join('  |  '));
+      if (event.status_note) doc.text(event.status_note);
+      doc.fillColor('#000000');
+      doc.moveDown(0.4);
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildAgendaCsv,
+  buildAgendaPdf
+};
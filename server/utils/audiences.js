@@ -0,0 +1,86 @@
+const { SCHOOL_TIME_ZONES } = require('./timezones');
+
+/**
+ * Who can see an event:
+ *   public     - everyone, including guests
+ *   members    - every signed-in member
+ *   restricted - members of the listed schools, roles or committees
+ * Admins, executives and the event's creator always see it.
+ */
+const AUDIENCE_TYPES = ['public', 'members', 'restricted'];
+
+const USER_ROLES = ['member', 'executive', 'admin'];
+
+const COMMITTEES = ['Bureau', 'JTC', 'BOG'];
+
+const MEMBER_SCHOOLS = Object.keys(SCHOOL_TIME_ZONES);
+
+/**
+ * Keys a viewer matches against events.audience_keys, which a database trigger
+ * fills from the audience columns (see migrations/012_event_audiences.sql).
+ */
+const viewerAudienceKeys = (user) => {
+  if (!user) return ['public'];
+
+  return [
+    'public',
+    'members',
+    `user:${user.id}`,
+    user.school ? `school:${user.school}` : null,
+    user.role ? `role:${user.role}` : null,
+    ...(user.committees || []).map(committee => `committee:${committee}`)
+  ].filter(Boolean);
+};
+
+const seesAllEvents = (user) => Boolean(user) && (user.role === 'admin' || user.role === 'executive');
+
+const isInAudience = (user, event) => {
+  const audience = event.audience || 'public';
+  if (audience === 'public') return true;
+  if (!user) return false;
+  if (seesAllEvents(user) || event.created_by === user.id) return true;
+  if (audience === 'members') return true;
+
+  return (event.audience_schools || []).includes(user.school) ||
+    (event.audience_roles || []).includes(user.role) ||
+    (event.audience_committees || []).some(committee => (user.committees || []).includes(committee));
+};
+
+/**
+ * Turn an API audience ({ type, schools, roles, committees }) into event columns.
+ * The legacy isPublic flag maps to public, or to executives only.
+ */
+const audienceColumns = (audience, isPublic) => {
+  if (!audience) {
+    return isPublic === false
+      ? { audience: 'restricted', audience_schools: [], audience_roles: [], audience_committees: [] }
+      : { audience: 'public', audience_schools: [], audience_roles: [], audience_committees: [] };
+  }
+
+  const restricted = audience.type === 'restricted';
+  return {
+    audience: audience.type,
+    audience_schools: restricted ? audience.schools || [] : [],
+    audience_roles: restricted ? audience.roles || [] : [],
+    audience_committees: restricted ? audience.committees || [] : []
+  };
+};
+
+const formatAudience = (event) => ({
+  type: event.audience || 'public',
+  schools: event.audience_schools || [],
+  roles: event.audience_roles || [],
+  committees: event.audience_committees || []
+});
+
+module.exports = {
+  AUDIENCE_TYPES,
+  USER_ROLES,
+  COMMITTEES,
+  MEMBER_SCHOOLS,
+  viewerAudienceKeys,
+  seesAllEvents,
+  isInAudience,
+  audienceColumns,
+  formatAudience
+};
@@ -0,0 +1,50 @@
+// Who can open a communication: anyone, signed-in members, or admins and executives
+const ACCESS_LEVELS = ['public', 'members', 'executives'];
+
+const DEFAULT_ACCESS_LEVEL = 'public';
+
+// Where a communication is in its publication window
+const PUBLICATION_STATUSES = ['scheduled', 'published', 'expired'];
+
+const canManageCommunications = (user) => Boolean(user && (user.role === 'admin' || user.role === 'executive'));
+
+// Mirrors communication_access_levels() in migrations/020_communication_access.sql
+const accessibleLevels = (user) => {
+  if (!user) return ['public'];
+  return canManageCommunications(user) ? ACCESS_LEVELS : ['public', 'members'];
+};
+
+// Mirrors communication_is_published() in migrations/021_communication_schedule.sql
+const publicationStatus = (comm, now = new Date()) => {
+  if (comm.publish_date && new Date(comm.publish_date) > now) return 'scheduled';
+  if (comm.expires_at && new Date(comm.expires_at) <= now) return 'expired';
+  return 'published';
+};
+
+// Narrows a Supabase communications query to rows inside their publication
+// window; rows without a publish date count as published, as above
+const onlyPublished = (query, now = new Date()) => query
+  .or(`publish_date.is.null,publish_date.lte.${now.toISOString()}`)
+  .or(`expires_at.is.null,expires_at.gt.${now.toISOString()}`);
+
+/**
+ * Whether the viewer may see a communication row and download its files.
+ * Inactive communications, and those outside their publication window, are
+ * only visible to the people who manage them.
+ */
+const canAccessCommunication = (user, comm) => {
+  if (canManageCommunications(user)) return true;
+  if (comm.is_active === false || publicationStatus(comm) !== 'published') return false;
+  return accessibleLevels(user).includes(comm.access_level || DEFAULT_ACCESS_LEVEL);
+};
+
+module.exports = {
+  ACCESS_LEVELS,
+  DEFAULT_ACCESS_LEVEL,
+  PUBLICATION_STATUSES,
+  canManageCommunications,
+  accessibleLevels,
+  publicationStatus,
+  onlyPublished,
+  canAccessCommunication
+};
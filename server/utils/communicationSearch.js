@@ -0,0 +1,89 @@
+const { formatCommunication } = require('./communications');
+const { accessibleLevels, onlyPublished } = require('./communicationAccess');
+
+// Pages fetched per search, and excerpts shown per communication
+const MAX_PAGE_MATCHES = 200;
+const MAX_SNIPPETS = 3;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Turn a ts_headline excerpt (matches wrapped in ⟦ ⟧) into HTML that is safe
+ * to insert: the page text is escaped and matches become <mark> elements.
+ */
+const highlightSnippet = (snippet) => String(snippet || '')
+  .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+  .replace(/⟦/g, '<mark>')
+  .replace(/⟧/g, '</mark>')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Published communications the viewer may open whose title, description or PDF
+ * text matches `q` (websearch syntax: quoted phrases, OR, -word). Each result
+ * carries the best matching pages with highlighted excerpts, in page order;
+ * title and description matches rank above text-only matches.
+ */
+async function searchCommunications(supabaseAdmin, q, limit, user) {
+  const levels = accessibleLevels(user);
+  const [pagesResult, metadataResult] = await Promise.all([
+    supabaseAdmin.rpc('search_communication_pages', { search_text: q, access_levels: levels, max_results: MAX_PAGE_MATCHES }),
+    onlyPublished(supabaseAdmin
+      .from('communications')
+      .select('id')
+      .eq('is_active', true)
+      .in('access_level', levels))
+      .textSearch('search_vector', q, { type: 'websearch', config: 'simple' })
+      .limit(limit)
+  ]);
+
+  if (pagesResult.error) throw pagesResult.error;
+  if (metadataResult.error) throw metadataResult.error;
+
+  const scores = new Map();
+  const pagesById = new Map();
+
+  for (const match of pagesResult.data) {
+    if (!pagesById.has(match.communication_id)) pagesById.set(match.communication_id, []);
+    pagesById.get(match.communication_id).push(match);
+    scores.set(match.communication_id, Math.max(scores.get(match.communication_id) || 0, match.rank));
+  }
+  for (const { id } of metadataResult.data) {
+    scores.set(id, (scores.get(id) || 0) + 1);
+  }
+
+  const ids = [...scores.keys()]
+    .sort((a, b) => scores.get(b) - scores.get(a))
+    .slice(0, limit);
+  if (ids.length === 0) return [];
+
+  const { data: communications, error } = await onlyPublished(supabaseAdmin
+    .from('communications')
+    .select('*')
+    .in('id', ids)
+    .in('access_level', levels)
+    .eq('is_active', true));
+
+  if (error) throw error;
+
+  const byId = new Map(communications.map(comm => [comm.id, comm]));
+  return ids.filter(id => byId.has(id)).map(id => {
+    // Pages arrive best first; keep the best few and show them in reading order
+    const pages = (pagesById.get(id) || []).slice(0, MAX_SNIPPETS).sort((a, b) => a.page - b.page);
+
+    return {
+      ...formatCommunication(byId.get(id)),
+      matchedDetails: metadataResult.data.some(match => match.id === id),
+      pageMatchCount: (pagesById.get(id) || []).length,
+      matches: pages.map(match => ({
+        page: match.page,
+        snippet: highlightSnippet(match.snippet)
+      }))
+    };
+  });
+}
+
+module.exports = {
+  highlightSnippet,
+  searchCommunications
+};
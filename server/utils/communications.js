@@ -0,0 +1,293 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { uploadFile, downloadFromSupabase } = require('./fileStorage');
+const { typeForFilename } = require('./fileTypes');
+const { extractPdfPages } = require('./pdfText');
+const { DEFAULT_ACCESS_LEVEL, publicationStatus } = require('./communicationAccess');
+
+const COMMUNICATION_CATEGORIES = ['JTC', 'BOG', 'Policy', 'Report', 'Memo', 'Other'];
+
+const DOCUMENTS_DIR = path.join(__dirname, '../data/documents');
+
+// Pages are written in batches to keep each insert small
+const PAGE_BATCH_SIZE = 100;
+
+const formatCommunication = (comm) => ({
+  id: comm.id,
+  title: comm.title,
+  description: comm.description,
+  filename: comm.filename,
+  originalName: comm.original_name,
+  fileSize: comm.file_size,
+  category: comm.category,
+  publishDate: comm.publish_date,
+  expiresAt: comm.expires_at || null,
+  status: publicationStatus(comm),
+  isActive: comm.is_active,
+  accessLevel: comm.access_level || DEFAULT_ACCESS_LEVEL,
+  version: comm.current_version || 1,
+  createdAt: comm.created_at
+});
+
+const formatVersion = (version) => ({
+  id: version.id,
+  version: version.version,
+  filename: version.filename,
+  originalName: version.original_name,
+  fileSize: version.file_size,
+  note: version.note,
+  uploadedBy: version.uploaded_by
+    ? { id: version.uploaded_by, name: version.user_profiles?.name || null }
+    : null,
+  createdAt: version.created_at
+});
+
+// Same naming scheme as the multer upload storage
+const generateFilename = (ext = '.pdf') =>
+  `comm-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`;
+
+const versionRow = (communicationId, version, file, note, user) => ({
+  communication_id: communicationId,
+  version,
+  filename: file.filename,
+  original_name: file.originalname,
+  file_size: file.size,
+  note: note || null,
+  uploaded_by: user.id
+});
+
+/**
+ * Extract the text of a communication's current file page by page for
+ * search, replacing what was indexed for earlier versions. Only PDFs have
+ * text indexed; other types are just marked as done.
+ */
+const indexCommunicationText = async (communicationId, file) => {
+  const pages = typeForFilename(file.filename) === 'pdf'
+    ? await extractPdfPages(await fs.readFile(file.path))
+    : [];
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { error: deleteError } = await supabaseAdmin
+    .from('communication_pages')
+    .delete()
+    .eq('communication_id', communicationId);
+
+  if (deleteError) throw deleteError;
+
+  const rows = pages
+    .map((content, index) => ({ communication_id: communicationId, page: index + 1, content }))
+    .filter(row => row.content);
+
+  for (let i = 0; i < rows.length; i += PAGE_BATCH_SIZE) {
+    const { error } = await supabaseAdmin
+      .from('communication_pages')
+      .insert(rows.slice(i, i + PAGE_BATCH_SIZE));
+
+    if (error) throw error;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('communications')
+    .update({ text_indexed_at: new Date().toISOString() })
+    .eq('id', communicationId);
+
+  if (error) throw error;
+  return rows.length;
+};
+
+// Extraction runs after the response so a long PDF does not hold up the upload
+const indexInBackground = (communicationId, file) => {
+  indexCommunicationText(communicationId, file)
+    .then(pages => console.log(`Indexed ${pages} pages of communication ${communicationId}`))
+    .catch(error => console.error(`Index communication ${communicationId} text error:`, error));
+};
+
+/**
+ * Index communications uploaded before text extraction existed, a few at a
+ * time. Files missing locally are fetched from Supabase storage first.
+ */
+const indexPendingCommunications = async (limit) => {
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: pending, error } = await supabaseAdmin
+    .from('communications')
+    .select('id, filename')
+    .is('text_indexed_at', null)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const results = { indexed: 0, failed: [] };
+  for (const communication of pending) {
+    const filePath = path.join(DOCUMENTS_DIR, communication.filename);
+    try {
+      const isLocal = await fs.access(filePath).then(() => true, () => false);
+      if (!isLocal && !(await downloadFromSupabase(communication.filename))) {
+        throw new Error('File not found in local or cloud storage');
+      }
+
+      await indexCommunicationText(communication.id, { filename: communication.filename, path: filePath });
+      results.indexed++;
+    } catch (err) {
+      // Marked as done anyway so an unreadable file does not block the rest;
+      // uploading a new version indexes it again
+      console.error(`Index communication ${communication.id} text error:`, err);
+      results.failed.push({ id: communication.id, error: err.message });
+      await supabaseAdmin
+        .from('communications')
+        .update({ text_indexed_at: new Date().toISOString() })
+        .eq('id', communication.id);
+    }
+  }
+
+  const { count } = await supabaseAdmin
+    .from('communications')
+    .select('id', { count: 'exact', head: true })
+    .is('text_indexed_at', null);
+
+  results.remaining = count || 0;
+  return results;
+};
+
+/**
+ * Store a file and create its communications row. `file` has the multer shape
+ * ({ filename, originalname, path, size, mimetype }); the local copy is removed
+ * if the insert fails.
+ */
+const createCommunication = async (file, fields, user) => {
+  const uploadResult = await uploadFile(file);
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { data: communication, error } = await supabaseAdmin
+    .from('communications')
+    .insert({
+      title: fields.title,
+      description: fields.description,
+      filename: file.filename,
+      original_name: file.originalname,
+      file_size: file.size,
+      category: fields.category,
+      publish_date: fields.publishDate ? new Date(fields.publishDate).toISOString() : new Date().toISOString(),
+      expires_at: fields.expiresAt ? new Date(fields.expiresAt).toISOString() : null,
+      access_level: fields.accessLevel || DEFAULT_ACCESS_LEVEL,
+      uploaded_by: user.id
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await fs.unlink(file.path).catch(console.error);
+    return { error };
+  }
+
+  if (!uploadResult.supabaseSuccess) {
+    console.warn(`File uploaded to local only: ${uploadResult.errors.join(', ')}`);
+  }
+
+  const { error: versionError } = await supabaseAdmin
+    .from('communication_versions')
+    .insert(versionRow(communication.id, 1, file, null, user));
+
+  if (versionError) {
+    console.error('Record communication version error:', versionError);
+  }
+
+  indexInBackground(communication.id, file);
+
+  return { communication };
+};
+
+/**
+ * Make `file` the current version of an existing communication. Earlier files
+ * are kept so their /api/files links keep working; the local copy of the new
+ * file is removed if it cannot be recorded.
+ */
+const addCommunicationVersion = async (communication, file, note, user) => {
+  const uploadResult = await uploadFile(file);
+  const version = (communication.current_version || 1) + 1;
+
+  const supabaseAdmin = getSupabaseAdmin();
+  const { error: versionError } = await supabaseAdmin
+    .from('communication_versions')
+    .insert(versionRow(communication.id, version, file, note, user));
+
+  if (versionError) {
+    await fs.unlink(file.path).catch(console.error);
+    return { error: versionError };
+  }
+
+  const { data: updated, error } = await supabaseAdmin
+    .from('communications')
+    .update({
+      filename: file.filename,
+      original_name: file.originalname,
+      file_size: file.size,
+      current_version: version
+    })
+    .eq('id', communication.id)
+    .select()
+    .single();
+
+  if (error) {
+    // The version row must not outlive a communication that never pointed at it
+    await supabaseAdmin
+      .from('communication_versions')
+      .delete()
+      .eq('communication_id', communication.id)
+      .eq('version', version);
+    await fs.unlink(file.path).catch(console.error);
+    return { error };
+  }
+
+  if (!uploadResult.supabaseSuccess) {
+    console.warn(`File uploaded to local only: ${uploadResult.errors.join(', ')}`);
+  }
+
+  indexInBackground(communication.id, file);
+
+  return { communication: updated };
+};
+
+/**
+ * Every version of a communication, newest first, with the uploader's name.
+ */
+const listCommunicationVersions = async (supabaseAdmin, communicationId) => {
+  const { data: versions, error } = await supabaseAdmin
+    .from('communication_versions')
+    .select('*, user_profiles(name)')
+    .eq('communication_id', communicationId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return versions.map(formatVersion);
+};
+
+/**
+ * Create a communication from a generated document (e.g. an exported PDF).
+ */
+const createCommunicationFromBuffer = async (buffer, originalName, mimetype, fields, user) => {
+  await fs.mkdir(DOCUMENTS_DIR, { recursive: true });
+
+  const filename = generateFilename(path.extname(originalName) || '.pdf');
+  const filePath = path.join(DOCUMENTS_DIR, filename);
+  await fs.writeFile(filePath, buffer);
+
+  return createCommunication({
+    filename,
+    originalname: originalName,
+    path: filePath,
+    size: buffer.length,
+    mimetype
+  }, fields, user);
+};
+
+module.exports = {
+  COMMUNICATION_CATEGORIES,
+  formatCommunication,
+  createCommunication,
+  createCommunicationFromBuffer,
+  addCommunicationVersion,
+  listCommunicationVersions,
+  indexPendingCommunications
+};
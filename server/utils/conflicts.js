@@ -0,0 +1,160 @@
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc } = require('./timezones');
+const { addDays, expandEvents } = require('./recurrence');
+const { canViewEvent } = require('./events');
+
+// Events without an end time are taken to last an hour, as in the iCalendar feed
+const DEFAULT_DURATION_MINUTES = 60;
+
+// A new or changed series is checked this far ahead, up to this many occurrences
+const SERIES_HORIZON_DAYS = 365;
+const MAX_CHECKED_OCCURRENCES = 100;
+const MAX_REPORTED_CONFLICTS = 20;
+
+// Changing any of these can create or remove an overlap
+const CONFLICT_FIELDS = [
+  'date', 'time', 'end_date', 'end_time', 'all_day', 'time_zone', 'type', 'status', 'organizer',
+  'audience', 'audience_schools', 'audience_roles', 'audience_committees',
+  'recurrence_rule', 'recurrence_exceptions'
+];
+
+// Deadlines are due dates rather than time people spend together, and only
+// scheduled events still hold their slot
+const blocksTime = (event) => event.type !== 'deadline' && (event.status || 'scheduled') === 'scheduled';
+
+const affectsConflicts = (before, after) => CONFLICT_FIELDS.some(field =>
+  JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+
+const occurrenceInterval = (event) => {
+  const timeZone = event.time_zone || DEFAULT_TIME_ZONE;
+  const endDate = event.end_date || event.date;
+
+  if (event.all_day || !event.time) {
+    return {
+      start: zonedTimeToUtc(event.date, '00:00', timeZone),
+      end: zonedTimeToUtc(addDays(endDate, 1), '00:00', timeZone)
+    };
+  }
+
+  const start = zonedTimeToUtc(event.date, event.time, timeZone);
+  const end = event.end_time ? zonedTimeToUtc(endDate, event.end_time, timeZone) : null;
+  return {
+    start,
+    end: end && end > start ? end : new Date(start.getTime() + DEFAULT_DURATION_MINUTES * 60000)
+  };
+};
+
+// A restricted event without schools, roles or committees is for admins and executives only
+const audienceOf = (event) => {
+  const lists = {
+    schools: event.audience_schools || [],
+    roles: event.audience_roles || [],
+    committees: event.audience_committees || []
+  };
+  if (!lists.schools.length && !lists.roles.length && !lists.committees.length) {
+    lists.roles = ['admin', 'executive'];
+  }
+  return lists;
+};
+
+// Public and member-wide events are for everyone, so they share an audience with any event
+const sharesAudience = (a, b) => {
+  if ((a.audience || 'public') !== 'restricted' || (b.audience || 'public') !== 'restricted') return true;
+
+  const left = audienceOf(a);
+  const right = audienceOf(b);
+  return ['schools', 'roles', 'committees'].some(key => left[key].some(value => right[key].includes(value)));
+};
+
+const sameOrganizerName = (a, b) => Boolean(a.organizer && b.organizer) &&
+  a.organizer.trim().toLowerCase() === b.organizer.trim().toLowerCase();
+
+const sharesOrganizer = (a, b) =>
+  Boolean(a.created_by && a.created_by === b.created_by) || sameOrganizerName(a, b);
+
+const formatConflict = (user, occurrence, other) => {
+  const visible = canViewEvent(user, other);
+
+  return {
+    id: visible ? other.id : null,
+    title: visible ? other.title : 'An event you cannot see',
+    date: other.date,
+    time: other.all_day ? null : other.time,
+    endDate: other.end_date || null,
+    endTime: other.all_day ? null : other.end_time,
+    allDay: Boolean(other.all_day),
+    timeZone: other.time_zone || DEFAULT_TIME_ZONE,
+    organizer: visible ? other.organizer || null : null,
+    occurrenceDate: visible ? other.occurrence_date || null : null,
+    reasons: [
+      sharesAudience(occurrence, other) ? 'audience' : null,
+      sharesOrganizer(occurrence, other) ? 'organizer' : null
+    ].filter(Boolean),
+    conflictingDate: occurrence.date
+  };
+};
+
+/**
+ * Scheduled events that overlap the candidate event row in time and share its
+ * audience or organizer. A series is checked over its next occurrences.
+ * `excludeIds` leaves out the event being edited (and the series an
+ * occurrence is detached from).
+ */
+async function findConflicts(supabaseAdmin, candidate, user, excludeIds = []) {
+  if (!blocksTime(candidate)) return [];
+
+  const horizonEnd = candidate.recurrence_rule
+    ? addDays(candidate.date, SERIES_HORIZON_DAYS)
+    : candidate.end_date || candidate.date;
+  const occurrences = expandEvents([candidate], candidate.date, horizonEnd).slice(0, MAX_CHECKED_OCCURRENCES);
+  if (occurrences.length === 0) return [];
+
+  // A day either side covers events in other time zones
+  const lastDay = occurrences.reduce((last, occurrence) => {
+    const end = occurrence.end_date || occurrence.date;
+    return end > last ? end : last;
+  }, occurrences[0].date);
+  const rangeStart = addDays(occurrences[0].date, -1);
+  const rangeEnd = addDays(lastDay, 1);
+
+  const { data: events, error } = await supabaseAdmin
+    .from('events')
+    .select('*')
+    .eq('status', 'scheduled')
+    .neq('type', 'deadline')
+    .or(
+      `and(date.gte.${rangeStart},date.lte.${rangeEnd}),` +
+      `and(date.lte.${rangeEnd},end_date.gte.${rangeStart}),` +
+      `and(recurrence_rule.not.is.null,date.lte.${rangeEnd})`
+    );
+
+  if (error) throw error;
+
+  const existing = expandEvents(events.filter(event => !excludeIds.includes(event.id)), rangeStart, rangeEnd)
+    .filter(event => blocksTime(event) && (sharesAudience(candidate, event) || sharesOrganizer(candidate, event)))
+    .map(event => ({ event, interval: occurrenceInterval(event) }));
+
+  const conflicts = [];
+  const seen = new Set();
+
+  for (const occurrence of occurrences) {
+    const interval = occurrenceInterval(occurrence);
+
+    for (const other of existing) {
+      if (other.interval.start >= interval.end || interval.start >= other.interval.end) continue;
+
+      const key = `${other.event.id}:${other.event.date}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      conflicts.push(formatConflict(user, occurrence, other.event));
+      if (conflicts.length >= MAX_REPORTED_CONFLICTS) return conflicts;
+    }
+  }
+
+  return conflicts;
+}
+
+module.exports = {
+  affectsConflicts,
+  findConflicts
+};
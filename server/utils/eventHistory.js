@@ -0,0 +1,112 @@
+const EVENT_STATUSES = ['scheduled', 'postponed', 'cancelled'];
+
+// Event columns whose changes are recorded, with the label shown in the history
+const TRACKED_FIELDS = {
+  title: 'Title',
+  type: 'Type',
+  status: 'Status',
+  status_note: 'Status note',
+  date: 'Date',
+  time: 'Start time',
+  end_date: 'End date',
+  end_time: 'End time',
+  all_day: 'All day',
+  time_zone: 'Time zone',
+  location: 'Location',
+  meeting_provider: 'Online meeting',
+  description: 'Description',
+  organizer: 'Organizer',
+  audience: 'Visible to',
+  audience_schools: 'Schools',
+  audience_roles: 'Roles',
+  audience_committees: 'Committees',
+  capacity: 'Maximum attendees',
+  registration_deadline: 'Registration closes',
+  recurrence_rule: 'Repeats',
+  recurrence_exceptions: 'Skipped dates'
+};
+
+// Records deleted along with an event, named in its deletion revision
+const RECORD_LABELS = {
+  minutes: 'Minutes',
+  action_items: 'Action items'
+};
+
+// Dates and times come back from Postgres in a few shapes; compare them as stored
+const normalize = (value) => {
+  if (value === undefined || value === '') return null;
+  if (Array.isArray(value)) return [...value].map(String).sort();
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Field-level differences between two event rows, limited to TRACKED_FIELDS
+const diffEvent = (before, after) => Object.keys(TRACKED_FIELDS)
+  .filter(field => after[field] !== undefined && !sameValue(before[field], after[field]))
+  .map(field => ({
+    field,
+    from: normalize(before[field]),
+    to: normalize(after[field])
+  }));
+
+// Status changes are the headline of a revision, so they name it
+const revisionAction = (before, after) => {
+  const from = before.status || 'scheduled';
+  const to = after.status || from;
+  if (from === to) return 'updated';
+  return to === 'scheduled' ? 'restored' : to;
+};
+
+/**
+ * Store revisions for one or more events. History is best-effort: a failure is
+ * logged but never fails the change that was already saved.
+ */
+async function recordRevisions(supabaseAdmin, user, revisions) {
+  const rows = revisions
+    .filter(revision => revision.action !== 'updated' || revision.changes.length > 0)
+    .map(revision => ({
+      event_id: revision.eventId,
+      occurrence_date: revision.occurrenceDate || null,
+      action: revision.action,
+      changes: revision.changes || [],
+      changed_by: user ? user.id : null,
+      changed_by_name: user ? user.name : null
+    }));
+
+  if (rows.length === 0) return;
+
+  const { error } = await supabaseAdmin
+    .from('event_revisions')
+    .insert(rows);
+
+  if (error) {
+    console.error('Error recording event history:', error);
+  }
+}
+
+const recordRevision = (supabaseAdmin, user, revision) => recordRevisions(supabaseAdmin, user, [revision]);
+
+const formatRevision = (revision) => ({
+  id: revision.id,
+  eventId: revision.event_id,
+  occurrenceDate: revision.occurrence_date,
+  action: revision.action,
+  changes: (revision.changes || []).map(change => ({
+    ...change,
+    label: TRACKED_FIELDS[change.field] || RECORD_LABELS[change.field] || change.field
+  })),
+  changedBy: revision.changed_by,
+  changedByName: revision.changed_by_name || (revision.user_profiles ? revision.user_profiles.name : null),
+  createdAt: revision.created_at
+});
+
+module.exports = {
+  EVENT_STATUSES,
+  TRACKED_FIELDS,
+  diffEvent,
+  revisionAction,
+  recordRevision,
+  recordRevisions,
+  formatRevision
+};
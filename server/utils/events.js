@@ -0,0 +1,187 @@
+const { parseRule, expandOccurrences } = require('./recurrence');
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc } = require('./timezones');
+const { viewerAudienceKeys, seesAllEvents, isInAudience, formatAudience } = require('./audiences');
+const { formatOnlineMeeting } = require('./onlineMeetings');
+const { DEFAULT_ACCESS_LEVEL, canAccessCommunication } = require('./communicationAccess');
+
+const EVENT_TYPES = ['meeting', 'webinar', 'conference', 'deadline'];
+
+// Restrict an events query to the viewer's audiences; executives and admins see everything
+const applyEventVisibility = (query, user) => {
+  if (seesAllEvents(user)) {
+    return query;
+  }
+  // Quoted array literal, as school names contain spaces and parentheses
+  const keys = viewerAudienceKeys(user).map(key => `"${key.replace(/["\\]/g, '\\$&')}"`);
+  return query.overlaps('audience_keys', `{${keys.join(',')}}`);
+};
+
+const canViewEvent = (user, event) => isInAudience(user, event);
+
+/**
+ * Narrow an events query by search text, type, organizing school, creator and status.
+ * createdBy accepts "me" for the signed-in viewer; status is a comma-separated list.
+ */
+const applyEventFilters = (query, { q, type, school, createdBy, status } = {}, user = null) => {
+  if (q) {
+    query = query.textSearch('search_vector', q, { type: 'websearch', config: 'simple' });
+  }
+  if (type && type !== 'all') {
+    query = query.eq('type', type);
+  }
+  if (school) {
+    query = query.eq('school', school);
+  }
+  if (createdBy) {
+    query = query.eq('created_by', createdBy === 'me' && user ? user.id : createdBy);
+  }
+  if (status) {
+    query = query.in('status', String(status).split(','));
+  }
+  return query;
+};
+
+// Opaque keyset cursor over (date, id), the order search results are returned in
+const encodeCursor = (event) => Buffer
+  .from(JSON.stringify({ date: String(event.date).slice(0, 10), id: event.id }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { date, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^[0-9a-f-]{36}$/i.test(id)) return null;
+    return { date, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+const canEditEvent = (user, event) => Boolean(user) &&
+  (user.role === 'admin' || user.role === 'executive' || event.created_by === user.id);
+
+// UTC instants for the start and end of a timed event, so clients can show it in their own zone
+const eventInstants = (event) => {
+  if (!event.time || event.all_day) {
+    return { startsAt: null, endsAt: null };
+  }
+
+  const timeZone = event.time_zone || DEFAULT_TIME_ZONE;
+  const hasEnd = Boolean(event.end_date || event.end_time);
+
+  return {
+    startsAt: zonedTimeToUtc(event.date, event.time, timeZone).toISOString(),
+    endsAt: hasEnd
+      ? zonedTimeToUtc(event.end_date || event.date, event.end_time || event.time, timeZone).toISOString()
+      : null
+  };
+};
+
+// Communications linked through event_communications, when the query embedded
+// them; with a viewer, only those at an access level they can open
+const formatAttachments = (links, user) => (links || [])
+  .map(link => link.communications)
+  .filter(comm => comm && comm.is_active !== false)
+  .filter(comm => user === undefined || canAccessCommunication(user, comm))
+  .map(comm => ({
+    id: comm.id,
+    title: comm.title,
+    filename: comm.filename,
+    originalName: comm.original_name,
+    fileSize: comm.file_size,
+    category: comm.category,
+    accessLevel: comm.access_level || DEFAULT_ACCESS_LEVEL
+  }));
+
+const formatEvent = (event, user) => ({
+  id: event.id,
+  title: event.title,
+  type: event.type,
+  status: event.status || 'scheduled',
+  statusNote: event.status_note || null,
+  date: event.date,
+  time: event.time,
+  location: event.location,
+  description: event.description,
+  organizer: event.organizer,
+  endDate: event.end_date || null,
+  endTime: event.end_time || null,
+  allDay: Boolean(event.all_day),
+  timeZone: event.time_zone || DEFAULT_TIME_ZONE,
+  ...eventInstants(event),
+  audience: formatAudience(event),
+  isPublic: (event.audience || 'public') === 'public',
+  capacity: event.capacity || null,
+  registrationDeadline: event.registration_deadline || null,
+  onlineMeeting: formatOnlineMeeting(event, { includeLink: canEditEvent(user, event) }),
+  recurrence: parseRule(event.recurrence_rule),
+  recurrenceRule: event.recurrence_rule || null,
+  recurrenceExceptions: event.recurrence_exceptions || [],
+  occurrenceDate: event.occurrence_date || null,
+  seriesDate: event.series_date || (event.recurrence_rule ? event.date : null),
+  recurrenceParentId: event.recurrence_parent_id || null,
+  attachments: formatAttachments(event.event_communications, user || null),
+  canEdit: canEditEvent(user, event),
+  createdAt: event.created_at,
+  updatedAt: event.updated_at
+});
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Returns an error message when an event row's dates are inconsistent, otherwise null
+const validateEventSpan = (event) => {
+  const startDate = String(event.date).slice(0, 10);
+  const endDate = event.end_date ? String(event.end_date).slice(0, 10) : startDate;
+
+  if (endDate < startDate) {
+    return 'End date cannot be before the start date';
+  }
+
+  if (!event.all_day && endDate === startDate && event.time && event.end_time &&
+      toMinutes(event.end_time) <= toMinutes(event.time)) {
+    return 'End time must be after the start time';
+  }
+
+  // A series can run past its registration deadline, a single event cannot
+  if (event.registration_deadline && !event.recurrence_rule &&
+      String(event.registration_deadline).slice(0, 10) > endDate) {
+    return 'Registration must close before the event ends';
+  }
+
+  return null;
+};
+
+// RSVPs and minutes for a recurring series are kept per occurrence, so the
+// date must be one the series has (not an excluded or invented one)
+const resolveOccurrence = (event, occurrenceDate) => {
+  if (!event.recurrence_rule) return { occurrenceDate: null };
+  if (!occurrenceDate) return { error: 'An occurrence date is required for recurring events' };
+
+  const date = String(occurrenceDate).slice(0, 10);
+  const isOccurrence = /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+    expandOccurrences(event.date, event.recurrence_rule, date, date, event.recurrence_exceptions).length > 0;
+
+  if (!isOccurrence) return { error: 'The series has no occurrence on that date' };
+  return { occurrenceDate: date };
+};
+
+const scopeToOccurrence = (dbQuery, occurrenceDate) => occurrenceDate
+  ? dbQuery.eq('occurrence_date', occurrenceDate)
+  : dbQuery.is('occurrence_date', null);
+
+module.exports = {
+  EVENT_TYPES,
+  applyEventVisibility,
+  applyEventFilters,
+  encodeCursor,
+  decodeCursor,
+  canViewEvent,
+  canEditEvent,
+  formatAttachments,
+  formatEvent,
+  resolveOccurrence,
+  scopeToOccurrence,
+  validateEventSpan
+};
@@ -2,13 +2,17 @@ require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
 const { getSupabaseAdmin } = require('../config/supabase');
+const { typeForFilename, contentTypeFor } = require('./fileTypes');
+
+// The documents bucket is private; files are handed out through signed URLs
+// that expire after this long
+const SIGNED_URL_SECONDS = 60;
 
 async function uploadFile(file, bucket = 'documents') {
   const results = {
     filename: file.filename,
     size: file.size,
     localPath: file.path,
-    supabaseUrl: null,
     localSuccess: true,
     supabaseSuccess: false,
     errors: []
@@ -38,11 +42,6 @@ async function uploadFile(file, bucket = 'documents') {
         throw error;
       }
 
-      const { data: urlData } = supabase.storage
-        .from(bucket)
-        .getPublicUrl(file.filename);
-
-      results.supabaseUrl = urlData.publicUrl;
       results.supabaseSuccess = true;
     } catch (err) {
       results.supabaseSuccess = false;
@@ -93,6 +92,19 @@ async function deleteFile(filename, bucket = 'documents') {
   return results;
 }
 
+async function getSignedUrl(filename, expiresIn = SIGNED_URL_SECONDS, bucket = 'documents') {
+  const supabase = getSupabaseAdmin();
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .createSignedUrl(filename, expiresIn);
+
+  if (error) {
+    throw error;
+  }
+
+  return data.signedUrl;
+}
+
 async function getFileUrl(filename, bucket = 'documents') {
   try {
     const localPath = path.join(__dirname, '../data/documents', filename);
@@ -105,13 +117,8 @@ async function getFileUrl(filename, bucket = 'documents') {
   }
 
   try {
-    const supabase = getSupabaseAdmin();
-    const { data } = supabase.storage
-      .from(bucket)
-      .getPublicUrl(filename);
-
     return {
-      url: data.publicUrl,
+      url: await getSignedUrl(filename, SIGNED_URL_SECONDS, bucket),
       source: 'supabase'
     };
   } catch (err) {
@@ -132,7 +139,7 @@ async function syncLocalToSupabase(bucket = 'documents') {
     const supabase = getSupabaseAdmin();
 
     for (const filename of files) {
-      if (!filename.endsWith('.pdf')) continue;
+      if (!typeForFilename(filename)) continue;
 
       try {
         const filePath = path.join(docsDir, filename);
@@ -141,7 +148,7 @@ async function syncLocalToSupabase(bucket = 'documents') {
         const { error } = await supabase.storage
           .from(bucket)
           .upload(filename, fileBuffer, {
-            contentType: 'application/pdf',
+            contentType: contentTypeFor(filename),
             upsert: true
           });
 
@@ -190,6 +197,7 @@ module.exports = {
   uploadFile,
   deleteFile,
   getFileUrl,
+  getSignedUrl,
   syncLocalToSupabase,
   downloadFromSupabase
 };
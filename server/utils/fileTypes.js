@@ -0,0 +1,166 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Every type the upload endpoints know how to recognise. `inline` types are
+// shown in the browser; the rest are served as downloads.
+const FILE_TYPES = {
+  pdf: { label: 'PDF', mimetype: 'application/pdf', extensions: ['.pdf'], inline: true },
+  docx: { label: 'Word', mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'] },
+  xlsx: { label: 'Excel', mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['.xlsx'] },
+  pptx: { label: 'PowerPoint', mimetype: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['.pptx'] },
+  doc: { label: 'Word 97-2003', mimetype: 'application/msword', extensions: ['.doc'] },
+  xls: { label: 'Excel 97-2003', mimetype: 'application/vnd.ms-excel', extensions: ['.xls'] },
+  ppt: { label: 'PowerPoint 97-2003', mimetype: 'application/vnd.ms-powerpoint', extensions: ['.ppt'] },
+  odt: { label: 'OpenDocument Text', mimetype: 'application/vnd.oasis.opendocument.text', extensions: ['.odt'] },
+  ods: { label: 'OpenDocument Spreadsheet', mimetype: 'application/vnd.oasis.opendocument.spreadsheet', extensions: ['.ods'] },
+  odp: { label: 'OpenDocument Presentation', mimetype: 'application/vnd.oasis.opendocument.presentation', extensions: ['.odp'] },
+  csv: { label: 'CSV', mimetype: 'text/csv', extensions: ['.csv'] },
+  txt: { label: 'Text', mimetype: 'text/plain', extensions: ['.txt'], inline: true },
+  png: { label: 'PNG image', mimetype: 'image/png', extensions: ['.png'], inline: true },
+  jpg: { label: 'JPEG image', mimetype: 'image/jpeg', extensions: ['.jpg', '.jpeg'], inline: true },
+  gif: { label: 'GIF image', mimetype: 'image/gif', extensions: ['.gif'], inline: true },
+  webp: { label: 'WebP image', mimetype: 'image/webp', extensions: ['.webp'], inline: true }
+};
+
+// Legacy Office formats can carry macros, so they are opt-in
+const DEFAULT_ALLOWED_TYPES = ['pdf', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'csv', 'png', 'jpg', 'gif', 'webp'];
+
+// CSV and text uploads are checked for binary content on their first 64 KB
+const TEXT_SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * The allow-list from ALLOWED_FILE_TYPES (comma-separated keys of FILE_TYPES),
+ * or the defaults. Unknown keys are ignored.
+ */
+const allowedFileTypes = () => {
+  const configured = (process.env.ALLOWED_FILE_TYPES || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (configured.length === 0) return DEFAULT_ALLOWED_TYPES;
+
+  const unknown = configured.filter(type => !FILE_TYPES[type]);
+  if (unknown.length) {
+    console.warn(`Ignoring unknown ALLOWED_FILE_TYPES: ${unknown.join(', ')}`);
+  }
+  return configured.filter(type => FILE_TYPES[type]);
+};
+
+const typeForFilename = (filename) => {
+  const ext = path.extname(filename || '').toLowerCase();
+  return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].extensions.includes(ext)) || null;
+};
+
+const isAllowedFilename = (filename) => allowedFileTypes().includes(typeForFilename(filename));
+
+const startsWith = (buffer, signature, offset = 0) =>
+  buffer.length >= offset + signature.length &&
+  signature.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...Buffer.from(text, 'ascii')];
+
+const isText = (buffer) => {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_BYTES);
+  if (sample.includes(0)) return false;
+  try {
+    // Streaming leaves a character cut off at the end of the sample undecoded
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: buffer.length > TEXT_SAMPLE_BYTES });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// ZIP entry names are stored uncompressed, so the part names give the format away
+const zipType = (buffer) => {
+  if (buffer.includes('mimetypeapplication/vnd.oasis.opendocument.text')) return 'odt';
+  if (buffer.includes('mimetypeapplication/vnd.oasis.opendocument.spreadsheet')) return 'ods';
+  if (buffer.includes('mimetypeapplication/vnd.oasis.opendocument.presentation')) return 'odp';
+  if (buffer.includes('word/document.xml')) return 'docx';
+  if (buffer.includes('xl/workbook.xml')) return 'xlsx';
+  if (buffer.includes('ppt/presentation.xml')) return 'pptx';
+  return null;
+};
+
+/**
+ * The type of a file from its contents. Formats without a distinctive
+ * signature (the 97-2003 Office formats share one container; CSV and text
+ * have none) are told apart by the extension once the contents match.
+ */
+const detectFileType = (buffer, filename) => {
+  const claimed = typeForFilename(filename);
+
+  if (startsWith(buffer, ascii('%PDF-'))) return 'pdf';
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'jpg';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'webp';
+  if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) return zipType(buffer);
+  if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+    return ['doc', 'xls', 'ppt'].includes(claimed) ? claimed : null;
+  }
+  if (['csv', 'txt'].includes(claimed) && isText(buffer)) return claimed;
+  return null;
+};
+
+const contentTypeFor = (filename) => {
+  const type = FILE_TYPES[typeForFilename(filename)];
+  return type ? type.mimetype : 'application/octet-stream';
+};
+
+const isInline = (filename) => Boolean(FILE_TYPES[typeForFilename(filename)]?.inline);
+
+const unsupportedTypeError = () => {
+  const error = new Error(`Unsupported file type. Allowed types: ${allowedFileTypes().map(type => FILE_TYPES[type].label).join(', ')}`);
+  error.code = 'UNSUPPORTED_FILE_TYPE';
+  return error;
+};
+
+/**
+ * Check a stored multer upload against the allow-list by its contents. The
+ * file gets the extension and mimetype of the detected type; anything else is
+ * deleted and rejected.
+ */
+const verifyUploadedFile = async (file) => {
+  const type = detectFileType(await fs.readFile(file.path), file.originalname);
+
+  if (!type || !allowedFileTypes().includes(type)) {
+    await fs.unlink(file.path).catch(console.error);
+    throw unsupportedTypeError();
+  }
+
+  const { extensions, mimetype } = FILE_TYPES[type];
+  if (!extensions.includes(path.extname(file.filename).toLowerCase())) {
+    const filename = `${path.basename(file.filename, path.extname(file.filename))}${extensions[0]}`;
+    const filePath = path.join(path.dirname(file.path), filename);
+    await fs.rename(file.path, filePath);
+    file.filename = filename;
+    file.path = filePath;
+  }
+  file.mimetype = mimetype;
+  return type;
+};
+
+// Express middleware for after multer: verifies req.file when there is one
+const verifyUpload = async (req, res, next) => {
+  if (!req.file) return next();
+  try {
+    await verifyUploadedFile(req.file);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  FILE_TYPES,
+  allowedFileTypes,
+  typeForFilename,
+  isAllowedFilename,
+  detectFileType,
+  contentTypeFor,
+  isInline,
+  unsupportedTypeError,
+  verifyUpload
+};
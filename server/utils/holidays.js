@@ -0,0 +1,38 @@
+const HOLIDAY_KINDS = ['holiday', 'term'];
+
+const formatHoliday = (holiday) => ({
+  id: holiday.id,
+  school: holiday.school,
+  name: holiday.name,
+  kind: holiday.kind,
+  startDate: holiday.start_date,
+  endDate: holiday.end_date
+});
+
+/**
+ * Holidays and terms overlapping [startDate, endDate] (inclusive), optionally
+ * limited to some schools and one kind.
+ */
+async function findHolidays(supabaseAdmin, { startDate, endDate, schools, kind }) {
+  let query = supabaseAdmin
+    .from('school_holidays')
+    .select('*')
+    .lte('start_date', endDate)
+    .gte('end_date', startDate);
+
+  if (schools && schools.length) query = query.in('school', schools);
+  if (kind) query = query.eq('kind', kind);
+
+  const { data, error } = await query
+    .order('start_date', { ascending: true })
+    .order('school', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  HOLIDAY_KINDS,
+  formatHoliday,
+  findHolidays
+};
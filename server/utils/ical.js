@@ -0,0 +1,511 @@
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getOffsetMinutes,
+  toZonedDateTime,
+  zonedTimeToUtc
+} = require('./timezones');
+
+const PRODUCT_ID = '-//InterParents//Calendar//EN';
+
+// Outlook writes Windows zone names in TZID; these are the ones our schools use
+const WINDOWS_TIME_ZONES = {
+  'Romance Standard Time': 'Europe/Brussels',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'GMT Standard Time': 'Europe/London'
+};
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Timed events without an end time are given a one hour block
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Postponed events keep their old date until rescheduled, so mark them tentative
+const ICAL_STATUSES = { scheduled: 'CONFIRMED', postponed: 'TENTATIVE', cancelled: 'CANCELLED' };
+
+const shiftDate = (date, days) => {
+  const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 limits content lines to 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    if (currentBytes + charBytes > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const formatDate = (date) => String(date).slice(0, 10).replace(/-/g, '');
+
+const formatTimestamp = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatLocalDateTime = (date, time) => `${formatDate(date)}T${String(time || '00:00').replace(':', '').padEnd(4, '0')}00`;
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+const zoneAbbreviation = (instant, timeZone) => {
+  const part = new Intl.DateTimeFormat('en-GB', { timeZone, timeZoneName: 'short' })
+    .formatToParts(instant)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : null;
+};
+
+// Find the instants in a year where the zone's UTC offset changes
+function findTransitions(timeZone, year) {
+  const MINUTE_MS = 60 * 1000;
+  const transitions = [];
+  let previous = new Date(Date.UTC(year, 0, 1));
+  let previousOffset = getOffsetMinutes(previous, timeZone);
+
+  for (let day = 1; day <= 366; day++) {
+    const current = new Date(Date.UTC(year, 0, 1 + day));
+    const currentOffset = getOffsetMinutes(current, timeZone);
+
+    if (currentOffset !== previousOffset) {
+      let low = previous.getTime();
+      let high = current.getTime();
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2);
+        if (getOffsetMinutes(new Date(middle), timeZone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ instant: new Date(high), from: previousOffset, to: currentOffset });
+    }
+
+    previous = current;
+    previousOffset = currentOffset;
+  }
+
+  return transitions;
+}
+
+// Describe a transition as a yearly "nth weekday of the month" rule, e.g. last Sunday of March
+function buildTransitionComponent(transition, timeZone) {
+  const local = new Date(transition.instant.getTime() + transition.from * 60000);
+  const month = local.getUTCMonth();
+  const day = local.getUTCDate();
+  const weekday = local.getUTCDay();
+  const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  const position = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+
+  // Anchor the rule in 1970 so it covers every event in the feed
+  const firstOfMonth = new Date(Date.UTC(1970, month, 1)).getUTCDay();
+  let anchorDay = 1 + ((weekday - firstOfMonth + 7) % 7);
+  if (position === -1) {
+    const lastOfMonth = new Date(Date.UTC(1970, month + 1, 0)).getUTCDate();
+    while (anchorDay + 7 <= lastOfMonth) anchorDay += 7;
+  } else {
+    anchorDay += (position - 1) * 7;
+  }
+
+  const time = local.toISOString().slice(11, 16);
+  const name = zoneAbbreviation(transition.instant, timeZone);
+  const type = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+
+  return [
+    `BEGIN:${type}`,
+    `DTSTART:${formatLocalDateTime(`1970-${String(month + 1).padStart(2, '0')}-${String(anchorDay).padStart(2, '0')}`, time)}`,
+    `RRULE:FREQ=YEARLY;BYMONTH=${month + 1};BYDAY=${position}${WEEKDAY_CODES[weekday]}`,
+    `TZOFFSETFROM:${formatOffset(transition.from)}`,
+    `TZOFFSETTO:${formatOffset(transition.to)}`,
+    ...(name ? [`TZNAME:${name}`] : []),
+    `END:${type}`
+  ];
+}
+
+/**
+ * Build a VTIMEZONE for an IANA zone from the rules in effect this year, so
+ * clients that do not know the TZID can still place the events correctly.
+ */
+function buildTimeZone(timeZone) {
+  const transitions = findTransitions(timeZone, new Date().getUTCFullYear());
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 2) {
+    transitions.forEach(transition => lines.push(...buildTransitionComponent(transition, timeZone)));
+  } else {
+    const january = new Date(Date.UTC(new Date().getUTCFullYear(), 0, 1));
+    const offset = formatOffset(getOffsetMinutes(january, timeZone));
+    const name = zoneAbbreviation(january, timeZone);
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      ...(name ? [`TZNAME:${name}`] : []),
+      'END:STANDARD'
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+const eventTimeZone = (event) => isValidTimeZone(event.time_zone) ? event.time_zone : DEFAULT_TIME_ZONE;
+
+// Rules are stored with UNTIL as a date, but RFC 5545 wants a UTC date-time
+// when DTSTART has a time, so timed series end at midnight in their own zone
+const formatRule = (rule, timed, timeZone) => {
+  if (!timed) return rule;
+  return rule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?=;|$)/, (match, year, month, day) => {
+    const nextMidnight = zonedTimeToUtc(shiftDate(`${year}-${month}-${day}`, 1), '00:00', timeZone);
+    return `UNTIL=${formatTimestamp(nextMidnight.getTime() - 1000)}`;
+  });
+};
+
+function buildEvent(event, options) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@${options.domain}`,
+    `DTSTAMP:${formatTimestamp(event.updated_at || event.created_at || Date.now())}`
+  ];
+
+  const timed = event.time && !event.all_day;
+  const tzid = `TZID=${eventTimeZone(event)}`;
+
+  if (timed) {
+    lines.push(`DTSTART;${tzid}:${formatLocalDateTime(event.date, event.time)}`);
+    if (event.end_date || event.end_time) {
+      lines.push(`DTEND;${tzid}:${formatLocalDateTime(event.end_date || event.date, event.end_time || event.time)}`);
+    } else {
+      lines.push(`DURATION:PT${DEFAULT_DURATION_MINUTES}M`);
+    }
+  } else {
+    // DTEND is exclusive for all-day events
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(shiftDate(event.end_date || event.date, 1))}`);
+  }
+
+  if (event.recurrence_rule) {
+    lines.push(`RRULE:${formatRule(event.recurrence_rule, timed, eventTimeZone(event))}`);
+    (event.recurrence_exceptions || []).forEach(date => {
+      lines.push(timed
+        ? `EXDATE;${tzid}:${formatLocalDateTime(date, event.time)}`
+        : `EXDATE;VALUE=DATE:${formatDate(date)}`);
+    });
+  }
+
+  // ORGANIZER needs an email address, which events do not have, so it goes in the description
+  const description = [event.description, event.organizer ? `Organizer: ${event.organizer}` : null]
+    .filter(Boolean)
+    .join('\n\n');
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(`CATEGORIES:${escapeText(event.type)}`);
+  lines.push(`CLASS:${(event.audience || 'public') === 'public' ? 'PUBLIC' : 'PRIVATE'}`);
+  lines.push(`STATUS:${ICAL_STATUSES[event.status] || 'CONFIRMED'}`);
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatTimestamp(event.updated_at)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Serialise event rows (snake_case, as stored in Supabase) into an iCalendar document.
+ * Recurring series are emitted once with their RRULE/EXDATE rather than expanded.
+ * Timed events keep the organizer's zone as TZID, with a VTIMEZONE for each zone used.
+ */
+function buildCalendar(events, options = {}) {
+  const settings = {
+    name: 'InterParents',
+    domain: 'interparents.eu',
+    ...options
+  };
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(settings.name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  const timeZones = new Set(events
+    .filter(event => event.time && !event.all_day)
+    .map(eventTimeZone));
+  timeZones.forEach(timeZone => lines.push(...buildTimeZone(timeZone)));
+
+  events.forEach(event => {
+    lines.push(...buildEvent(event, settings));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+const unescapeText = (value) => String(value || '')
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+// Split "NAME;PARAM=a;PARAM2="b:c":value" without breaking on quoted colons
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colonIndex = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+
+  if (colonIndex === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return {
+    name: name.toUpperCase(),
+    params,
+    value: line.slice(colonIndex + 1)
+  };
+}
+
+// Map a TZID to an IANA zone, accepting Windows names and "/vendor/.../Europe/Brussels" paths
+const resolveTzid = (tzid) => {
+  if (!tzid) return null;
+  if (WINDOWS_TIME_ZONES[tzid]) return WINDOWS_TIME_ZONES[tzid];
+  if (isValidTimeZone(tzid)) return tzid;
+
+  const pathMatch = /([A-Za-z_]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)$/.exec(tzid);
+  return pathMatch && isValidTimeZone(pathMatch[1]) ? pathMatch[1] : null;
+};
+
+/**
+ * Convert a DTSTART/EXDATE value to { date, time, timeZone }. TZID times are kept
+ * as written in their zone; UTC and floating times are read in the import time zone.
+ */
+function parseDateValue(value, params = {}, timeZone = DEFAULT_TIME_ZONE) {
+  const dateOnly = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (params.VALUE === 'DATE' || dateOnly) {
+    if (!dateOnly) return null;
+    return { date: `${dateOnly[1]}-${dateOnly[2]}-${dateOnly[3]}`, time: null, timeZone };
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?(Z)?$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (utc) {
+    const utcDate = new Date(Date.UTC(year, month - 1, day, hour, minute, second || 0));
+    return { ...toZonedDateTime(utcDate, timeZone), timeZone };
+  }
+
+  const wallClock = { date: `${year}-${month}-${day}`, time: `${hour}:${minute}` };
+  const tzid = resolveTzid(params.TZID);
+
+  // A TZID we cannot resolve is treated as floating, as the import zone is the best guess
+  return { ...wallClock, timeZone: tzid || timeZone };
+}
+
+// Re-express a { date, time, timeZone } value in another zone
+const convertZone = (value, timeZone) => {
+  if (!value || !value.time || !value.timeZone || value.timeZone === timeZone) return value;
+  return { ...toZonedDateTime(zonedTimeToUtc(value.date, value.time, value.timeZone), timeZone), timeZone };
+};
+
+// Only the day/hour/minute parts of DURATION are needed for meetings
+const parseDuration = (value) => {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, weeks, days, hours, minutes] = match.map(part => parseInt(part) || 0);
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+};
+
+const addMinutes = (start, minutes) => {
+  const [year, month, day] = start.date.split('-').map(Number);
+  const [hours, mins] = start.time.split(':').map(Number);
+  const end = new Date(Date.UTC(year, month - 1, day, hours, mins + minutes));
+  return {
+    date: end.toISOString().split('T')[0],
+    time: end.toISOString().slice(11, 16)
+  };
+};
+
+// Turn DTEND/DURATION into the API's inclusive endDate/endTime
+const resolveEnd = (event) => {
+  const allDay = !event.start.time;
+  let end = event.end;
+
+  if (!end && event.duration !== undefined && event.duration !== null) {
+    end = allDay
+      ? { date: shiftDate(event.start.date, Math.max(Math.round(event.duration / 1440), 1)), time: null }
+      : addMinutes(event.start, event.duration);
+  }
+
+  if (!end) return { endDate: null, endTime: null };
+
+  // DTEND may be written in a different zone from DTSTART
+  end = convertZone(end, event.start.timeZone);
+
+  if (allDay) {
+    const endDate = shiftDate(end.date, -1);
+    return { endDate: endDate > event.start.date ? endDate : null, endTime: null };
+  }
+
+  return {
+    endDate: end.date !== event.start.date ? end.date : null,
+    endTime: end.time
+  };
+};
+
+// A UTC UNTIL is read back as the date it falls on in the event's zone
+const parseRuleUntil = (rule, timeZone) => rule.replace(
+  /UNTIL=(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/,
+  (match, year, month, day, hour, minute, second) =>
+    `UNTIL=${formatDate(toZonedDateTime(new Date(Date.UTC(year, month - 1, day, hour, minute, second)), timeZone).date)}`
+);
+
+const parseOrganizer = (property) => {
+  if (property.params.CN) return property.params.CN;
+  return property.value.replace(/^mailto:/i, '') || null;
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar document into the events API shape.
+ * Cancelled events are dropped; alarms and other nested components are ignored.
+ */
+function parseCalendar(text, options = {}) {
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exceptions: [], categories: [] };
+      } else if (current) {
+        nestedDepth++;
+      }
+      return;
+    }
+
+    if (property.name === 'END') {
+      if (nestedDepth > 0) {
+        nestedDepth--;
+      } else if (current && property.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    if (!current || nestedDepth > 0) return;
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        current.title = unescapeText(property.value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(property.value);
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(property.value);
+        break;
+      case 'ORGANIZER':
+        current.organizer = parseOrganizer(property);
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(property.value.trim(), property.params, timeZone);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(property.value.trim(), property.params, timeZone);
+        break;
+      case 'DURATION':
+        current.duration = parseDuration(property.value);
+        break;
+      case 'RRULE':
+        current.rrule = property.value.trim();
+        break;
+      case 'EXDATE':
+        property.value.split(',').forEach(value => {
+          const parsed = parseDateValue(value.trim(), property.params, timeZone);
+          if (parsed) current.exceptions.push(parsed.date);
+        });
+        break;
+      case 'CATEGORIES':
+        current.categories.push(...unescapeText(property.value).split(',').map(c => c.trim().toLowerCase()));
+        break;
+      case 'STATUS':
+        current.status = property.value.trim().toUpperCase();
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events
+    .filter(event => event.start && event.status !== 'CANCELLED')
+    .map(event => ({
+      uid: event.uid || null,
+      title: event.title || 'Untitled event',
+      date: event.start.date,
+      time: event.start.time,
+      ...resolveEnd(event),
+      allDay: !event.start.time,
+      timeZone: event.start.timeZone,
+      location: event.location || null,
+      description: event.description || null,
+      organizer: event.organizer || null,
+      categories: event.categories,
+      rrule: event.rrule ? parseRuleUntil(event.rrule, event.start.timeZone) : null,
+      exceptions: event.exceptions
+    }));
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  buildCalendar,
+  parseCalendar,
+  escapeText
+};
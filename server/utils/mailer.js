@@ -0,0 +1,56 @@
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'noreply@interparents.eu';
+
+/**
+ * Mail transports share one shape: { name, send({ to, subject, text, html }) }.
+ * "smtp" talks to any SMTP server, including a local capture server such as
+ * Mailpit on localhost:1025; "console" only logs, for setups without SMTP.
+ */
+const transportFactories = {
+  smtp: () => {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      send: (message) => transporter.sendMail({
+        from: process.env.EMAIL_FROM || DEFAULT_FROM,
+        ...message
+      })
+    };
+  },
+
+  console: () => ({
+    name: 'console',
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  })
+};
+
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// MAIL_TRANSPORT picks a transport; without it, SMTP is used once SMTP_HOST is set
+const createTransport = (name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')) => {
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createTransport,
+  registerTransport
+};
@@ -0,0 +1,102 @@
+const PDFDocument = require('pdfkit');
+
+const ACTION_STATUS_LABELS = {
+  open: 'Open',
+  in_progress: 'In progress',
+  done: 'Done'
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-GB', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+const heading = (doc, text) => {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#1f3a5f').text(text);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(11).fillColor('#000000');
+};
+
+/**
+ * Render minutes (as returned by formatMinutes) to a PDF buffer.
+ */
+function buildMinutesPdf(event, minutes) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Minutes - ${event.title}` } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Minutes');
+    doc.font('Helvetica').fontSize(14).text(event.title);
+    doc.moveDown(0.5);
+
+    const meta = [
+      formatDate(minutes.occurrenceDate || event.date),
+      event.time ? `${event.time.slice(0, 5)}${event.end_time ? ` - ${event.end_time.slice(0, 5)}` : ''}` : null,
+      event.location,
+      event.organizer ? `Organized by ${event.organizer}` : null
+    ].filter(Boolean);
+    doc.fontSize(10).fillColor('#555555').text(meta.join('  |  '));
+    doc.fillColor('#000000');
+
+    heading(doc, `Attendees (${minutes.attendees.length})`);
+    if (minutes.attendees.length) {
+      minutes.attendees.forEach(attendee => {
+        doc.text(`• ${attendee.name}${attendee.school ? ` (${attendee.school})` : ''}`);
+      });
+    } else {
+      doc.text('No attendees recorded.');
+    }
+
+    if (minutes.summary) {
+      heading(doc, 'Summary');
+      doc.text(minutes.summary);
+    }
+
+    heading(doc, 'Decisions');
+    if (minutes.decisions.length) {
+      minutes.decisions.forEach((decision, index) => {
+        doc.text(`${index + 1}. ${decision}`);
+      });
+    } else {
+      doc.text('No decisions recorded.');
+    }
+
+    heading(doc, 'Action Items');
+    if (minutes.actionItems.length) {
+      minutes.actionItems.forEach(item => {
+        doc.font('Helvetica-Bold').text(item.title);
+        doc.font('Helvetica').fontSize(10).fillColor('#555555').text([
+          `Owner: ${item.ownerName || 'Unassigned'}`,
+          `Due: ${item.dueDate ? formatDate(item.dueDate) : 'No due date'}`,
+          `Status: ${ACTION_STATUS_LABELS[item.status] || item.status}`
+        ].join('  |  '));
+        doc.fontSize(11).fillColor('#000000').moveDown(0.4);
+      });
+    } else {
+      doc.text('No action items.');
+    }
+
+    doc.moveDown(1.5);
+    doc.fontSize(8).fillColor('#888888').text(
+      `Recorded${minutes.recordedByName ? ` by ${minutes.recordedByName}` : ''}, last updated ${new Date(minutes.updatedAt).toLocaleString('en-GB', { timeZone: event.time_zone || 'Europe/Brussels' })}`
+    );
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildMinutesPdf
+};
@@ -0,0 +1,167 @@
+// Rows kept per occurrence of a series, keyed by (event_id, occurrence_date)
+const OCCURRENCE_TABLES = ['event_attendees', 'event_minutes'];
+
+const moveRows = (supabaseAdmin, table, from, to) => {
+  let query = supabaseAdmin
+    .from(table)
+    .update({ event_id: to.eventId, occurrence_date: to.occurrenceDate })
+    .eq('event_id', from.eventId);
+
+  query = from.occurrenceDate
+    ? query.eq('occurrence_date', from.occurrenceDate)
+    : query.is('occurrence_date', null);
+
+  return query;
+};
+
+// Action items belong to minutes but also name the event, for the action item list
+const moveActionItems = async (supabaseAdmin, minutesIds, eventId) => {
+  if (minutesIds.length === 0) return { error: null };
+  return supabaseAdmin
+    .from('action_items')
+    .update({ event_id: eventId })
+    .in('minutes_id', minutesIds);
+};
+
+/**
+ * Hand the rows of one occurrence of a series (RSVPs, waitlist, minutes and
+ * their action items) to the event detached from it. Each table moves in a
+ * single statement; when one fails the tables already moved are moved back and
+ * the error is returned.
+ */
+async function moveOccurrenceRecords(supabaseAdmin, seriesId, occurrenceDate, eventId) {
+  const series = { eventId: seriesId, occurrenceDate };
+  const detached = { eventId, occurrenceDate: null };
+  const moved = [];
+
+  const { data: minutes, error: minutesError } = await supabaseAdmin
+    .from('event_minutes')
+    .select('id')
+    .eq('event_id', seriesId)
+    .eq('occurrence_date', occurrenceDate);
+
+  if (minutesError) return minutesError;
+
+  for (const table of OCCURRENCE_TABLES) {
+    const { error } = await moveRows(supabaseAdmin, table, series, detached);
+    if (error) {
+      await restoreOccurrenceRecords(supabaseAdmin, seriesId, occurrenceDate, eventId, moved);
+      return error;
+    }
+    moved.push(table);
+  }
+
+  const { error } = await moveActionItems(supabaseAdmin, minutes.map(row => row.id), eventId);
+  if (error) {
+    await restoreOccurrenceRecords(supabaseAdmin, seriesId, occurrenceDate, eventId, moved);
+    return error;
+  }
+
+  return null;
+}
+
+// Undo moveOccurrenceRecords, when the detach it was part of fails
+async function restoreOccurrenceRecords(supabaseAdmin, seriesId, occurrenceDate, eventId, tables = OCCURRENCE_TABLES) {
+  // The detached event is new, so every action item on it was moved there
+  const { error: itemsError } = await supabaseAdmin
+    .from('action_items')
+    .update({ event_id: seriesId })
+    .eq('event_id', eventId);
+
+  if (itemsError) {
+    console.error(`Error restoring action items of occurrence ${occurrenceDate} of ${seriesId}:`, itemsError);
+  }
+
+  for (const table of [...tables].reverse()) {
+    const { error } = await moveRows(supabaseAdmin, table, { eventId, occurrenceDate: null }, { eventId: seriesId, occurrenceDate });
+    if (error) {
+      console.error(`Error restoring ${table} of occurrence ${occurrenceDate} of ${seriesId}:`, error);
+    }
+  }
+}
+
+// Minutes of one or more events, with the action items recorded in them
+const findMinutes = (supabaseAdmin, eventIds) => supabaseAdmin
+  .from('event_minutes')
+  .select('event_id, occurrence_date, action_items(title)')
+  .in('event_id', eventIds);
+
+// History changes naming the minutes and action items deleted along with an event
+const minutesChanges = (minutes) => {
+  if (minutes.length === 0) return [];
+
+  const actionItems = minutes.flatMap(row => (row.action_items || []).map(item => item.title));
+  return [
+    { field: 'minutes', from: minutes.map(row => row.occurrence_date || 'Recorded'), to: null },
+    ...(actionItems.length ? [{ field: 'action_items', from: actionItems, to: null }] : [])
+  ];
+};
+
+/**
+ * Delete the RSVPs, waitlist and minutes of an occurrence removed from its
+ * series; action items go with their minutes. Returns the history changes
+ * describing the minutes, or the error of the first delete that failed.
+ */
+async function deleteOccurrenceRecords(supabaseAdmin, seriesId, occurrenceDate) {
+  const { data: minutes, error: minutesError } = await findMinutes(supabaseAdmin, [seriesId])
+    .eq('occurrence_date', occurrenceDate);
+
+  if (minutesError) return { error: minutesError };
+
+  for (const table of OCCURRENCE_TABLES) {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .delete()
+      .eq('event_id', seriesId)
+      .eq('occurrence_date', occurrenceDate);
+
+    if (error) return { error };
+  }
+
+  return { changes: minutesChanges(minutes), error: null };
+}
+
+// A detached occurrence keeps the documents attached to its series
+async function copySeriesAttachments(supabaseAdmin, seriesId, eventId) {
+  const { data: links, error } = await supabaseAdmin
+    .from('event_communications')
+    .select('communication_id, linked_by')
+    .eq('event_id', seriesId);
+
+  if (error) return error;
+  if (links.length === 0) return null;
+
+  const { error: insertError } = await supabaseAdmin
+    .from('event_communications')
+    .insert(links.map(link => ({ ...link, event_id: eventId })));
+
+  return insertError;
+}
+
+/**
+ * Drop reminders still queued for an occurrence that left its series. The
+ * next scheduling pass queues fresh ones for the detached event, whose RSVPs
+ * now carry the recipients; sent and skipped rows stay as the record.
+ */
+async function clearQueuedReminders(supabaseAdmin, seriesId, occurrenceDate) {
+  const { error } = await supabaseAdmin
+    .from('event_reminders')
+    .delete()
+    .eq('event_id', seriesId)
+    .eq('occurrence_date', occurrenceDate)
+    .eq('status', 'pending');
+
+  if (error) {
+    console.error(`Error clearing reminders of occurrence ${occurrenceDate} of ${seriesId}:`, error);
+  }
+}
+
+module.exports = {
+  clearQueuedReminders,
+  findMinutes,
+  minutesChanges,
+  copySeriesAttachments,
+  moveOccurrenceRecords,
+  restoreOccurrenceRecords,
+  deleteOccurrenceRecords
+};
@@ -0,0 +1,60 @@
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc } = require('./timezones');
+
+const MEETING_PROVIDERS = ['zoom', 'teams', 'meet', 'webex', 'other'];
+
+const DEFAULT_REVEAL_MINUTES = 30;
+
+const defaultRevealMinutes = () => {
+  const minutes = parseInt(process.env.MEETING_LINK_REVEAL_MINUTES);
+  return Number.isNaN(minutes) || minutes < 0 ? DEFAULT_REVEAL_MINUTES : minutes;
+};
+
+const revealMinutes = (event) => event.meeting_reveal_minutes ?? defaultRevealMinutes();
+
+// When attendees may see the join link of an event (or one occurrence of a series).
+// The occurrence date is trusted, so pass one checked by resolveOccurrence.
+const linkRevealAt = (event, occurrenceDate) => {
+  const start = zonedTimeToUtc(
+    occurrenceDate || String(event.date).slice(0, 10),
+    event.all_day || !event.time ? '00:00' : event.time,
+    event.time_zone || DEFAULT_TIME_ZONE
+  );
+  return new Date(start.getTime() - revealMinutes(event) * 60000);
+};
+
+/**
+ * Turn an API onlineMeeting ({ provider, joinUrl, passcode, revealMinutes })
+ * into event columns; null removes the meeting.
+ */
+const onlineMeetingColumns = (onlineMeeting) => onlineMeeting && onlineMeeting.joinUrl
+  ? {
+      meeting_provider: onlineMeeting.provider || 'other',
+      meeting_url: onlineMeeting.joinUrl,
+      meeting_passcode: onlineMeeting.passcode || null,
+      meeting_reveal_minutes: Number.isInteger(parseInt(onlineMeeting.revealMinutes))
+        ? parseInt(onlineMeeting.revealMinutes)
+        : null
+    }
+  : { meeting_provider: null, meeting_url: null, meeting_passcode: null, meeting_reveal_minutes: null };
+
+/**
+ * The link and passcode are only included for people who manage the event;
+ * attendees fetch them from GET /api/events/:id/join once they are revealed.
+ */
+const formatOnlineMeeting = (event, { includeLink = false } = {}) => {
+  if (!event.meeting_url) return null;
+
+  return {
+    provider: event.meeting_provider || 'other',
+    revealMinutes: revealMinutes(event),
+    customRevealMinutes: event.meeting_reveal_minutes ?? null,
+    ...(includeLink ? { joinUrl: event.meeting_url, passcode: event.meeting_passcode || null } : {})
+  };
+};
+
+module.exports = {
+  MEETING_PROVIDERS,
+  linkRevealAt,
+  onlineMeetingColumns,
+  formatOnlineMeeting
+};
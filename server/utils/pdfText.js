@@ -0,0 +1,46 @@
+// Loaded on first use: without the optional canvas package pdf.js warns that
+// it cannot render, which text extraction does not need
+let pdfjs = null;
+
+// Enough for any real page; runaway text layers are cut off rather than indexed whole
+const MAX_PAGE_CHARACTERS = 50000;
+
+// Postgres text cannot hold NUL characters
+const cleanText = (text) => text
+  .replace(/\u0000/g, '')
+  .replace(/[ \t\f\v]+/g, ' ')
+  .replace(/\s*\n\s*/g, '\n')
+  .trim()
+  .slice(0, MAX_PAGE_CHARACTERS);
+
+/**
+ * The text of each page of a PDF, in page order. Pages without a text layer
+ * (scans) come back empty.
+ */
+async function extractPdfPages(buffer) {
+  pdfjs = pdfjs || require('pdfjs-dist/legacy/build/pdf.js');
+
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= doc.numPages; number++) {
+      const page = await doc.getPage(number);
+      const content = await page.getTextContent();
+      pages.push(cleanText(content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ' '}`).join('')));
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  extractPdfPages
+};
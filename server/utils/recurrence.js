@@ -0,0 +1,166 @@
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Hard stop for expansion so a daily rule with no end cannot loop forever
+const MAX_ITERATIONS = 10000;
+
+const parseDate = (value) => {
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (dateStr, days) => toDateString(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+
+// Number of days a multi-day event runs past its start date
+const spanDays = (event) => event.end_date
+  ? Math.round((parseDate(event.end_date) - parseDate(event.date)) / DAY_MS)
+  : 0;
+
+/**
+ * Parse an RRULE string (e.g. "FREQ=WEEKLY;INTERVAL=2;UNTIL=20250630")
+ * into { frequency, interval, until, count }. Returns null for unsupported rules.
+ */
+function parseRule(rule) {
+  if (!rule) return null;
+
+  const parts = {};
+  rule.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    parts[key.toUpperCase()] = value;
+  });
+
+  const frequency = (parts.FREQ || '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) return null;
+
+  return {
+    frequency,
+    interval: parseInt(parts.INTERVAL) || 1,
+    until: parts.UNTIL
+      ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`
+      : null,
+    count: parts.COUNT ? parseInt(parts.COUNT) : null
+  };
+}
+
+/**
+ * Build an RRULE string from the { frequency, interval, until, count } shape
+ * accepted by the events API. UNTIL wins over COUNT, as RFC 5545 forbids both.
+ */
+function buildRule(recurrence) {
+  if (!recurrence || !recurrence.frequency) return null;
+
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+  const interval = parseInt(recurrence.interval);
+
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (recurrence.until) {
+    parts.push(`UNTIL=${String(recurrence.until).slice(0, 10).replace(/-/g, '')}`);
+  } else if (recurrence.count) {
+    parts.push(`COUNT=${parseInt(recurrence.count)}`);
+  }
+
+  return parts.join(';');
+}
+
+function nthCandidate(start, rule, n) {
+  const step = n * rule.interval;
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const day = start.getUTCDate();
+
+  if (rule.frequency === 'daily') {
+    return new Date(Date.UTC(year, month, day + step));
+  }
+
+  if (rule.frequency === 'weekly') {
+    return new Date(Date.UTC(year, month, day + step * 7));
+  }
+
+  // Monthly on the 31st skips months that are too short instead of rolling over
+  const candidate = new Date(Date.UTC(year, month + step, day));
+  return candidate.getUTCDate() === day ? candidate : null;
+}
+
+/**
+ * List the YYYY-MM-DD dates of a series that fall inside [rangeStart, rangeEnd].
+ * Excluded dates still count towards COUNT, matching EXDATE semantics.
+ */
+function expandOccurrences(startDate, rule, rangeStart, rangeEnd, exceptions = []) {
+  const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+  const start = parseDate(startDate);
+  const from = parseDate(rangeStart);
+  const to = parseDate(rangeEnd);
+
+  if (!parsed) {
+    return start >= from && start <= to ? [toDateString(start)] : [];
+  }
+
+  const excluded = new Set((exceptions || []).map(date => String(date).slice(0, 10)));
+  const until = parsed.until ? parseDate(parsed.until) : null;
+  const dates = [];
+  let generated = 0;
+
+  for (let n = 0; n < MAX_ITERATIONS; n++) {
+    const candidate = nthCandidate(start, parsed, n);
+    if (!candidate) continue;
+    if (candidate > to || (until && candidate > until)) break;
+
+    generated++;
+    if (parsed.count && generated > parsed.count) break;
+
+    const dateStr = toDateString(candidate);
+    if (candidate >= from && !excluded.has(dateStr)) {
+      dates.push(dateStr);
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Replace each recurring event row with one row per occurrence in the window.
+ * Occurrence rows keep the series id and carry occurrence_date/series_date.
+ * Multi-day events are kept when any of their days overlaps the window.
+ */
+function expandEvents(events, rangeStart, rangeEnd) {
+  const expanded = [];
+
+  events.forEach(event => {
+    const span = spanDays(event);
+
+    if (!event.recurrence_rule) {
+      if (event.date <= rangeEnd && (event.end_date || event.date) >= rangeStart) {
+        expanded.push(event);
+      }
+      return;
+    }
+
+    expandOccurrences(event.date, event.recurrence_rule, addDays(rangeStart, -span), rangeEnd, event.recurrence_exceptions)
+      .forEach(date => {
+        expanded.push({
+          ...event,
+          date,
+          end_date: event.end_date ? addDays(date, span) : null,
+          occurrence_date: date,
+          series_date: event.date
+        });
+      });
+  });
+
+  return expanded.sort((a, b) =>
+    a.date.localeCompare(b.date) || String(a.time || '').localeCompare(String(b.time || ''))
+  );
+}
+
+module.exports = {
+  FREQUENCIES,
+  addDays,
+  parseRule,
+  buildRule,
+  expandOccurrences,
+  expandEvents
+};
@@ -0,0 +1,201 @@
+const { createTransport } = require('./mailer');
+const { DEFAULT_TIME_ZONE, toZonedDateTime } = require('./timezones');
+const { scopeToOccurrence } = require('./events');
+
+let transport = null;
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// The registration deadline is the last day to register, in the event's own zone
+const isRegistrationOpen = (event, now = new Date()) => {
+  if (!event.registration_deadline) return true;
+  const today = toZonedDateTime(now, event.time_zone || DEFAULT_TIME_ZONE).date;
+  return today <= String(event.registration_deadline).slice(0, 10);
+};
+
+const countByStatus = async (supabaseAdmin, event, occurrenceDate) => {
+  const { data: rows, error } = await scopeToOccurrence(
+    supabaseAdmin
+      .from('event_attendees')
+      .select('status')
+      .eq('event_id', event.id)
+      .in('status', ['attending', 'waitlisted']),
+    occurrenceDate
+  );
+
+  if (error) throw error;
+
+  return {
+    attending: rows.filter(row => row.status === 'attending').length,
+    waitlisted: rows.filter(row => row.status === 'waitlisted').length
+  };
+};
+
+/**
+ * Seats and registration state for an event (or one occurrence of a series).
+ */
+async function getAvailability(supabaseAdmin, event, occurrenceDate) {
+  const counts = await countByStatus(supabaseAdmin, event, occurrenceDate);
+
+  return {
+    capacity: event.capacity || null,
+    attending: counts.attending,
+    remaining: event.capacity ? Math.max(event.capacity - counts.attending, 0) : null,
+    waitlisted: counts.waitlisted,
+    registrationDeadline: event.registration_deadline || null,
+    registrationOpen: isRegistrationOpen(event)
+  };
+}
+
+async function getWaitlistPosition(supabaseAdmin, event, occurrenceDate, rsvp) {
+  if (!rsvp || rsvp.status !== 'waitlisted') return null;
+
+  const { count, error } = await scopeToOccurrence(
+    supabaseAdmin
+      .from('event_attendees')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', event.id)
+      .eq('status', 'waitlisted')
+      .lt('waitlisted_at', rsvp.waitlisted_at),
+    occurrenceDate
+  );
+
+  if (error) throw error;
+  return count + 1;
+}
+
+const describeEventDate = (event, occurrenceDate) => {
+  const date = occurrenceDate || String(event.date).slice(0, 10);
+  return event.time && !event.all_day
+    ? `${date} at ${String(event.time).slice(0, 5)} (${event.time_zone || DEFAULT_TIME_ZONE} time)`
+    : date;
+};
+
+const sendQuietly = async (message) => {
+  try {
+    await getTransport().send(message);
+  } catch (error) {
+    console.error(`Registration email to ${message.to} failed:`, error.message);
+  }
+};
+
+async function notifyOrganizer(supabaseAdmin, event, subject, lines) {
+  if (!event.created_by) return;
+
+  const { data: organizer } = await supabaseAdmin
+    .from('user_profiles')
+    .select('email, name')
+    .eq('id', event.created_by)
+    .maybeSingle();
+
+  if (!organizer || !organizer.email) return;
+
+  await sendQuietly({
+    to: organizer.email,
+    subject: `${subject}: ${event.title}`,
+    text: [
+      `Hello ${organizer.name || ''},`.replace(' ,', ','),
+      '',
+      ...lines,
+      '',
+      'You receive this email because you organize this event.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Move people from the waitlist into free seats, oldest first, and let them
+ * and the organizer know. Returns the promoted attendee rows.
+ */
+async function promoteFromWaitlist(supabaseAdmin, event, occurrenceDate) {
+  const counts = await countByStatus(supabaseAdmin, event, occurrenceDate);
+  const freeSeats = event.capacity ? event.capacity - counts.attending : counts.waitlisted;
+  if (freeSeats <= 0 || counts.waitlisted === 0) return [];
+
+  const { data: waiting, error } = await scopeToOccurrence(
+    supabaseAdmin
+      .from('event_attendees')
+      .select('id, user_id, user_profiles(name, email)')
+      .eq('event_id', event.id)
+      .eq('status', 'waitlisted'),
+    occurrenceDate
+  ).order('waitlisted_at', { ascending: true }).limit(freeSeats);
+
+  if (error) throw error;
+
+  const promoted = [];
+  const promotedAt = new Date().toISOString();
+  const calendarUrl = `${process.env.FRONTEND_URL || 'https://interparents.eu'}/html/calendar.html`;
+
+  for (const row of waiting) {
+    // Only promote rows that are still waiting, in case two cancellations race.
+    // The capacity trigger keeps the row waitlisted if the seat has gone.
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('event_attendees')
+      .update({ status: 'attending', promoted_at: promotedAt, responded_at: promotedAt })
+      .eq('id', row.id)
+      .eq('status', 'waitlisted')
+      .select('id, status');
+
+    if (updateError) {
+      console.error(`Waitlist promotion error for ${row.user_id}:`, updateError);
+      continue;
+    }
+    if (!updated || updated.length === 0 || updated[0].status !== 'attending') continue;
+
+    promoted.push(row);
+
+    if (row.user_profiles && row.user_profiles.email) {
+      await sendQuietly({
+        to: row.user_profiles.email,
+        subject: `You have a seat: ${event.title}`,
+        text: [
+          `Hello ${row.user_profiles.name || ''},`.replace(' ,', ','),
+          '',
+          `A seat has opened up for "${event.title}" on ${describeEventDate(event, occurrenceDate)} and you have been moved off the waitlist.`,
+          'You are now registered as attending. If you can no longer come, please update your RSVP so the seat goes to the next person.',
+          '',
+          `View the calendar: ${calendarUrl}`
+        ].join('\n')
+      });
+    }
+  }
+
+  if (promoted.length) {
+    console.log(`Promoted ${promoted.length} from the waitlist of event ${event.id}`);
+    await notifyOrganizer(supabaseAdmin, event, 'Waitlist update', [
+      `${promoted.length === 1 ? 'One person was' : `${promoted.length} people were`} moved from the waitlist into free seats for "${event.title}" on ${describeEventDate(event, occurrenceDate)}:`,
+      ...promoted.map(row => `- ${row.user_profiles ? row.user_profiles.name : row.user_id}`)
+    ]);
+  }
+
+  return promoted;
+}
+
+// After capacity is raised or removed, fill the new seats in every occurrence with a waitlist
+async function fillFromWaitlist(supabaseAdmin, event) {
+  const { data: rows, error } = await supabaseAdmin
+    .from('event_attendees')
+    .select('occurrence_date')
+    .eq('event_id', event.id)
+    .eq('status', 'waitlisted');
+
+  if (error) throw error;
+
+  const occurrences = [...new Set(rows.map(row => row.occurrence_date))];
+  for (const occurrenceDate of occurrences) {
+    await promoteFromWaitlist(supabaseAdmin, event, occurrenceDate);
+  }
+}
+
+module.exports = {
+  isRegistrationOpen,
+  getAvailability,
+  getWaitlistPosition,
+  describeEventDate,
+  notifyOrganizer,
+  promoteFromWaitlist,
+  fillFromWaitlist
+};
@@ -0,0 +1,92 @@
+// Used when neither the request nor the organizer's school gives a zone
+const DEFAULT_TIME_ZONE = 'Europe/Brussels';
+
+// Member schools and the zone their local meetings are held in
+const SCHOOL_TIME_ZONES = {
+  'Brussels I (Uccle)': 'Europe/Brussels',
+  'Brussels II (Woluwe)': 'Europe/Brussels',
+  'Brussels III (Ixelles)': 'Europe/Brussels',
+  'Brussels IV (Laeken)': 'Europe/Brussels',
+  'Mol': 'Europe/Brussels',
+  'InterParents Central': 'Europe/Brussels',
+  'Frankfurt': 'Europe/Berlin',
+  'Karlsruhe': 'Europe/Berlin',
+  'Munich': 'Europe/Berlin',
+  'Luxembourg I': 'Europe/Luxembourg',
+  'Luxembourg II': 'Europe/Luxembourg',
+  'Varese': 'Europe/Rome',
+  'Alicante': 'Europe/Madrid',
+  'Bergen': 'Europe/Amsterdam'
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const schoolTimeZone = (school) => SCHOOL_TIME_ZONES[school] || DEFAULT_TIME_ZONE;
+
+const zonedParts = (instant, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+};
+
+// Offset of a zone from UTC at a given instant, in minutes (e.g. 120 for CEST)
+const getOffsetMinutes = (instant, timeZone) => {
+  const parts = zonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a UTC instant to the wall-clock { date, time } of a zone.
+ */
+function toZonedDateTime(instant, timeZone) {
+  const parts = zonedParts(instant, timeZone);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Convert a wall-clock date and HH:MM time in a zone to a UTC Date.
+ * Times skipped by a DST change resolve to the instant after the gap.
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+  const [hours, minutes] = String(time || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes || 0);
+
+  // The offset at the guess can differ from the offset at the answer around a DST change
+  let instant = new Date(wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000);
+  instant = new Date(wallClock - getOffsetMinutes(instant, timeZone) * 60000);
+  return instant;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  SCHOOL_TIME_ZONES,
+  isValidTimeZone,
+  schoolTimeZone,
+  getOffsetMinutes,
+  toZonedDateTime,
+  zonedTimeToUtc
+};
@@ -0,0 +1,403 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { getSupabaseAdmin } = require('../config/supabase');
+const { addDays, expandEvents } = require('../utils/recurrence');
+const { canViewEvent } = require('../utils/events');
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc } = require('../utils/timezones');
+const { createTransport } = require('../utils/mailer');
+
+const DEFAULT_OFFSETS = '7d,1d';
+const DEFAULT_INTERVAL_MINUTES = 5;
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 100;
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+
+/**
+ * Parse REMINDER_OFFSETS such as "7d,1d,2h" into minutes before the event, largest first.
+ */
+function parseOffsets(value = process.env.REMINDER_OFFSETS || DEFAULT_OFFSETS) {
+  const offsets = String(value).split(',').map(part => {
+    const match = /^\s*(\d+)\s*([mhdw])\s*$/i.exec(part);
+    if (!match) {
+      throw new Error(`Invalid reminder offset "${part.trim()}"; use values like 7d, 1d or 2h`);
+    }
+    return parseInt(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+  }).filter(minutes => minutes > 0);
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+// Any edit to these fields makes queued reminders for the event stale
+const fingerprintEvent = (event) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify([
+    event.title, event.type, event.status, event.date, event.time, event.end_date, event.end_time,
+    event.all_day, event.time_zone, event.location, event.description, event.organizer,
+    event.audience, event.audience_schools, event.audience_roles, event.audience_committees,
+    event.recurrence_rule, event.recurrence_exceptions
+  ]))
+  .digest('hex');
+
+// All-day events are treated as starting at midnight in their zone
+const getStartInstant = (event) => zonedTimeToUtc(
+  event.date,
+  event.all_day ? '00:00' : (event.time || '00:00'),
+  event.time_zone || DEFAULT_TIME_ZONE
+);
+
+const occurrenceKey = (event) => event.recurrence_rule ? event.date : null;
+
+const describeOffset = (minutes) => {
+  if (minutes % UNIT_MINUTES.d === 0) {
+    const days = minutes / UNIT_MINUTES.d;
+    return days === 1 ? 'tomorrow' : `in ${days} days`;
+  }
+  if (minutes % UNIT_MINUTES.h === 0) {
+    const hours = minutes / UNIT_MINUTES.h;
+    return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
+  }
+  return `in ${minutes} minutes`;
+};
+
+/**
+ * Members who should be reminded about one occurrence: those who RSVP'd
+ * attending or maybe, plus members subscribed to reminders who can see the event.
+ */
+async function loadRecipients(supabaseAdmin, event, subscribers) {
+  let rsvpQuery = supabaseAdmin
+    .from('event_attendees')
+    .select('user_id, status, user_profiles(id, email, name, role, is_active)')
+    .eq('event_id', event.id)
+    .in('status', ['attending', 'maybe']);
+
+  const occurrenceDate = occurrenceKey(event);
+  rsvpQuery = occurrenceDate
+    ? rsvpQuery.eq('occurrence_date', occurrenceDate)
+    : rsvpQuery.is('occurrence_date', null);
+
+  const { data: rsvps, error } = await rsvpQuery;
+  if (error) throw error;
+
+  const recipients = new Map();
+
+  (rsvps || []).forEach(rsvp => {
+    const profile = rsvp.user_profiles;
+    if (profile && profile.is_active !== false && profile.email) {
+      recipients.set(profile.id, { user: profile, reason: 'rsvp' });
+    }
+  });
+
+  subscribers.forEach(user => {
+    if (!recipients.has(user.id) && canViewEvent(user, event)) {
+      recipients.set(user.id, { user, reason: 'subscription' });
+    }
+  });
+
+  return recipients;
+}
+
+async function loadSubscribers(supabaseAdmin) {
+  const { data, error } = await supabaseAdmin
+    .from('user_profiles')
+    .select('id, email, name, role, school, committees, is_active')
+    .eq('event_reminders', true)
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return (data || []).filter(user => user.email);
+}
+
+// Event rows and their occurrences that start within the reminder horizon
+async function loadUpcomingOccurrences(supabaseAdmin, now, horizonMinutes) {
+  const today = now.toISOString().split('T')[0];
+  // A day either side absorbs the difference between UTC and the events' own zones
+  const rangeStart = addDays(today, -1);
+  const rangeEnd = addDays(new Date(now.getTime() + horizonMinutes * 60000).toISOString().split('T')[0], 1);
+
+  const { data: events, error } = await supabaseAdmin
+    .from('events')
+    .select('*')
+    .lte('date', rangeEnd)
+    .or(`date.gte.${rangeStart},recurrence_rule.not.is.null`);
+
+  if (error) throw error;
+
+  return {
+    eventsById: new Map((events || []).map(event => [event.id, event])),
+    occurrences: expandEvents(events || [], rangeStart, rangeEnd)
+  };
+}
+
+/**
+ * Queue reminders for every upcoming occurrence and recipient. Reminders whose
+ * send time has already passed are not queued, so an edit never triggers a
+ * burst of overdue reminders.
+ */
+async function scheduleReminders(supabaseAdmin, offsets, now = new Date()) {
+  const { eventsById, occurrences } = await loadUpcomingOccurrences(supabaseAdmin, now, offsets[0]);
+  if (occurrences.length === 0) return 0;
+
+  const subscribers = await loadSubscribers(supabaseAdmin);
+  const rows = [];
+
+  for (const occurrence of occurrences) {
+    // Postponed events have no reliable date until they are rescheduled
+    if (occurrence.status && occurrence.status !== 'scheduled') continue;
+
+    const start = getStartInstant(occurrence);
+    const dueOffsets = offsets.filter(minutes => start.getTime() - minutes * 60000 > now.getTime());
+    if (dueOffsets.length === 0) continue;
+
+    const recipients = await loadRecipients(supabaseAdmin, occurrence, subscribers);
+    const fingerprint = fingerprintEvent(eventsById.get(occurrence.id));
+
+    recipients.forEach(({ reason }, userId) => {
+      dueOffsets.forEach(minutes => {
+        rows.push({
+          event_id: occurrence.id,
+          user_id: userId,
+          occurrence_date: occurrenceKey(occurrence),
+          offset_minutes: minutes,
+          reason,
+          send_at: new Date(start.getTime() - minutes * 60000).toISOString(),
+          event_fingerprint: fingerprint
+        });
+      });
+    });
+  }
+
+  if (rows.length === 0) return 0;
+
+  const { data, error } = await supabaseAdmin
+    .from('event_reminders')
+    .upsert(rows, {
+      onConflict: 'event_id,user_id,occurrence_date,offset_minutes,event_fingerprint',
+      ignoreDuplicates: true
+    })
+    .select('id');
+
+  if (error) throw error;
+  return data ? data.length : 0;
+}
+
+const buildReminderEmail = (event, user, offsetMinutes) => {
+  const timeZone = event.time_zone || DEFAULT_TIME_ZONE;
+  const when = event.all_day || !event.time
+    ? `${event.date}${event.end_date ? ` to ${event.end_date}` : ''} (all day)`
+    : `${event.date} at ${event.time}${event.end_time ? `–${event.end_time}` : ''} (${timeZone} time)`;
+  const calendarUrl = `${process.env.FRONTEND_URL || 'https://interparents.eu'}/html/calendar.html`;
+
+  const lines = [
+    `Hello ${user.name || ''},`.replace(' ,', ','),
+    '',
+    `This is a reminder that "${event.title}" takes place ${describeOffset(offsetMinutes)}.`,
+    '',
+    `When: ${when}`,
+    event.location ? `Where: ${event.location}` : null,
+    event.organizer ? `Organizer: ${event.organizer}` : null,
+    '',
+    event.description || null,
+    event.description ? '' : null,
+    `View the calendar: ${calendarUrl}`,
+    '',
+    'You receive this email because you replied to this event or subscribed to event reminders.'
+  ].filter(line => line !== null);
+
+  return {
+    to: user.email,
+    subject: `Reminder: ${event.title} ${describeOffset(offsetMinutes)}`,
+    text: lines.join('\n')
+  };
+};
+
+const markReminder = (supabaseAdmin, id, fields) => supabaseAdmin
+  .from('event_reminders')
+  .update(fields)
+  .eq('id', id);
+
+/**
+ * Send reminders whose time has come. Each reminder is re-checked first and
+ * skipped if its event was deleted or edited, the occurrence was removed, the
+ * event has already started, or the member no longer qualifies.
+ */
+async function deliverDueReminders(supabaseAdmin, transport, now = new Date()) {
+  const { data: due, error } = await supabaseAdmin
+    .from('event_reminders')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('send_at', now.toISOString())
+    .order('send_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  const results = { sent: 0, skipped: 0, failed: 0 };
+  if (!due || due.length === 0) return results;
+
+  const eventIds = [...new Set(due.map(reminder => reminder.event_id))];
+  const userIds = [...new Set(due.map(reminder => reminder.user_id))];
+
+  const [{ data: events, error: eventsError }, { data: users, error: usersError }] = await Promise.all([
+    supabaseAdmin.from('events').select('*').in('id', eventIds),
+    supabaseAdmin.from('user_profiles').select('id, email, name, role, school, committees, is_active, event_reminders').in('id', userIds)
+  ]);
+
+  if (eventsError) throw eventsError;
+  if (usersError) throw usersError;
+
+  const eventsById = new Map((events || []).map(event => [event.id, event]));
+  const usersById = new Map((users || []).map(user => [user.id, user]));
+  const subscribers = (users || []).filter(user => user.event_reminders && user.is_active !== false);
+  const recipientCache = new Map();
+
+  for (const reminder of due) {
+    // Claim the row so a second worker cannot send the same reminder
+    const { data: claimed } = await supabaseAdmin
+      .from('event_reminders')
+      .update({ status: 'sending', attempts: reminder.attempts + 1 })
+      .eq('id', reminder.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (!claimed || claimed.length === 0) continue;
+
+    const skip = async (reason) => {
+      await markReminder(supabaseAdmin, reminder.id, { status: 'skipped', skip_reason: reason });
+      results.skipped++;
+    };
+
+    const series = eventsById.get(reminder.event_id);
+    const user = usersById.get(reminder.user_id);
+
+    if (!series) {
+      await skip('event deleted');
+      continue;
+    }
+
+    if (fingerprintEvent(series) !== reminder.event_fingerprint) {
+      await skip('event edited after the reminder was scheduled');
+      continue;
+    }
+
+    const event = reminder.occurrence_date
+      ? expandEvents([series], reminder.occurrence_date, reminder.occurrence_date)
+          .find(occurrence => occurrence.date === reminder.occurrence_date)
+      : series;
+
+    if (!event) {
+      await skip('occurrence removed');
+      continue;
+    }
+
+    if (getStartInstant(event) <= now) {
+      await skip('event already started');
+      continue;
+    }
+
+    if (!user || user.is_active === false || !user.email) {
+      await skip('recipient unavailable');
+      continue;
+    }
+
+    const cacheKey = `${event.id}:${reminder.occurrence_date || ''}`;
+    if (!recipientCache.has(cacheKey)) {
+      recipientCache.set(cacheKey, await loadRecipients(supabaseAdmin, event, subscribers));
+    }
+
+    if (!recipientCache.get(cacheKey).has(user.id)) {
+      await skip('no longer attending or subscribed');
+      continue;
+    }
+
+    try {
+      await transport.send(buildReminderEmail(event, user, reminder.offset_minutes));
+      await markReminder(supabaseAdmin, reminder.id, {
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        last_error: null
+      });
+      results.sent++;
+    } catch (sendError) {
+      console.error(`Reminder ${reminder.id} to ${user.email} failed:`, sendError.message);
+      await markReminder(supabaseAdmin, reminder.id, {
+        status: reminder.attempts + 1 >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        last_error: sendError.message
+      });
+      results.failed++;
+    }
+  }
+
+  return results;
+}
+
+async function runReminderCycle(options = {}) {
+  const supabaseAdmin = getSupabaseAdmin();
+  const offsets = options.offsets || parseOffsets();
+  const transport = options.transport || createTransport();
+  const now = options.now || new Date();
+
+  const scheduled = await scheduleReminders(supabaseAdmin, offsets, now);
+  const delivered = await deliverDueReminders(supabaseAdmin, transport, now);
+
+  return { scheduled, ...delivered };
+}
+
+/**
+ * Run the reminder cycle on an interval. Returns a function that stops the worker.
+ */
+function startReminderWorker(options = {}) {
+  const intervalMinutes = options.intervalMinutes ||
+    parseInt(process.env.REMINDER_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  const offsets = options.offsets || parseOffsets();
+  const transport = options.transport || createTransport();
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runReminderCycle({ offsets, transport });
+      if (result.scheduled || result.sent || result.skipped || result.failed) {
+        console.log(`Reminders: ${result.scheduled} queued, ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Reminder worker error:', error.message || error);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`Reminder worker started (${transport.name} transport, offsets ${offsets.map(describeOffset).join(', ')}, every ${intervalMinutes} min)`);
+
+  tick();
+  const timer = setInterval(tick, intervalMinutes * 60000);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  parseOffsets,
+  fingerprintEvent,
+  scheduleReminders,
+  deliverDueReminders,
+  runReminderCycle,
+  startReminderWorker
+};
+
+// `npm run reminders` runs the worker on its own; `-- --once` runs a single cycle
+if (require.main === module) {
+  if (process.argv.includes('--once')) {
+    runReminderCycle()
+      .then(result => {
+        console.log(`Reminders: ${result.scheduled} queued, ${result.sent} sent, ${result.skipped} skipped, ${result.failed} failed`);
+        process.exit(0);
+      })
+      .catch(error => {
+        console.error('Reminder run failed:', error);
+        process.exit(1);
+      });
+  } else {
+    startReminderWorker();
+  }
+}